@@ -0,0 +1,77 @@
+/**
+ * Streaming AI Responses
+ * The slow AI routes (resume tailoring, cover letters, chat, headhunter)
+ * can send their answer as Server-Sent Events while the model writes it.
+ * A client opts in with `Accept: text/event-stream`; any other client gets
+ * the usual JSON response. The events are:
+ *
+ *   text   a chunk of model output, as a JSON string
+ *   done   the JSON body the route would otherwise have responded with
+ *   error  the error body the route would otherwise have responded with,
+ *          plus its HTTP `status`
+ *
+ * Events only start with the model's first chunk, so requests turned away
+ * before the AI call (a missing job, a bad body) still get an ordinary JSON
+ * error with the right status. When the client disconnects, `signal`
+ * aborts the AI request so it stops spending tokens.
+ */
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send the headers of an event stream, unless they went out already.
+ */
+function startEventStream(res) {
+  if (res.headersSent) return;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+}
+
+/**
+ * Set up streaming for one request. Pass `onText` and `signal` to the AI
+ * call, and send every response after the AI call through `send`.
+ */
+function openAiStream(req, res) {
+  const wanted = (req.get('accept') || '').includes('text/event-stream');
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+
+    onText: wanted
+      ? (chunk) => {
+        startEventStream(res);
+        writeEvent(res, 'text', chunk);
+      }
+      : undefined,
+
+    /**
+     * Finish the response with `body`: as JSON when nothing has been
+     * streamed yet, otherwise as a done or error event.
+     */
+    send(body, status = 200) {
+      if (res.writableEnded || res.destroyed) return; // the client went away
+      if (!res.headersSent) {
+        res.status(status).json(body);
+        return;
+      }
+      if (status < 400) {
+        writeEvent(res, 'done', body);
+      } else {
+        writeEvent(res, 'error', { ...body, status });
+      }
+      res.end();
+    }
+  };
+}
+
+module.exports = { openAiStream, startEventStream, writeEvent };
@@ -0,0 +1,84 @@
+/**
+ * Anthropic Provider
+ * Sends AI requests to the Anthropic Messages API through the official SDK,
+ * streaming the answer when asked to. The SDK's own retries are off; failed
+ * requests are classified (see errors.js) and retried by lib/ai/index.js.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { AiRequestError, classifyHttpError, unreachableError } = require('./errors');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// Sort SDK errors into AiRequestError categories; cancellations pass through
+function toRequestError(err) {
+  if (err instanceof Anthropic.APIUserAbortError || err.name === 'AbortError') return err;
+  if (err instanceof Anthropic.APIConnectionError) {
+    return unreachableError(`Could not reach the Anthropic API: ${err.message}`);
+  }
+  if (err instanceof Anthropic.APIError) {
+    return classifyHttpError({
+      status: err.status,
+      type: err.error?.error?.type,
+      message: err.error?.error?.message || err.message,
+      headers: err.headers
+    });
+  }
+  return err;
+}
+
+function createAnthropicProvider({ apiKey, model = DEFAULT_MODEL }) {
+  const client = new Anthropic({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'anthropic',
+
+    get configured() {
+      return Boolean(client.apiKey);
+    },
+
+    setApiKey(key) {
+      client.apiKey = key;
+    },
+
+    async complete({ system, messages, model: requestModel, maxTokens = 4096, temperature }, { onText, signal } = {}) {
+      if (!client.apiKey) {
+        throw new AiRequestError('auth', 'No Anthropic API key is set');
+      }
+      const body = {
+        model: requestModel || model,
+        max_tokens: maxTokens,
+        ...(temperature !== undefined ? { temperature } : {}),
+        system,
+        messages
+      };
+      let response;
+      try {
+        if (onText) {
+          const stream = client.messages.stream(body, { signal });
+          stream.on('text', onText);
+          response = await stream.finalMessage();
+        } else {
+          response = await client.messages.create(body, { signal });
+        }
+      } catch (err) {
+        throw toRequestError(err);
+      }
+      // Extract text from the response content blocks
+      const text = response.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+      return {
+        text,
+        model: response.model || body.model,
+        usage: {
+          inputTokens: response.usage?.input_tokens ?? 0,
+          outputTokens: response.usage?.output_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createAnthropicProvider, DEFAULT_MODEL };
@@ -0,0 +1,91 @@
+/**
+ * Response Cache
+ * Parsed JSON answers for features whose output depends only on their
+ * input, such as match analysis, job import and resume parsing. Entries are
+ * content-addressed: the key is a hash of everything that shapes the answer
+ * (the feature, the backend and model settings, the system prompt and the
+ * messages, which carry the job, profile and other inputs), so changing any
+ * of them misses the cache without explicit invalidation.
+ *
+ * Entries live in the `ai-cache` collection as
+ * { id: <key>, feature, model, data, createdAt, expiresAt } and expire
+ * after `ttlHours`; a TTL of 0 turns the cache off. Expired entries are
+ * dropped as new ones are stored.
+ */
+
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createResponseCache({ storage, ttlHours = 168 }) {
+  const enabled = ttlHours > 0;
+
+  function isExpired(entry, now = Date.now()) {
+    return new Date(entry.expiresAt).getTime() <= now;
+  }
+
+  return {
+    enabled,
+    ttlHours,
+
+    /**
+     * Cache key for a prepared request (see configure() in lib/ai/index.js).
+     */
+    keyFor({ feature, provider, model, maxTokens, temperature, system, messages }) {
+      const hash = crypto.createHash('sha256');
+      hash.update(JSON.stringify([feature, provider, model ?? null, maxTokens ?? null, temperature ?? null, system, messages]));
+      return hash.digest('hex');
+    },
+
+    /**
+     * The live entry for `key`, or null.
+     */
+    get(key) {
+      if (!enabled) return null;
+      const entry = storage.get('ai-cache', key);
+      return entry && !isExpired(entry) ? entry : null;
+    },
+
+    set(key, { feature, model, data }) {
+      if (!enabled) return null;
+      const now = Date.now();
+      const entry = {
+        id: key,
+        feature,
+        model: model || null,
+        data,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlHours * HOUR_MS).toISOString()
+      };
+      const kept = storage.list('ai-cache').filter((e) => e.id !== key && !isExpired(e, now));
+      storage.replaceAll('ai-cache', [...kept, entry]);
+      return entry;
+    },
+
+    /**
+     * Remove every entry, or only those of one feature. Returns the number removed.
+     */
+    clear(feature) {
+      const entries = storage.list('ai-cache');
+      const kept = feature ? entries.filter((e) => e.feature !== feature) : [];
+      storage.replaceAll('ai-cache', kept);
+      return entries.length - kept.length;
+    },
+
+    /**
+     * Live entry counts, in total and per feature.
+     */
+    stats() {
+      const byFeature = {};
+      let entries = 0;
+      for (const entry of storage.list('ai-cache')) {
+        if (isExpired(entry)) continue;
+        entries++;
+        byFeature[entry.feature] = (byFeature[entry.feature] || 0) + 1;
+      }
+      return { enabled, ttlHours, entries, byFeature };
+    }
+  };
+}
+
+module.exports = { createResponseCache };
@@ -0,0 +1,102 @@
+/**
+ * AI Request Errors
+ * A failed request to an AI backend is reported as an AiRequestError in one
+ * of these categories, each with the HTTP status the routes answer with:
+ *
+ *   auth             the API key is missing, wrong or not allowed      401
+ *   quota            a rate limit was hit, or the account is out of
+ *                    credit                                              429
+ *   overloaded       the backend is overloaded, down or unreachable      503
+ *   invalid-request  the backend refused the request, such as an
+ *                    unknown model or a prompt that is too long         422
+ *   unknown          anything else the backend answered with             502
+ *
+ * Providers turn their own errors into AiRequestErrors with
+ * classifyHttpError() and unreachableError(). `retryable` marks failures
+ * worth another try (rate limits, overloaded or unreachable backends), and
+ * `retryAfterMs` carries the backend's Retry-After when it sent one.
+ */
+
+const CATEGORIES = {
+  auth: { status: 401, message: 'The AI provider rejected the API key' },
+  quota: { status: 429, message: 'The AI provider\'s rate limit or quota was reached' },
+  overloaded: { status: 503, message: 'The AI provider is overloaded or unreachable' },
+  'invalid-request': { status: 422, message: 'The AI provider refused the request' },
+  unknown: { status: 502, message: 'The AI provider returned an error' }
+};
+
+// Out of credit rather than briefly rate limited, so waiting won't help
+const BILLING_PATTERN = /credit balance|billing|insufficient_quota|exceeded your current quota/i;
+
+class AiRequestError extends Error {
+  constructor(category, details, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(CATEGORIES[category].message);
+    this.name = 'AiRequestError';
+    this.category = category;
+    this.code = `AI_${category.toUpperCase().replace('-', '_')}`;
+    this.httpStatus = CATEGORIES[category].status;
+    this.details = details;
+    this.upstreamStatus = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+/**
+ * Milliseconds to wait from retry-after-ms or Retry-After (seconds or an
+ * HTTP date), or null when the backend did not say.
+ */
+function parseRetryAfter(headers) {
+  const ms = Number(headerValue(headers, 'retry-after-ms'));
+  if (ms > 0) return ms;
+  const value = headerValue(headers, 'retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classify an error response. `type` is the error type from the response
+ * body when the backend sends one (e.g. Anthropic's overloaded_error).
+ */
+function classifyHttpError({ status, type, message, headers }) {
+  const options = { status: status || null, retryAfterMs: parseRetryAfter(headers) };
+  if (status === 401 || status === 403 || type === 'authentication_error' || type === 'permission_error') {
+    return new AiRequestError('auth', message, options);
+  }
+  if (BILLING_PATTERN.test(message || '')) {
+    return new AiRequestError('quota', message, options);
+  }
+  if (status === 429 || type === 'rate_limit_error') {
+    return new AiRequestError('quota', message, { ...options, retryable: true });
+  }
+  if (status === 408 || status === 529 || status >= 500 || type === 'overloaded_error' || type === 'api_error') {
+    return new AiRequestError('overloaded', message, { ...options, retryable: true });
+  }
+  if (status >= 400 || type === 'invalid_request_error' || type === 'not_found_error') {
+    return new AiRequestError('invalid-request', message, options);
+  }
+  return new AiRequestError('unknown', message, options);
+}
+
+/**
+ * The backend could not be reached at all (connection refused, DNS,
+ * timeout). Worth retrying, since it is often a blip.
+ */
+function unreachableError(message) {
+  return new AiRequestError('overloaded', message, { retryable: true });
+}
+
+module.exports = {
+  AiRequestError,
+  classifyHttpError,
+  unreachableError,
+  parseRetryAfter
+};
@@ -0,0 +1,94 @@
+/**
+ * Per-Feature AI Configuration
+ * Each AI feature can use its own model, output-token budget and
+ * temperature. FEATURE_DEFAULTS holds the built-in values; the user's
+ * overrides are stored in the ai-settings document as
+ * { features: { <feature>: { model, maxTokens, temperature } } }, where a
+ * missing or null field means "use the default". A null model is the
+ * provider's own default, and a null temperature leaves it to the provider.
+ */
+
+const FEATURE_DEFAULTS = {
+  'parse-resume': { model: null, maxTokens: 4096, temperature: null },
+  'extract-job': { model: null, maxTokens: 4096, temperature: null },
+  'match-analysis': { model: null, maxTokens: 4096, temperature: null },
+  'tailor-resume': { model: null, maxTokens: 4096, temperature: null },
+  'cover-letter': { model: null, maxTokens: 4096, temperature: null },
+  chat: { model: null, maxTokens: 4096, temperature: null },
+  headhunter: { model: null, maxTokens: 4096, temperature: null },
+  'interview-start': { model: null, maxTokens: 4096, temperature: null },
+  'interview-respond': { model: null, maxTokens: 2048, temperature: null },
+  'interview-end': { model: null, maxTokens: 2048, temperature: null }
+};
+
+const MAX_TOKENS_LIMIT = 64000;
+
+class AiConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AiConfigError';
+    this.code = 'INVALID_AI_CONFIG';
+  }
+}
+
+function normalizeOverride(feature, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AiConfigError(`Settings for "${feature}" must be an object`);
+  }
+  const override = {};
+  const { model, maxTokens, temperature } = input;
+
+  if (model !== undefined && model !== null && model !== '') {
+    if (typeof model !== 'string') throw new AiConfigError(`Model for "${feature}" must be a string`);
+    override.model = model.trim();
+  }
+  if (maxTokens !== undefined && maxTokens !== null && maxTokens !== '') {
+    const value = Number(maxTokens);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_TOKENS_LIMIT) {
+      throw new AiConfigError(`Max tokens for "${feature}" must be a whole number from 1 to ${MAX_TOKENS_LIMIT}`);
+    }
+    override.maxTokens = value;
+  }
+  if (temperature !== undefined && temperature !== null && temperature !== '') {
+    const value = Number(temperature);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      throw new AiConfigError(`Temperature for "${feature}" must be between 0 and 1`);
+    }
+    override.temperature = value;
+  }
+  return override;
+}
+
+/**
+ * Validate user overrides, dropping empty fields and features left at their
+ * defaults. Throws AiConfigError on unknown features or bad values.
+ */
+function normalizeFeatureOverrides(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AiConfigError('Feature settings must be an object keyed by feature');
+  }
+  const overrides = {};
+  for (const [feature, value] of Object.entries(input)) {
+    if (!(feature in FEATURE_DEFAULTS)) {
+      throw new AiConfigError(`Unknown AI feature "${feature}"`);
+    }
+    const override = normalizeOverride(feature, value);
+    if (Object.keys(override).length > 0) overrides[feature] = override;
+  }
+  return overrides;
+}
+
+/**
+ * The settings a feature runs with: its defaults with the overrides applied.
+ */
+function resolveFeatureConfig(feature, overrides = {}) {
+  return { ...FEATURE_DEFAULTS[feature], ...overrides[feature] };
+}
+
+module.exports = {
+  FEATURE_DEFAULTS,
+  MAX_TOKENS_LIMIT,
+  AiConfigError,
+  normalizeFeatureOverrides,
+  resolveFeatureConfig
+};
@@ -0,0 +1,156 @@
+/**
+ * Mock AI Fixtures
+ * Canned responses for the mock provider, one per AI feature. A fixture is
+ * a value (objects are sent as JSON text) or a function of the request
+ * ({ system, messages }) for responses that depend on the conversation.
+ */
+
+const INTERVIEW_QUESTIONS = [
+  {
+    question: 'Thanks for joining me today! To start, could you walk me through your background and what drew you to this role?',
+    questionType: 'behavioral',
+    tip: 'Keep it to about two minutes and end on why this role is your next step.'
+  },
+  {
+    question: 'Tell me about a project you are proud of. What was your part in it, and how did you measure success?',
+    questionType: 'behavioral',
+    tip: 'Use the STAR method: situation, task, action, result.'
+  },
+  {
+    question: 'How would you approach your first 90 days in this position?',
+    questionType: 'situational',
+    tip: 'Show that you would learn before changing things, and name a concrete early win.'
+  },
+  {
+    question: 'Describe a time you disagreed with a teammate. How did you resolve it?',
+    questionType: 'behavioral',
+    tip: 'Focus on how you listened and what the outcome was, not on who was right.'
+  },
+  {
+    question: 'Which of the skills in this job description do you most want to grow, and how?',
+    questionType: 'situational',
+    tip: 'Be honest about a gap and show a specific plan for closing it.'
+  }
+];
+
+function askedCount(messages) {
+  // The respond request replays each question as an assistant message
+  return messages.filter((m) => m.role === 'assistant').length;
+}
+
+const FIXTURES = {
+  'parse-resume': {
+    name: 'Alex Sample',
+    email: 'alex@example.com',
+    phone: '555-0100',
+    location: 'Portland, OR',
+    title: 'Product Designer',
+    summary: '',
+    skills: ['Figma', 'User Research', 'Prototyping'],
+    experience: [
+      {
+        company: 'Example Co',
+        title: 'Product Designer',
+        startDate: '2021-03',
+        endDate: '',
+        current: true,
+        description: 'Designed onboarding flows and ran usability studies.',
+        fields: ['design', 'tech']
+      }
+    ],
+    education: [
+      { institution: 'State University', degree: 'BFA', field: 'Graphic Design', year: '2018' }
+    ],
+    certifications: [],
+    links: { linkedin: '', portfolio: '', github: '' }
+  },
+
+  'extract-job': {
+    title: 'Senior Product Designer',
+    company: 'Example Co',
+    location: 'Remote',
+    type: 'Full-time',
+    salaryMin: 120000,
+    salaryMax: 150000,
+    salaryType: 'annual',
+    description: 'Lead design for our core product, partnering with research and engineering.',
+    requirements: ['5+ years of product design', 'Strong prototyping skills'],
+    niceToHave: ['Design systems experience'],
+    field: 'Technology',
+    applicationUrl: ''
+  },
+
+  'match-analysis': {
+    matchScore: 78,
+    matchingSkills: ['Figma', 'Prototyping'],
+    missingSkills: ['Design systems'],
+    transferableSkills: ['User Research'],
+    relevantExperience: [
+      { role: 'Product Designer', company: 'Example Co', relevance: 'Owns end-to-end product design work.' }
+    ],
+    recommendations: ['Add a design systems case study to your portfolio.'],
+    summary: 'A solid match on core design skills, with one gap worth addressing before applying.'
+  },
+
+  'tailor-resume': {
+    resume: 'ALEX SAMPLE\nProduct Designer\n\nEXPERIENCE\nProduct Designer, Example Co (2021 – Present)\n- Redesigned onboarding, lifting activation by 12%',
+    summary: 'Product designer with five years of experience shipping research-driven products.',
+    skills: {
+      management: ['Cross-functional collaboration'],
+      design: ['Prototyping', 'Interaction design'],
+      tools: ['Figma']
+    },
+    experiences: [
+      {
+        title: 'Product Designer',
+        company: 'Example Co',
+        location: 'Portland, OR',
+        dates: '2021 – Present',
+        bullets: ['Redesigned onboarding, lifting activation by 12%', 'Ran 20+ usability studies']
+      }
+    ],
+    changes: ['Led with onboarding work to match the job description'],
+    highlights: ['Research-driven design'],
+    atsKeywords: ['prototyping', 'user research']
+  },
+
+  'cover-letter': {
+    coverLetter: 'Dear Hiring Team,\n\nThe first thing I do on any project is talk to the people who will use it. ...\n\nWarm regards,\nAlex Sample',
+    toneNotes: 'Warm and direct, matching the writing samples.',
+    keyPoints: ['User research background', 'Shipped onboarding redesign']
+  },
+
+  chat: 'This is a canned reply from the mock AI provider. Set AI_PROVIDER=anthropic to talk to the real career coach.',
+
+  headhunter: {
+    searchQueries: [
+      { platform: 'LinkedIn', query: 'product designer remote', url: 'https://www.linkedin.com/jobs/search/?keywords=product%20designer%20remote' }
+    ],
+    suggestedCompanies: [
+      { name: 'Example Co', reason: 'Design-led product culture.', careerPageUrl: '' }
+    ],
+    recommendedTitles: ['Product Designer', 'UX Designer'],
+    industryBoards: [
+      { name: 'Dribbble Jobs', url: 'https://dribbble.com/jobs', description: 'Design-focused roles.' }
+    ],
+    searchTips: ['Set alerts for your top two titles.'],
+    summary: 'Focus on design-led product companies hiring remotely.'
+  },
+
+  'interview-start': INTERVIEW_QUESTIONS[0],
+
+  'interview-respond': ({ messages }) => ({
+    feedback: 'Good, specific answer. Adding a measurable result would make it even stronger.',
+    ...INTERVIEW_QUESTIONS[askedCount(messages) % INTERVIEW_QUESTIONS.length]
+  }),
+
+  'interview-end': {
+    overallScore: 7,
+    summary: 'Clear, well-structured answers with room to quantify impact.',
+    strengths: ['Clear communication', 'Relevant examples'],
+    improvements: ['Quantify results', 'Tie answers back to the role'],
+    tips: ['Prepare two stories with numbers you can cite.']
+  }
+};
+
+module.exports = { FIXTURES };
@@ -0,0 +1,274 @@
+/**
+ * AI Providers
+ * Every AI feature sends its requests through this interface instead of
+ * calling a vendor SDK directly. The provider is selected with the
+ * AI_PROVIDER environment variable (or in Settings):
+ *
+ *   anthropic  (default) — the Anthropic Messages API; needs ANTHROPIC_API_KEY
+ *   openai               — any OpenAI-compatible chat-completions server, such
+ *                          as a local Ollama, LM Studio or vLLM
+ *                          (see openai-compatible-provider.js)
+ *   mock                 — canned local responses (see mock-provider.js);
+ *                          no network and no API key
+ *
+ * Interface:
+ *   name                         → provider name
+ *   configured                   → false while a required API key or model is missing
+ *   setApiKey(key)               → use a new Anthropic API key from now on
+ *   complete({ feature, system, messages }, { onText, signal })
+ *                                → { text, model, usage: { inputTokens, outputTokens } }
+ *   completeJson(request, { onText, signal, cache, refresh })
+ *                                → same as complete(), plus `data`, the parsed and
+ *                                  schema-checked JSON (see schemas.js)
+ *
+ * `feature` names the AI feature making the request (one of AI_FEATURES).
+ * `messages` is the conversation as [{ role: 'user' | 'assistant', content }].
+ * `jobId`, when given, links the request to a job in the usage ledger.
+ * With `onText`, the answer is streamed: onText(chunk) is called with each
+ * piece of text as it arrives. `signal` (an AbortSignal) cancels the request.
+ * The model, maxTokens and temperature for each request come from the
+ * feature's configuration (see feature-config.js); `featureOverrides`
+ * returns the user's current overrides.
+ *
+ * When a JSON response cannot be parsed or breaks the feature's schema,
+ * completeJson() shows the model its answer and the problems and asks for a
+ * corrected one, up to `repairAttempts` times. Smaller local models get the
+ * format wrong more often: for features listed in `fallbackFeatures`, a
+ * response still invalid after repairs is retried once on Anthropic, when
+ * an Anthropic key is set. Anything still invalid throws AiJsonError.
+ *
+ * Every request sent to a backend, repairs and fallbacks included, is
+ * reported to `onUsage` with its tokens, latency and outcome (see usage.js).
+ *
+ * With `cache: true`, completeJson() answers from `responseCache` (see
+ * cache.js) when the same request was answered before, and stores new
+ * answers there; the response then has `cachedAt`. `refresh: true` skips
+ * the lookup but still stores the new answer. Cached answers make no
+ * request, so they are not reported to onUsage.
+ *
+ * Backend failures are thrown as AiRequestError, classified as auth, quota,
+ * overloaded, invalid-request or unknown (see errors.js). Rate limits and
+ * overloaded or unreachable backends are retried with backoff, up to
+ * `maxRetries` times (see retry.js). A streamed request is only retried
+ * while none of its answer has been sent on.
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+
+const { createAnthropicProvider } = require('./anthropic-provider');
+const { createOpenAiCompatibleProvider } = require('./openai-compatible-provider');
+const { createMockProvider } = require('./mock-provider');
+const { parseJsonResponse, AiJsonError } = require('./json');
+const { validateResponse } = require('./schemas');
+const { AiRequestError } = require('./errors');
+const { createRetryPolicy } = require('./retry');
+const {
+  FEATURE_DEFAULTS,
+  AiConfigError,
+  normalizeFeatureOverrides,
+  resolveFeatureConfig
+} = require('./feature-config');
+
+const PROVIDERS = ['anthropic', 'openai', 'mock'];
+
+const AI_FEATURES = [
+  'parse-resume',
+  'extract-job',
+  'match-analysis',
+  'tailor-resume',
+  'cover-letter',
+  'chat',
+  'headhunter',
+  'interview-start',
+  'interview-respond',
+  'interview-end'
+];
+
+// Features whose responses are JSON, and so can fall back
+const JSON_FEATURES = AI_FEATURES.filter((feature) => feature !== 'chat');
+
+const MAX_REPAIR_ATTEMPTS = 3;
+
+/**
+ * Parse a response and check it against the feature's schema.
+ * Returns { data }, or { code, problems } for an AiJsonError.
+ */
+function checkResponse(feature, text) {
+  let data;
+  try {
+    data = parseJsonResponse(text);
+  } catch (err) {
+    if (!(err instanceof AiJsonError)) throw err;
+    return { code: 'INVALID_AI_JSON', problems: ['The response is not valid JSON.'] };
+  }
+  const problems = validateResponse(feature, data);
+  return problems.length > 0 ? { code: 'AI_SCHEMA_MISMATCH', problems } : { data };
+}
+
+function repairRequest(problems) {
+  return 'Your response could not be used:\n' +
+    problems.map((problem) => `- ${problem}`).join('\n') +
+    '\n\nReply with the corrected JSON object only, following the schema from the instructions.';
+}
+
+function createAiProvider({
+  provider = 'anthropic',
+  apiKey,
+  fixturesDir,
+  openai = {},
+  fallbackFeatures = [],
+  featureOverrides = () => ({}),
+  repairAttempts = 1,
+  maxRetries = 2,
+  onUsage = () => {},
+  responseCache = null
+}) {
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown AI_PROVIDER "${provider}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+  const unknown = fallbackFeatures.filter((feature) => !JSON_FEATURES.includes(feature));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown AI fallback feature(s): ${unknown.join(', ')}. Expected any of: ${JSON_FEATURES.join(', ')}`);
+  }
+  if (!Number.isInteger(repairAttempts) || repairAttempts < 0 || repairAttempts > MAX_REPAIR_ATTEMPTS) {
+    throw new Error(`AI repair attempts must be a whole number from 0 to ${MAX_REPAIR_ATTEMPTS}`);
+  }
+
+  const retryPolicy = createRetryPolicy({ maxRetries });
+
+  const anthropic = provider === 'mock' ? null : createAnthropicProvider({ apiKey });
+  let impl = anthropic;
+  if (provider === 'mock') impl = createMockProvider({ fixturesDir });
+  if (provider === 'openai') impl = createOpenAiCompatibleProvider(openai);
+  // Only a different backend is worth retrying on
+  const fallback = provider === 'openai' ? anthropic : null;
+
+  // Fill in the feature's model, token budget and temperature
+  function configure(request) {
+    if (!AI_FEATURES.includes(request.feature)) {
+      throw new Error(`Unknown AI feature "${request.feature}"`);
+    }
+    const { model, maxTokens, temperature } = resolveFeatureConfig(request.feature, featureOverrides());
+    return { ...request, model: model || undefined, maxTokens, temperature: temperature ?? undefined };
+  }
+
+  // Send one request to a backend, retrying failures worth retrying, and
+  // report every attempt to onUsage whatever the outcome
+  async function send(backend, request, { onText, signal } = {}, kind) {
+    const entry = { feature: request.feature, provider: backend.name, kind, jobId: request.jobId };
+    let streamed = false;
+    const forward = onText && ((chunk) => {
+      streamed = true;
+      onText(chunk);
+    });
+
+    for (let attempt = 0; ; attempt++) {
+      const started = Date.now();
+      let response;
+      try {
+        response = await backend.complete(request, { onText: forward, signal });
+      } catch (err) {
+        report({ ...entry, model: request.model, latencyMs: Date.now() - started, ok: false, error: err.details || err.message });
+        const delay = streamed || signal?.aborted ? null : retryPolicy.delayFor(err, attempt);
+        if (delay === null) throw err;
+        console.warn(`[AI] ${backend.name} ${request.feature} request failed (${err.category}: ${err.details}); retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retryPolicy.maxRetries})`);
+        await sleep(delay, undefined, { signal });
+        continue;
+      }
+      report({
+        ...entry,
+        model: response.model,
+        inputTokens: response.usage?.inputTokens,
+        outputTokens: response.usage?.outputTokens,
+        latencyMs: Date.now() - started,
+        ok: true
+      });
+      return response;
+    }
+  }
+
+  function report(entry) {
+    try {
+      onUsage(entry);
+    } catch (err) {
+      console.warn(`[AI] Could not record usage: ${err.message}`);
+    }
+  }
+
+  return {
+    ...impl,
+
+    get configured() {
+      return impl.configured;
+    },
+
+    setApiKey(key) {
+      if (anthropic) anthropic.setApiKey(key);
+    },
+
+    async complete(request, { onText, signal } = {}) {
+      return send(impl, configure(request), { onText, signal }, 'initial');
+    },
+
+    async completeJson(request, { onText, signal, cache = false, refresh = false } = {}) {
+      const prepared = configure(request);
+      const cacheKey = cache && responseCache?.enabled ? responseCache.keyFor({ ...prepared, provider: impl.name }) : null;
+      const hit = cacheKey && !refresh ? responseCache.get(cacheKey) : null;
+      if (hit) {
+        return {
+          text: JSON.stringify(hit.data),
+          model: hit.model,
+          usage: { inputTokens: 0, outputTokens: 0 },
+          data: hit.data,
+          cachedAt: hit.createdAt
+        };
+      }
+
+      // Only the first answer is streamed; repairs and fallbacks replace it
+      let response = await send(impl, prepared, { onText, signal }, 'initial');
+      let result = checkResponse(request.feature, response.text);
+
+      for (let attempt = 1; result.problems && attempt <= repairAttempts; attempt++) {
+        console.warn(`[AI] Invalid ${request.feature} response from ${impl.name}; asking for a repair (${attempt}/${repairAttempts})`);
+        response = await send(impl, {
+          ...prepared,
+          messages: [
+            ...prepared.messages,
+            { role: 'assistant', content: response.text },
+            { role: 'user', content: repairRequest(result.problems) }
+          ]
+        }, { signal }, 'repair');
+        result = checkResponse(request.feature, response.text);
+      }
+
+      if (result.problems && fallback && fallback.configured && fallbackFeatures.includes(request.feature)) {
+        console.warn(`[AI] ${impl.name} returned an invalid ${request.feature} response; retrying on ${fallback.name}`);
+        // The feature's model is named for the primary backend, so use Anthropic's default
+        response = await send(fallback, { ...prepared, model: undefined }, { signal }, 'fallback');
+        result = checkResponse(request.feature, response.text);
+        response = { ...response, fellBack: true };
+      }
+
+      if (result.problems) {
+        const message = result.code === 'INVALID_AI_JSON'
+          ? 'The AI response did not contain valid JSON'
+          : 'The AI response did not match the expected format';
+        throw new AiJsonError(message, response.text, { code: result.code, issues: result.problems });
+      }
+      if (cacheKey) responseCache.set(cacheKey, { feature: request.feature, model: response.model, data: result.data });
+      return { ...response, data: result.data, cachedAt: null };
+    }
+  };
+}
+
+module.exports = {
+  createAiProvider,
+  PROVIDERS,
+  AI_FEATURES,
+  JSON_FEATURES,
+  FEATURE_DEFAULTS,
+  AiJsonError,
+  AiConfigError,
+  AiRequestError,
+  normalizeFeatureOverrides
+};
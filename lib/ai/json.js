@@ -0,0 +1,53 @@
+/**
+ * JSON Responses
+ * Most AI features ask for a bare JSON object. Models don't always comply:
+ * they wrap it in a ```json fence, add a sentence before or after it, or
+ * (smaller local models especially) leave trailing commas. parseJsonResponse
+ * recovers the object from all of those and fails only when there is no
+ * JSON to be found.
+ */
+
+/**
+ * A response whose JSON could not be recovered (code INVALID_AI_JSON) or
+ * does not match the feature's schema (code AI_SCHEMA_MISMATCH, with the
+ * problems in `issues`). `raw` is the model's last answer.
+ */
+class AiJsonError extends Error {
+  constructor(message, raw, { code = 'INVALID_AI_JSON', issues = [] } = {}) {
+    super(message);
+    this.name = 'AiJsonError';
+    this.code = code;
+    this.raw = raw;
+    this.issues = issues;
+  }
+}
+
+function candidatesFor(text) {
+  const candidates = [];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) candidates.push(fenced[1]);
+  candidates.push(text);
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+  return candidates.map((candidate) => candidate.trim());
+}
+
+/**
+ * Parse the JSON in a model response. Throws AiJsonError carrying the raw
+ * text when nothing parses.
+ */
+function parseJsonResponse(text) {
+  for (const candidate of candidatesFor(String(text || ''))) {
+    for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+      try {
+        return JSON.parse(attempt);
+      } catch {
+        // try the next form
+      }
+    }
+  }
+  throw new AiJsonError('The AI response did not contain valid JSON', text);
+}
+
+module.exports = { parseJsonResponse, AiJsonError };
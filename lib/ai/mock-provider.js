@@ -0,0 +1,74 @@
+/**
+ * Mock Provider
+ * Answers every AI request locally with a canned response for its feature,
+ * so the app runs with no network and no API key. Responses are
+ * deterministic: the same request always gets the same answer.
+ *
+ * The built-in responses live in fixtures.js. To override one, put
+ * <feature>.json or <feature>.txt in `fixturesDir`; its contents are
+ * returned as the response text as-is.
+ *
+ * Streamed requests get the same text in small chunks, paced like a slow
+ * model so progress and cancel can be tried out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { FIXTURES } = require('./fixtures');
+
+const STREAM_CHUNK_CHARS = 24;
+const STREAM_CHUNK_DELAY_MS = 20;
+
+// Rough token estimate so usage numbers look plausible
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function createMockProvider({ fixturesDir } = {}) {
+  function fixtureFile(feature) {
+    if (!fixturesDir) return null;
+    for (const ext of ['.json', '.txt']) {
+      const filePath = path.join(fixturesDir, `${feature}${ext}`);
+      if (fs.existsSync(filePath)) return filePath;
+    }
+    return null;
+  }
+
+  return {
+    name: 'mock',
+    configured: true,
+
+    setApiKey() {},
+
+    async complete({ feature, system = '', messages = [] }, { onText, signal } = {}) {
+      const filePath = fixtureFile(feature);
+      let text;
+      if (filePath) {
+        text = fs.readFileSync(filePath, 'utf-8');
+      } else if (feature in FIXTURES) {
+        const fixture = FIXTURES[feature];
+        const value = typeof fixture === 'function' ? fixture({ system, messages }) : fixture;
+        text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+      } else {
+        throw new Error(`The mock AI provider has no response for "${feature}"`);
+      }
+
+      if (onText) {
+        for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+          await sleep(STREAM_CHUNK_DELAY_MS, undefined, { signal });
+          onText(text.slice(i, i + STREAM_CHUNK_CHARS));
+        }
+      }
+
+      const prompt = system + messages.map((m) => m.content).join('');
+      return {
+        text,
+        model: 'mock',
+        usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
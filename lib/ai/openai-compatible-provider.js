@@ -0,0 +1,168 @@
+/**
+ * OpenAI-Compatible Provider
+ * Sends AI requests to any server that speaks the OpenAI chat-completions
+ * protocol (POST <baseUrl>/chat/completions): a self-hosted model server
+ * such as Ollama, LM Studio, llama.cpp or vLLM, or a hosted service. The
+ * API key is optional because most local servers don't check one. Answers
+ * are streamed with `stream: true` when asked to.
+ */
+
+const { AiRequestError, classifyHttpError, unreachableError } = require('./errors');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+// The error message from an OpenAI-style error body, or the body itself
+function errorMessage(body) {
+  try {
+    const parsed = JSON.parse(body);
+    return parsed.error?.message || (typeof parsed.error === 'string' ? parsed.error : body);
+  } catch {
+    return body;
+  }
+}
+
+function parseChunk(data) {
+  let chunk;
+  try {
+    chunk = JSON.parse(data);
+  } catch {
+    throw new AiRequestError('unknown', `The OpenAI-compatible server sent a streamed chunk that is not JSON: ${data.slice(0, 300)}`);
+  }
+  // Some local servers report a failure mid-answer as a chunk of its own
+  if (chunk.error) {
+    throw classifyHttpError({
+      type: chunk.error.type,
+      message: `The OpenAI-compatible server failed mid-answer: ${errorMessage(data).slice(0, 300)}`
+    });
+  }
+  return chunk;
+}
+
+// A failure while reading the answer, unless the request was aborted
+function droppedError(err) {
+  if (err.name === 'AbortError') return err;
+  return unreachableError(`The connection to the OpenAI-compatible server dropped mid-answer: ${err.cause?.message || err.message}`);
+}
+
+async function readJson(response) {
+  const body = await response.text().catch((err) => {
+    throw droppedError(err);
+  });
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new AiRequestError('unknown', `The OpenAI-compatible server answered with something that is not JSON: ${body.slice(0, 300)}`);
+  }
+}
+
+/**
+ * Read a streamed chat completion (server-sent `data:` lines, each a chunk
+ * with a content delta), passing each delta to onText. Returns the result
+ * in the shape of a non-streamed completion. A chunk that is not JSON or
+ * carries an error, and a connection dropped mid-answer, are thrown as
+ * AiRequestErrors.
+ */
+async function readStream(response, onText) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let text = '';
+  let model = null;
+  let usage = null;
+
+  const reader = response.body[Symbol.asyncIterator]();
+  try {
+    for (;;) {
+      let next;
+      try {
+        next = await reader.next();
+      } catch (err) {
+        throw droppedError(err);
+      }
+      if (next.done) break;
+      buffered += decoder.decode(next.value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+        const chunk = parseChunk(data);
+        model = chunk.model || model;
+        usage = chunk.usage || usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+      }
+    }
+  } finally {
+    // Stop reading the body when a chunk was refused partway through
+    reader.return().catch(() => {});
+  }
+  return { model, usage, choices: [{ message: { content: text } }] };
+}
+
+function createOpenAiCompatibleProvider({ baseUrl = DEFAULT_BASE_URL, model, apiKey }) {
+  let key = apiKey || '';
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+
+    get configured() {
+      return Boolean(model);
+    },
+
+    setApiKey(nextKey) {
+      key = nextKey;
+    },
+
+    async complete({ system, messages, model: requestModel, maxTokens = 4096, temperature }, { onText, signal } = {}) {
+      const useModel = requestModel || model;
+      if (!useModel) {
+        throw new AiRequestError('invalid-request', 'No model is set for the OpenAI-compatible server. Set OPENAI_MODEL or choose one in Settings.');
+      }
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(key ? { Authorization: `Bearer ${key}` } : {})
+          },
+          body: JSON.stringify({
+            model: useModel,
+            max_tokens: maxTokens,
+            ...(temperature !== undefined ? { temperature } : {}),
+            ...(onText ? { stream: true, stream_options: { include_usage: true } } : {}),
+            messages: [{ role: 'system', content: system }, ...messages]
+          }),
+          signal
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw unreachableError(`Could not reach the OpenAI-compatible server at ${baseUrl}: ${err.cause?.message || err.message}`);
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw classifyHttpError({
+          status: response.status,
+          message: `The OpenAI-compatible server returned HTTP ${response.status}: ${errorMessage(body).slice(0, 300)}`,
+          headers: response.headers
+        });
+      }
+      const result = onText ? await readStream(response, onText) : await readJson(response);
+      return {
+        text: result.choices?.[0]?.message?.content || '',
+        model: result.model || useModel,
+        usage: {
+          inputTokens: result.usage?.prompt_tokens ?? 0,
+          outputTokens: result.usage?.completion_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAiCompatibleProvider, DEFAULT_BASE_URL };
@@ -0,0 +1,34 @@
+/**
+ * AI Pricing
+ * Estimated cost of a request from its token counts, in US dollars per
+ * million tokens. Models are matched by prefix, so dated releases such as
+ * claude-sonnet-4-20250514 share their family's price. The mock provider is
+ * free; models not listed here (local or other OpenAI-compatible servers)
+ * have no known price and are left out of cost totals and budgets.
+ */
+
+const MODEL_PRICES = [
+  { prefix: 'claude-opus-4', input: 15, output: 75 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { prefix: 'mock', input: 0, output: 0 }
+];
+
+function priceFor(model) {
+  if (!model) return null;
+  return MODEL_PRICES.find(({ prefix }) => model.startsWith(prefix)) || null;
+}
+
+/**
+ * Cost in US dollars, or null when the model's price is unknown.
+ */
+function estimateCost(model, inputTokens = 0, outputTokens = 0) {
+  const price = priceFor(model);
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+module.exports = { MODEL_PRICES, estimateCost };
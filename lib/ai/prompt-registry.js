@@ -0,0 +1,240 @@
+/**
+ * Prompt Registry
+ * The system prompt of every AI feature is a named template shipped in
+ * lib/ai/prompts/<name>.txt. Templates fill in {{variable}} placeholders
+ * with values from the route; each template declares the variables it may
+ * use in PROMPTS below.
+ *
+ * Users can override a template from the Prompts page. Overrides are kept
+ * in the `prompts` document as
+ * { overrides: { <name>: { text, baseVersion, updatedAt } } }, where
+ * baseVersion is the shipped version the user started from. Bump a
+ * template's `version` whenever its shipped text changes, so overrides of
+ * an older version are flagged as outdated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+const JOB_VARIABLES = {
+  jobTitle: 'The job title',
+  company: 'The company name'
+};
+
+const PROMPTS = {
+  'parse-resume': { label: 'Resume parsing', version: 1, variables: {} },
+  'extract-job': { label: 'Job import from a URL', version: 1, variables: {} },
+  'match-analysis': { label: 'Match analysis', version: 1, variables: {} },
+  'tailor-resume': { label: 'Resume tailoring', version: 1, variables: {} },
+  'cover-letter': { label: 'Cover letters', version: 1, variables: {} },
+  chat: {
+    label: 'Career coach chat',
+    version: 1,
+    variables: {
+      profile: 'The user\'s profile as JSON',
+      jobCount: 'How many jobs are saved',
+      savedJobs: 'Up to 10 saved jobs, one "- Title at Company" line each',
+      context: 'What the user is looking at in the app, under a "## Current Context" heading; empty when there is none'
+    }
+  },
+  headhunter: { label: 'Job Scout search strategy', version: 1, variables: {} },
+  'interview-start': { label: 'Mock interview: first question', version: 1, variables: JOB_VARIABLES },
+  'interview-respond': {
+    label: 'Mock interview: feedback and next question',
+    version: 1,
+    variables: { ...JOB_VARIABLES, questionCount: 'How many questions have been asked so far' }
+  },
+  'interview-end': { label: 'Mock interview: final assessment', version: 1, variables: JOB_VARIABLES }
+};
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9]*)\s*\}\}/g;
+const MAX_PROMPT_LENGTH = 20000;
+
+class PromptError extends Error {
+  constructor(message, code = 'INVALID_PROMPT') {
+    super(message);
+    this.name = 'PromptError';
+    this.code = code;
+  }
+}
+
+function placeholdersIn(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+}
+
+/**
+ * Throw PromptError when `text` cannot replace the `name` template: it is
+ * empty, too long, or uses variables the template doesn't have.
+ */
+function checkText(name, text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new PromptError('The prompt cannot be empty');
+  }
+  if (text.length > MAX_PROMPT_LENGTH) {
+    throw new PromptError(`The prompt is too long (at most ${MAX_PROMPT_LENGTH} characters)`);
+  }
+  const allowed = Object.keys(PROMPTS[name].variables);
+  const unknown = placeholdersIn(text).filter((variable) => !allowed.includes(variable));
+  if (unknown.length > 0) {
+    const choices = allowed.length > 0 ? `Available: ${allowed.map((v) => `{{${v}}}`).join(', ')}` : 'This prompt has no variables';
+    throw new PromptError(`Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map((v) => `{{${v}}}`).join(', ')}. ${choices}.`);
+  }
+}
+
+/**
+ * Check overrides from outside, such as an imported export. Overrides of
+ * prompts this version doesn't have are dropped; one without a baseVersion
+ * counts as based on version 0, so it shows as outdated. Throws PromptError
+ * naming the prompt when an override's text is not usable.
+ */
+function normalizeOverrides(overrides) {
+  if (overrides == null) return {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new PromptError('Prompt overrides must be an object keyed by prompt name');
+  }
+  const result = {};
+  for (const [name, override] of Object.entries(overrides)) {
+    if (!PROMPTS[name]) continue;
+    try {
+      checkText(name, override?.text);
+    } catch (err) {
+      throw new PromptError(`${PROMPTS[name].label}: ${err.message}`, err.code);
+    }
+    result[name] = {
+      text: override.text,
+      baseVersion: Number.isInteger(override.baseVersion) ? override.baseVersion : 0,
+      updatedAt: typeof override.updatedAt === 'string' ? override.updatedAt : null
+    };
+  }
+  return result;
+}
+
+/**
+ * Line-by-line differences from `before` to `after`, as
+ * [{ type: 'same' | 'removed' | 'added', text }], via the longest common
+ * subsequence of lines.
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+function createPromptRegistry({ storage, dir = PROMPTS_DIR }) {
+  const shipped = {};
+  for (const name of Object.keys(PROMPTS)) {
+    shipped[name] = fs.readFileSync(path.join(dir, `${name}.txt`), 'utf-8').replace(/\n$/, '');
+  }
+
+  function overrides() {
+    return storage.getDocument('prompts').overrides || {};
+  }
+
+  function summarize(name) {
+    const { label, version, variables } = PROMPTS[name];
+    const override = overrides()[name];
+    return {
+      name,
+      label,
+      version,
+      variables,
+      overridden: Boolean(override),
+      // The shipped template changed since the user's edit was based on it
+      outdated: Boolean(override) && override.baseVersion < version,
+      updatedAt: override?.updatedAt || null
+    };
+  }
+
+  /**
+   * Every template, without its text.
+   */
+  function list() {
+    return Object.keys(PROMPTS).map(summarize);
+  }
+
+  /**
+   * One template with its shipped text, the text in use and the
+   * differences between them, or null for an unknown name.
+   */
+  function get(name) {
+    if (!PROMPTS[name]) return null;
+    const text = overrides()[name]?.text ?? shipped[name];
+    return {
+      ...summarize(name),
+      defaultText: shipped[name],
+      text,
+      diff: diffLines(shipped[name], text)
+    };
+  }
+
+  /**
+   * The template in use for `name` with its placeholders filled in from
+   * `values`. Every variable the template uses must be given.
+   */
+  function render(name, values = {}) {
+    if (!PROMPTS[name]) throw new PromptError(`Unknown prompt "${name}"`, 'UNKNOWN_PROMPT');
+    const text = overrides()[name]?.text ?? shipped[name];
+    return text.replace(PLACEHOLDER, (match, variable) => {
+      if (!(variable in values)) throw new PromptError(`No value for {{${variable}}} in the "${name}" prompt`);
+      return String(values[variable]);
+    });
+  }
+
+  /**
+   * Override a template. Text identical to the shipped template removes
+   * the override instead. Throws PromptError for text that is empty, too
+   * long, or uses variables the template doesn't have.
+   */
+  function save(name, text) {
+    if (!PROMPTS[name]) return null;
+    checkText(name, text);
+
+    const doc = storage.getDocument('prompts');
+    const { [name]: previous, ...rest } = doc.overrides || {};
+    const normalized = text.replace(/\r\n/g, '\n').replace(/\n+$/, '');
+    const next = normalized === shipped[name]
+      ? rest
+      : { ...rest, [name]: { text: normalized, baseVersion: PROMPTS[name].version, updatedAt: new Date().toISOString() } };
+    storage.saveDocument('prompts', { ...doc, overrides: next });
+    return get(name);
+  }
+
+  /**
+   * Go back to the shipped template.
+   */
+  function reset(name) {
+    if (!PROMPTS[name]) return null;
+    const doc = storage.getDocument('prompts');
+    const { [name]: removed, ...rest } = doc.overrides || {};
+    storage.saveDocument('prompts', { ...doc, overrides: rest });
+    return get(name);
+  }
+
+  return { list, get, render, save, reset };
+}
+
+module.exports = { createPromptRegistry, PromptError, PROMPTS, diffLines, normalizeOverrides };
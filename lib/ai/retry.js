@@ -0,0 +1,39 @@
+/**
+ * Retries
+ * Requests that fail with a retryable AiRequestError (see errors.js) are
+ * tried again up to `maxRetries` times. The wait doubles with each attempt
+ * from `baseDelayMs`, capped at `maxDelayMs`, with random jitter so that
+ * parallel requests don't retry in lockstep. When the backend says how long
+ * to wait (Retry-After), that wait is used instead; one longer than
+ * `maxDelayMs` is not worth holding the request open for, so the error is
+ * returned right away.
+ */
+
+const { AiRequestError } = require('./errors');
+
+const MAX_RETRIES_LIMIT = 5;
+
+function createRetryPolicy({ maxRetries = 2, baseDelayMs = 1000, maxDelayMs = 30000, random = Math.random } = {}) {
+  if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > MAX_RETRIES_LIMIT) {
+    throw new Error(`AI max retries must be a whole number from 0 to ${MAX_RETRIES_LIMIT}`);
+  }
+
+  return {
+    maxRetries,
+
+    /**
+     * Milliseconds to wait before retrying after `err` on the given attempt
+     * (0 for the first retry), or null when it should not be retried.
+     */
+    delayFor(err, attempt) {
+      if (!(err instanceof AiRequestError) || !err.retryable || attempt >= maxRetries) return null;
+      if (err.retryAfterMs !== null) {
+        return err.retryAfterMs <= maxDelayMs ? err.retryAfterMs : null;
+      }
+      const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      return Math.round(ceiling / 2 + random() * (ceiling / 2));
+    }
+  };
+}
+
+module.exports = { createRetryPolicy, MAX_RETRIES_LIMIT };
@@ -0,0 +1,259 @@
+/**
+ * AI Response Schemas
+ * The JSON shape each feature expects back from the model, written in a
+ * small subset of JSON Schema:
+ *
+ *   type         'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null',
+ *                or a list of them
+ *   properties   schemas for an object's fields (other fields are allowed)
+ *   required     fields an object must have
+ *   items        schema for every element of an array
+ *   minimum / maximum   bounds for numbers
+ *   minLength    minimum length for strings
+ *   enum         allowed values
+ *
+ * validateResponse() lists every way a value breaks its feature's schema,
+ * as messages the model can act on in a repair request.
+ */
+
+const string = { type: 'string' };
+const nonEmptyString = { type: 'string', minLength: 1 };
+const strings = { type: 'array', items: string };
+
+const RESPONSE_SCHEMAS = {
+  'parse-resume': {
+    type: 'object',
+    required: ['name', 'email', 'phone', 'location', 'title', 'summary', 'skills', 'experience', 'education', 'certifications', 'links'],
+    properties: {
+      name: string,
+      email: string,
+      phone: string,
+      location: string,
+      title: string,
+      summary: string,
+      skills: strings,
+      experience: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['company', 'title'],
+          properties: {
+            company: string,
+            title: string,
+            startDate: string,
+            endDate: string,
+            current: { type: 'boolean' },
+            description: string,
+            fields: strings
+          }
+        }
+      },
+      education: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { institution: string, degree: string, field: string, year: string }
+        }
+      },
+      certifications: strings,
+      links: {
+        type: 'object',
+        properties: { linkedin: string, portfolio: string, github: string }
+      }
+    }
+  },
+
+  'extract-job': {
+    type: 'object',
+    required: ['title', 'company', 'description'],
+    properties: {
+      title: nonEmptyString,
+      company: string,
+      location: string,
+      type: string,
+      salaryMin: { type: ['number', 'null'], minimum: 0 },
+      salaryMax: { type: ['number', 'null'], minimum: 0 },
+      salaryType: { enum: ['hourly', 'annual', ''] },
+      description: string,
+      requirements: strings,
+      niceToHave: strings,
+      field: string,
+      applicationUrl: string
+    }
+  },
+
+  'match-analysis': {
+    type: 'object',
+    required: ['matchScore', 'matchingSkills', 'missingSkills', 'summary'],
+    properties: {
+      matchScore: { type: 'number', minimum: 0, maximum: 100 },
+      matchingSkills: strings,
+      missingSkills: strings,
+      transferableSkills: strings,
+      relevantExperience: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { role: string, company: string, relevance: string }
+        }
+      },
+      recommendations: strings,
+      summary: string
+    }
+  },
+
+  'tailor-resume': {
+    type: 'object',
+    required: ['resume', 'summary', 'experiences'],
+    properties: {
+      resume: nonEmptyString,
+      summary: string,
+      skills: {
+        type: 'object',
+        properties: { management: strings, design: strings, tools: strings }
+      },
+      experiences: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title', 'company', 'bullets'],
+          properties: {
+            title: string,
+            company: string,
+            location: string,
+            dates: string,
+            bullets: strings
+          }
+        }
+      },
+      changes: strings,
+      highlights: strings,
+      atsKeywords: strings
+    }
+  },
+
+  'cover-letter': {
+    type: 'object',
+    required: ['coverLetter'],
+    properties: {
+      coverLetter: nonEmptyString,
+      toneNotes: string,
+      keyPoints: strings
+    }
+  },
+
+  headhunter: {
+    type: 'object',
+    required: ['searchQueries', 'summary'],
+    properties: {
+      searchQueries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['platform', 'query'],
+          properties: { platform: string, query: string, url: string }
+        }
+      },
+      suggestedCompanies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: { name: string, reason: string, careerPageUrl: string }
+        }
+      },
+      recommendedTitles: strings,
+      industryBoards: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: { name: string, url: string, description: string }
+        }
+      },
+      searchTips: strings,
+      summary: string
+    }
+  },
+
+  'interview-start': {
+    type: 'object',
+    required: ['question'],
+    properties: { question: nonEmptyString, questionType: string, tip: string }
+  },
+
+  'interview-respond': {
+    type: 'object',
+    required: ['feedback', 'question'],
+    properties: { feedback: string, question: nonEmptyString, questionType: string, tip: string }
+  },
+
+  'interview-end': {
+    type: 'object',
+    required: ['overallScore', 'summary', 'strengths', 'improvements'],
+    properties: {
+      overallScore: { type: 'number', minimum: 1, maximum: 10 },
+      summary: string,
+      strengths: strings,
+      improvements: strings,
+      tips: strings
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function validate(schema, value, where, problems) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      problems.push(`${where} must be ${types.join(' or ')}, not ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${where} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${where} must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    problems.push(`${where} must not be empty`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validate(schema.items, item, `${where}[${index}]`, problems));
+  }
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (!(field in value)) problems.push(`${where}.${field} is missing`);
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (field in value) validate(fieldSchema, value[field], `${where}.${field}`, problems);
+    }
+  }
+}
+
+/**
+ * Check a parsed response against its feature's schema. Returns a list of
+ * problems, empty when the response is valid or the feature has no schema.
+ */
+function validateResponse(feature, value) {
+  const schema = RESPONSE_SCHEMAS[feature];
+  if (!schema) return [];
+  const problems = [];
+  validate(schema, value, 'response', problems);
+  return problems;
+}
+
+module.exports = { RESPONSE_SCHEMAS, validateResponse };
@@ -0,0 +1,196 @@
+/**
+ * AI Usage Ledger
+ * One record per request sent to an AI backend, kept in the `ai-usage`
+ * collection:
+ *
+ *   feature, provider, model   what was asked, and of whom
+ *   kind                       initial, repair (a JSON fix-up) or fallback
+ *   inputTokens, outputTokens  from the backend's reported usage
+ *   costUsd                    estimated from pricing.js; null when unknown
+ *   latencyMs, ok, error       how the request went
+ *   jobId                      the job the request was about, if any
+ *
+ * Spending limits are kept in the `ai-settings` document as
+ * budgets: { dailyUsd, monthlyUsd }; null means no limit. Days and months
+ * follow the server's local time. Entries older than KEEP_DAYS are dropped
+ * as new ones are recorded.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { estimateCost } = require('./pricing');
+
+const KEEP_DAYS = 400;
+const SUMMARY_DAYS = 30;
+const RECENT_LIMIT = 25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AiBudgetError extends Error {
+  constructor(message, code = 'INVALID_AI_BUDGET') {
+    super(message);
+    this.name = 'AiBudgetError';
+    this.code = code;
+  }
+}
+
+// Local calendar day as YYYY-MM-DD
+function dayKey(date) {
+  const d = new Date(date);
+  return [
+    d.getFullYear(),
+    String(d.getMonth() + 1).padStart(2, '0'),
+    String(d.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function emptyTotals() {
+  return { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.calls++;
+  if (!entry.ok) totals.failures++;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  if (entry.costUsd === null || entry.costUsd === undefined) {
+    totals.unpricedCalls++;
+  } else {
+    totals.costUsd += entry.costUsd;
+  }
+  return totals;
+}
+
+/**
+ * Check a { dailyUsd, monthlyUsd } object from a request. Blank values mean
+ * no limit. Throws AiBudgetError.
+ */
+function normalizeBudgets(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AiBudgetError('Budgets must be an object with dailyUsd and monthlyUsd');
+  }
+  const budgets = {};
+  for (const [field, label] of [['dailyUsd', 'daily'], ['monthlyUsd', 'monthly']]) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') {
+      budgets[field] = null;
+      continue;
+    }
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AiBudgetError(`The ${label} budget must be a positive amount in US dollars`);
+    }
+    budgets[field] = amount;
+  }
+  return budgets;
+}
+
+function createUsageLedger({ storage, budgets = () => ({}) }) {
+  /**
+   * Add an entry for one AI request. Returns the stored record.
+   */
+  function record(entry) {
+    const now = new Date();
+    const inputTokens = entry.inputTokens || 0;
+    const outputTokens = entry.outputTokens || 0;
+    const stored = {
+      id: uuidv4(),
+      feature: entry.feature,
+      provider: entry.provider,
+      model: entry.model || null,
+      kind: entry.kind || 'initial',
+      inputTokens,
+      outputTokens,
+      // A request that used no tokens (one that failed to connect, say) cost nothing
+      costUsd: inputTokens + outputTokens === 0 ? 0 : estimateCost(entry.model, inputTokens, outputTokens),
+      latencyMs: entry.latencyMs ?? null,
+      ok: entry.ok !== false,
+      error: entry.error || null,
+      jobId: entry.jobId || null,
+      createdAt: now.toISOString()
+    };
+    storage.insert('ai-usage', stored);
+
+    const cutoff = now.getTime() - KEEP_DAYS * DAY_MS;
+    const entries = storage.list('ai-usage');
+    if (entries.length > 0 && new Date(entries[0].createdAt).getTime() < cutoff) {
+      storage.replaceAll('ai-usage', entries.filter((e) => new Date(e.createdAt).getTime() >= cutoff));
+    }
+    return stored;
+  }
+
+  function spending(now = new Date()) {
+    const today = dayKey(now);
+    const month = today.slice(0, 7);
+    const totals = { today: emptyTotals(), month: emptyTotals() };
+    for (const entry of storage.list('ai-usage')) {
+      const day = dayKey(entry.createdAt);
+      if (day === today) addTo(totals.today, entry);
+      if (day.startsWith(month)) addTo(totals.month, entry);
+    }
+    return totals;
+  }
+
+  /**
+   * The limit that is used up, as { period: 'day' | 'month', limitUsd,
+   * spentUsd, resetsAt }, or null while spending is within budget.
+   */
+  function exceededBudget(now = new Date()) {
+    const { dailyUsd = null, monthlyUsd = null } = budgets() || {};
+    if (dailyUsd === null && monthlyUsd === null) return null;
+    const { today, month } = spending(now);
+    if (monthlyUsd !== null && month.costUsd >= monthlyUsd) {
+      return {
+        period: 'month',
+        limitUsd: monthlyUsd,
+        spentUsd: month.costUsd,
+        resetsAt: new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString()
+      };
+    }
+    if (dailyUsd !== null && today.costUsd >= dailyUsd) {
+      return {
+        period: 'day',
+        limitUsd: dailyUsd,
+        spentUsd: today.costUsd,
+        resetsAt: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).toISOString()
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Totals for today and this month, per day for the last SUMMARY_DAYS
+   * days (newest first), per feature for this month, and the latest calls.
+   */
+  function summary(now = new Date()) {
+    const entries = storage.list('ai-usage');
+    const month = dayKey(now).slice(0, 7);
+    const firstDay = dayKey(now.getTime() - (SUMMARY_DAYS - 1) * DAY_MS);
+    const byDay = new Map();
+    const byFeature = new Map();
+
+    for (const entry of entries) {
+      const day = dayKey(entry.createdAt);
+      if (day >= firstDay) {
+        if (!byDay.has(day)) byDay.set(day, { date: day, ...emptyTotals() });
+        addTo(byDay.get(day), entry);
+      }
+      if (day.startsWith(month)) {
+        if (!byFeature.has(entry.feature)) byFeature.set(entry.feature, { feature: entry.feature, ...emptyTotals() });
+        addTo(byFeature.get(entry.feature), entry);
+      }
+    }
+
+    const { dailyUsd = null, monthlyUsd = null } = budgets() || {};
+    return {
+      ...spending(now),
+      byDay: [...byDay.values()].sort((a, b) => b.date.localeCompare(a.date)),
+      byFeature: [...byFeature.values()].sort((a, b) => b.costUsd - a.costUsd || b.calls - a.calls),
+      recent: entries.slice(-RECENT_LIMIT).reverse(),
+      budgets: { dailyUsd, monthlyUsd },
+      exceeded: exceededBudget(now)
+    };
+  }
+
+  return { record, summary, exceededBudget };
+}
+
+module.exports = { createUsageLedger, normalizeBudgets, AiBudgetError };
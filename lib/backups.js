@@ -0,0 +1,237 @@
+/**
+ * Rolling Backups
+ * Point-in-time snapshots of everything in data/: every stored collection
+ * (whatever the storage backend) plus the uploaded templates/ and the
+ * generated/ documents. Snapshots live in data/backups/<id>/:
+ *
+ *   manifest.json   id, createdAt, reason, schemaVersion, record counts, checksum
+ *   data.json       storage.dump() at the time of the snapshot
+ *   templates/      copy of data/templates
+ *   generated/      copy of data/generated
+ *
+ * Retention keeps the newest `keepLast` snapshots, plus the newest snapshot
+ * of each calendar day for the last `keepDays` days.
+ *
+ * With encryption at rest on, the sensitive collections in data.json are
+ * stored as the same encrypted envelopes the storage layer writes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FILE_DIRS = ['templates', 'generated'];
+const BACKUP_ID_PATTERN = /^[0-9TZ-]+-[a-z-]+$/;
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+function countRecords(data) {
+  const counts = {};
+  for (const [name, value] of Object.entries(data)) {
+    if (Array.isArray(value)) counts[name] = value.length;
+  }
+  return counts;
+}
+
+function createBackupManager({ dataDir, storage, codec, keepLast = 10, keepDays = 7 }) {
+  const backupsDir = path.join(dataDir, 'backups');
+
+  // Encrypted collections are kept as envelope strings inside data.json
+  function seal(data) {
+    if (!codec) return data;
+    const sealed = {};
+    for (const [name, value] of Object.entries(data)) {
+      const text = JSON.stringify(value);
+      const encoded = codec.encode(name, text);
+      sealed[name] = encoded === text ? value : encoded;
+    }
+    return sealed;
+  }
+
+  function unseal(data) {
+    const opened = {};
+    for (const [name, value] of Object.entries(data)) {
+      opened[name] = typeof value === 'string' && codec ? JSON.parse(codec.decode(name, value)) : value;
+    }
+    return opened;
+  }
+
+  function dirFor(id) {
+    if (!BACKUP_ID_PATTERN.test(id)) return null;
+    const dir = path.join(backupsDir, id);
+    return fs.existsSync(path.join(dir, 'manifest.json')) ? dir : null;
+  }
+
+  function readManifest(dir) {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf-8'));
+  }
+
+  /**
+   * Fingerprint of the current data, used to skip scheduled snapshots when
+   * nothing has changed since the last one.
+   */
+  function checksumFor(data) {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({ ...data, meta: undefined }));
+    for (const sub of FILE_DIRS) {
+      for (const file of listFiles(path.join(dataDir, sub))) {
+        const stat = fs.statSync(path.join(dataDir, sub, file));
+        hash.update(`${sub}/${file}:${stat.size}:${stat.mtimeMs}`);
+      }
+    }
+    return hash.digest('hex');
+  }
+
+  function list() {
+    if (!fs.existsSync(backupsDir)) return [];
+    return fs.readdirSync(backupsDir)
+      .map((id) => dirFor(id))
+      .filter(Boolean)
+      .map((dir) => {
+        try {
+          return readManifest(dir);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function prune() {
+    const snapshots = list();
+    const cutoff = Date.now() - keepDays * 24 * 60 * 60 * 1000;
+    const newestPerDay = new Set();
+    const keep = new Set(snapshots.slice(0, keepLast).map((s) => s.id));
+    for (const snapshot of snapshots) {
+      const day = snapshot.createdAt.slice(0, 10);
+      if (new Date(snapshot.createdAt).getTime() >= cutoff && !newestPerDay.has(day)) {
+        newestPerDay.add(day);
+        keep.add(snapshot.id);
+      }
+    }
+    const removed = [];
+    for (const snapshot of snapshots) {
+      if (!keep.has(snapshot.id)) {
+        fs.rmSync(path.join(backupsDir, snapshot.id), { recursive: true, force: true });
+        removed.push(snapshot.id);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Take a snapshot. `reason` is a short kebab-case label such as
+   * "scheduled", "manual" or "before-import". With { skipIfUnchanged: true }
+   * no snapshot is written when the data matches the latest one.
+   */
+  function snapshot(reason, { skipIfUnchanged = false } = {}) {
+    const data = storage.dump();
+    const checksum = checksumFor(data);
+    if (skipIfUnchanged) {
+      const latest = list()[0];
+      if (latest && latest.checksum === checksum) return null;
+    }
+
+    const createdAt = new Date().toISOString();
+    const id = `${createdAt.replace(/[:.]/g, '-')}-${reason}`;
+    const dir = path.join(backupsDir, id);
+    const tmpDir = `${dir}.partial`;
+    fs.mkdirSync(tmpDir, { recursive: true });
+
+    fs.writeFileSync(path.join(tmpDir, 'data.json'), JSON.stringify(seal(data), null, 2), 'utf-8');
+    const files = {};
+    for (const sub of FILE_DIRS) {
+      const src = path.join(dataDir, sub);
+      if (fs.existsSync(src)) fs.cpSync(src, path.join(tmpDir, sub), { recursive: true });
+      files[sub] = listFiles(src);
+    }
+
+    const manifest = {
+      id,
+      createdAt,
+      reason,
+      schemaVersion: data.meta?.schemaVersion ?? 0,
+      backend: storage.backend,
+      counts: countRecords(data),
+      files,
+      checksum
+    };
+    fs.writeFileSync(path.join(tmpDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf-8');
+    // Only a complete snapshot gets a name that list() recognizes
+    fs.renameSync(tmpDir, dir);
+
+    prune();
+    return manifest;
+  }
+
+  /**
+   * Manifest plus a per-collection comparison against the current data.
+   */
+  function preview(id) {
+    const dir = dirFor(id);
+    if (!dir) return null;
+    const manifest = readManifest(dir);
+    const current = countRecords(storage.dump());
+    const names = new Set([...Object.keys(manifest.counts), ...Object.keys(current)]);
+    const collections = {};
+    for (const name of names) {
+      collections[name] = { snapshot: manifest.counts[name] ?? 0, current: current[name] ?? 0 };
+    }
+    return { ...manifest, collections };
+  }
+
+  /**
+   * Load a snapshot's data and files. The caller is responsible for
+   * migrating `data` to the current schema before writing it.
+   */
+  function read(id) {
+    const dir = dirFor(id);
+    if (!dir) return null;
+    const manifest = readManifest(dir);
+    const data = unseal(JSON.parse(fs.readFileSync(path.join(dir, 'data.json'), 'utf-8')));
+    return { manifest, data, dir };
+  }
+
+  /**
+   * Replace data/templates and data/generated with the snapshot's copies.
+   */
+  function restoreFiles(dir) {
+    for (const sub of FILE_DIRS) {
+      const target = path.join(dataDir, sub);
+      fs.rmSync(target, { recursive: true, force: true });
+      const src = path.join(dir, sub);
+      if (fs.existsSync(src)) {
+        fs.cpSync(src, target, { recursive: true });
+      } else {
+        fs.mkdirSync(target, { recursive: true });
+      }
+    }
+  }
+
+  /**
+   * Re-seal snapshots taken before encryption at rest was turned on, so no
+   * plaintext copy of a sensitive collection is left behind in data/backups.
+   */
+  function encryptStored() {
+    if (!codec?.active) return;
+    for (const { id } of list()) {
+      const dataPath = path.join(backupsDir, id, 'data.json');
+      const raw = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+      const hasPlaintext = Object.entries(raw).some(([name, value]) => codec.encrypted.has(name) && typeof value !== 'string');
+      if (hasPlaintext) {
+        fs.writeFileSync(dataPath, JSON.stringify(seal(unseal(raw)), null, 2), 'utf-8');
+      }
+    }
+  }
+
+  return { list, snapshot, preview, read, restoreFiles, prune, encryptStored };
+}
+
+module.exports = { createBackupManager };
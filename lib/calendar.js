@@ -0,0 +1,158 @@
+/**
+ * iCalendar Feed
+ * Turns dated records into an iCalendar (RFC 5545) document that calendar
+ * apps can subscribe to or import. Each event is
+ *
+ *   { uid, date | start + end, summary, description, location, categories,
+ *     cancelled, updatedAt }
+ *
+ * with either `date`, a calendar date (YYYY-MM-DD) for an all-day event, or
+ * `start` and `end` as ISO timestamps. All-day events leave the time free;
+ * timed ones mark it busy.
+ *
+ * A record keeps the same UID for as long as it exists, so a changed record
+ * replaces its event instead of adding a second one. DTSTAMP and
+ * LAST-MODIFIED come from its `updatedAt`. SEQUENCE is left out: records
+ * keep no revision count, and a made-up one would only confuse clients.
+ *
+ * Repeating tasks are published one occurrence at a time rather than as an
+ * RRULE: each occurrence is its own task with its own UID.
+ */
+
+const { ROUND_FORMATS, roundEndsAt } = require('./interview-rounds');
+
+const PRODUCT_ID = '-//New Job Pal//Calendar//EN';
+const UID_DOMAIN = 'new-job-pal';
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into lines of at most 75 octets, continuing each
+ * with a leading space, without breaking a UTF-8 character in two.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function formatDateTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function eventLines(event, now) {
+  const stamp = event.updatedAt || now;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `LAST-MODIFIED:${formatDateTime(stamp)}`,
+    ...(event.date
+      ? [`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`]
+      : [`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end)}`]),
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  if (event.cancelled) lines.push('STATUS:CANCELLED');
+  lines.push(`TRANSP:${event.date ? 'TRANSPARENT' : 'OPAQUE'}`, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * The whole calendar as text, with CRLF line endings.
+ */
+function buildCalendar({ name, events, now = new Date().toISOString() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap((event) => eventLines(event, now)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * The event for a task with a due date, or null for one without. `task`
+ * may carry the `jobLabel` and `contactName` of what it links to.
+ */
+function taskEvent(task) {
+  if (!task.dueDate) return null;
+  const description = [
+    task.notes,
+    task.jobLabel ? `Job: ${task.jobLabel}` : null,
+    task.contactName ? `Contact: ${task.contactName}` : null
+  ].filter(Boolean).join('\n');
+  return {
+    uid: `task-${task.id}`,
+    date: task.dueDate,
+    summary: task.title,
+    description,
+    categories: ['New Job Pal', task.followUpFor ? 'Follow-up' : 'Deadline'],
+    updatedAt: task.updatedAt
+  };
+}
+
+/**
+ * The event for a scheduled interview round, or null for one without a
+ * time. `round` may carry the `jobLabel` of its job and the
+ * `interviewerNames` of its panel.
+ */
+function roundEvent(round) {
+  if (!round.scheduledAt) return null;
+  const description = [
+    round.format ? `Format: ${ROUND_FORMATS[round.format]}` : null,
+    round.interviewerNames?.length ? `Interviewers: ${round.interviewerNames.join(', ')}` : null,
+    round.prepNotes ? `Prep notes:\n${round.prepNotes}` : null
+  ].filter(Boolean).join('\n');
+  return {
+    uid: `interview-round-${round.id}`,
+    start: round.scheduledAt,
+    end: roundEndsAt(round),
+    summary: `${round.stage} interview${round.jobLabel ? `: ${round.jobLabel}` : ''}`,
+    description,
+    location: round.location,
+    categories: ['New Job Pal', 'Interview'],
+    cancelled: round.outcome === 'cancelled',
+    updatedAt: round.updatedAt
+  };
+}
+
+module.exports = { buildCalendar, taskEvent, roundEvent, escapeText, foldLine };
@@ -0,0 +1,142 @@
+/**
+ * Encryption
+ * Passphrase-based authenticated encryption: scrypt derives a 256-bit key,
+ * AES-256-GCM encrypts and authenticates. An encrypted bundle is a JSON
+ * envelope, so it can travel anywhere a JSON export can:
+ *
+ *   {
+ *     "format": "new-job-pal-encrypted", "version": 1,
+ *     "kdf": { "name": "scrypt", "N", "r", "p", "salt" },
+ *     "cipher": "aes-256-gcm", "contentType",
+ *     "iv", "tag", "data"            (base64)
+ *   }
+ *
+ * The header fields are bound to the ciphertext as additional authenticated
+ * data, so tampering with any of them fails decryption just like a wrong
+ * passphrase does.
+ */
+
+const crypto = require('crypto');
+
+const BUNDLE_FORMAT = 'new-job-pal-encrypted';
+const BUNDLE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KDF_DEFAULTS = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class DecryptionError extends Error {
+  constructor(message, code = 'DECRYPTION_FAILED') {
+    super(message);
+    this.name = 'DecryptionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Derive a 32-byte key from a passphrase. `kdf` holds the scrypt cost
+ * parameters and a base64 salt, as stored in an envelope.
+ */
+function deriveKey(passphrase, kdf) {
+  if (kdf.name !== 'scrypt') {
+    throw new DecryptionError(`Unsupported key derivation "${kdf.name}"`);
+  }
+  // Cost parameters come from the file; refuse ones that would exhaust memory
+  if (!(kdf.N <= 2 ** 20 && kdf.r <= 16 && kdf.p <= 4)) {
+    throw new DecryptionError('Unsupported key derivation parameters');
+  }
+  return crypto.scryptSync(String(passphrase), Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+function newKdfParams() {
+  return { ...KDF_DEFAULTS, salt: crypto.randomBytes(16).toString('base64') };
+}
+
+/**
+ * Encrypt with an already-derived key. Returns { iv, tag, data } as base64.
+ */
+function encryptWithKey(plaintext, key, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  if (aad) cipher.setAAD(aad);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Reverse of encryptWithKey. Throws DecryptionError when the key is wrong
+ * or anything authenticated has been altered.
+ */
+function decryptWithKey({ iv, tag, data }, key, aad) {
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'));
+    if (aad) decipher.setAAD(aad);
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  } catch {
+    throw new DecryptionError('Wrong passphrase, or the encrypted data has been modified');
+  }
+}
+
+function headerAad({ format, version, kdf, cipher, contentType }) {
+  return Buffer.from(JSON.stringify({ format, version, kdf, cipher, contentType }), 'utf-8');
+}
+
+function isEncryptedBundle(value) {
+  return Boolean(value) && typeof value === 'object' && value.format === BUNDLE_FORMAT;
+}
+
+/**
+ * Encrypt a buffer into an envelope object.
+ */
+function encryptBundle(plaintext, passphrase, contentType) {
+  if (!passphrase || String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    kdf: newKdfParams(),
+    cipher: CIPHER,
+    contentType
+  };
+  const key = deriveKey(passphrase, header.kdf);
+  return { ...header, ...encryptWithKey(plaintext, key, headerAad(header)) };
+}
+
+/**
+ * Decrypt an envelope object. Returns { plaintext, contentType }.
+ */
+function decryptBundle(envelope, passphrase) {
+  if (!passphrase) {
+    throw new DecryptionError('This export is encrypted. Enter its passphrase to import it.', 'PASSPHRASE_REQUIRED');
+  }
+  if (envelope.version !== BUNDLE_VERSION || envelope.cipher !== CIPHER) {
+    throw new DecryptionError(`Unsupported encrypted file (version ${envelope.version}, ${envelope.cipher})`);
+  }
+  const key = deriveKey(passphrase, envelope.kdf);
+  return {
+    plaintext: decryptWithKey(envelope, key, headerAad(envelope)),
+    contentType: envelope.contentType
+  };
+}
+
+module.exports = {
+  encryptBundle,
+  decryptBundle,
+  isEncryptedBundle,
+  deriveKey,
+  newKdfParams,
+  encryptWithKey,
+  decryptWithKey,
+  DecryptionError,
+  MIN_PASSPHRASE_LENGTH
+};
@@ -0,0 +1,225 @@
+/**
+ * Export Archives
+ * The full-fidelity export format: a ZIP holding the JSON data plus every
+ * DOCX template and generated document the data refers to.
+ *
+ *   manifest.json        exportVersion, schemaVersion, exportedAt, appName,
+ *                        and { path, size, sha256 } for every other entry
+ *   data.json            { apiKey, data } — same shape as a JSON export
+ *   templates/<file>     files named by document-templates[].filename
+ *   generated/<file>     files named by resumes[].docxPath / cover-letters[].docxPath
+ *
+ * Reading verifies every checksum before anything is written. Installing the
+ * files never overwrites a different file with the same name: the incoming
+ * file is renamed and the records pointing at it are rewired.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PizZip = require('pizzip');
+const { FILE_REFERENCES } = require('./references');
+
+const ARCHIVE_EXPORT_VERSION = 3;
+
+const FILE_ENTRY_PATTERN = /^(templates|generated)\/([^/\\]+)$/;
+
+class ExportArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportArchiveError';
+    this.code = 'INVALID_ARCHIVE';
+  }
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * ZIP files start with the local file header signature "PK\x03\x04".
+ */
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+/**
+ * Build the archive. `payload` is the JSON export payload
+ * ({ schemaVersion, exportedAt, appName, apiKey, data }), `snapshot` the same
+ * data keyed by collection name, used to find the referenced files.
+ */
+function buildExportArchive({ payload, snapshot, dataDir }) {
+  const zip = new PizZip();
+  const entries = [];
+
+  const add = (entryPath, buffer) => {
+    zip.file(entryPath, buffer);
+    entries.push({ path: entryPath, size: buffer.length, sha256: sha256(buffer) });
+  };
+
+  const { apiKey, data } = payload;
+  add('data.json', Buffer.from(JSON.stringify({ apiKey, data }, null, 2), 'utf-8'));
+
+  const added = new Set();
+  for (const { collection, field, dir } of FILE_REFERENCES) {
+    for (const record of snapshot[collection] || []) {
+      const name = record[field];
+      if (!name || path.basename(name) !== name) continue;
+      const entryPath = `${dir}/${name}`;
+      const filePath = path.join(dataDir, dir, name);
+      if (added.has(entryPath) || !fs.existsSync(filePath)) continue;
+      add(entryPath, fs.readFileSync(filePath));
+      added.add(entryPath);
+    }
+  }
+
+  const manifest = {
+    exportVersion: ARCHIVE_EXPORT_VERSION,
+    schemaVersion: payload.schemaVersion,
+    exportedAt: payload.exportedAt,
+    appName: payload.appName,
+    files: entries
+  };
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+  return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Unpack and verify an archive. Returns { payload, files } where payload
+ * has the same shape as a JSON export and files maps "templates/<name>" or
+ * "generated/<name>" to a Buffer. Throws ExportArchiveError when the
+ * archive is unreadable, incomplete or fails a checksum.
+ */
+function readExportArchive(buffer) {
+  let zip;
+  try {
+    zip = new PizZip(buffer);
+  } catch (err) {
+    throw new ExportArchiveError(`Not a readable ZIP file (${err.message})`);
+  }
+
+  const manifestEntry = zip.file('manifest.json');
+  if (!manifestEntry) {
+    throw new ExportArchiveError('Archive has no manifest.json');
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestEntry.asText());
+  } catch (err) {
+    throw new ExportArchiveError(`manifest.json could not be parsed (${err.message})`);
+  }
+  if (!Array.isArray(manifest.files)) {
+    throw new ExportArchiveError('manifest.json has no file list');
+  }
+
+  const contents = new Map();
+  const problems = [];
+  for (const { path: entryPath, sha256: expected } of manifest.files) {
+    if (entryPath !== 'data.json' && !FILE_ENTRY_PATTERN.test(entryPath)) {
+      problems.push(`${entryPath}: unexpected path`);
+      continue;
+    }
+    const entry = zip.file(entryPath);
+    if (!entry) {
+      problems.push(`${entryPath}: missing`);
+      continue;
+    }
+    const content = entry.asNodeBuffer();
+    if (sha256(content) !== expected) {
+      problems.push(`${entryPath}: checksum mismatch`);
+      continue;
+    }
+    contents.set(entryPath, content);
+  }
+  if (problems.length > 0) {
+    throw new ExportArchiveError(`Archive failed verification — ${problems.join('; ')}`);
+  }
+  if (!contents.has('data.json')) {
+    throw new ExportArchiveError('Archive has no data.json');
+  }
+
+  let body;
+  try {
+    body = JSON.parse(contents.get('data.json').toString('utf-8'));
+  } catch (err) {
+    throw new ExportArchiveError(`data.json could not be parsed (${err.message})`);
+  }
+  contents.delete('data.json');
+
+  return {
+    payload: {
+      exportVersion: manifest.exportVersion,
+      schemaVersion: manifest.schemaVersion,
+      exportedAt: manifest.exportedAt,
+      appName: manifest.appName,
+      apiKey: body.apiKey,
+      data: body.data
+    },
+    files: contents
+  };
+}
+
+/**
+ * Write an archive's files into data/ and point the records in `snapshot`
+ * (keyed by collection name) at them. A file whose name is taken by
+ * different content on disk is saved under a fresh name. A docxPath whose
+ * file is neither in the archive nor on disk is cleared; every such
+ * reference is listed in `missing`. Returns { written, renamed, missing }.
+ */
+function installArchiveFiles({ snapshot, files, dataDir }) {
+  const renames = new Map();
+  let written = 0;
+
+  for (const [entryPath, content] of files) {
+    const [, dir, name] = entryPath.match(FILE_ENTRY_PATTERN);
+    const targetDir = path.join(dataDir, dir);
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    let targetName = name;
+    const existing = path.join(targetDir, name);
+    if (fs.existsSync(existing) && sha256(fs.readFileSync(existing)) !== sha256(content)) {
+      const ext = path.extname(name);
+      targetName = `${path.basename(name, ext)}-${crypto.randomUUID().slice(0, 8)}${ext}`;
+      renames.set(entryPath, targetName);
+    }
+    fs.writeFileSync(path.join(targetDir, targetName), content);
+    written++;
+  }
+
+  const missing = [];
+  for (const { collection, field, dir } of FILE_REFERENCES) {
+    if (!Array.isArray(snapshot[collection])) continue;
+    snapshot[collection] = snapshot[collection].map((record) => {
+      const name = record[field];
+      if (!name) return record;
+      const entryPath = `${dir}/${name}`;
+      if (renames.has(entryPath)) {
+        return { ...record, [field]: renames.get(entryPath) };
+      }
+      const safe = path.basename(name) === name;
+      if (files.has(entryPath) || (safe && fs.existsSync(path.join(dataDir, dir, name)))) {
+        return record;
+      }
+      missing.push(entryPath);
+      // Generated documents can be regenerated; a template record keeps its
+      // name so the user can see which file to re-upload
+      return field === 'docxPath' ? { ...record, docxPath: null } : record;
+    });
+  }
+
+  return {
+    written,
+    renamed: Object.fromEntries(renames),
+    missing
+  };
+}
+
+module.exports = {
+  buildExportArchive,
+  readExportArchive,
+  installArchiveFiles,
+  isZip,
+  ExportArchiveError,
+  ARCHIVE_EXPORT_VERSION
+};
@@ -0,0 +1,333 @@
+/**
+ * Merge-Mode Import
+ * Folds an imported snapshot into the current data instead of replacing it.
+ * Both snapshots are keyed by collection name and already migrated to the
+ * current schema.
+ *
+ * Records are matched by id, then by a natural key: a job's URL or its
+ * company + title, a contact's email. Only live current records are matched
+ * by natural key. An incoming record matched by natural key keeps the
+ * current record's id, and incoming references to it (jobId, contact jobIds,
+ * task contactId) are rewritten to match.
+ *
+ * Each matched pair is classified by comparing fields (ignoring id,
+ * createdAt and updatedAt):
+ *   unchanged  nothing in the incoming record is missing from the current one
+ *   updated    the incoming record only fills fields that are empty here
+ *   conflict   at least one field holds different non-empty values
+ * Empty fields are always filled from the incoming record; conflicting
+ * fields follow the resolution: "mine", "theirs", or "newest" (the side
+ * with the later updatedAt, falling back to createdAt; ties keep mine).
+ *
+ * Documents listed in KEYED_DOCUMENTS hold a map of entries, such as the
+ * prompt overrides; those merge entry by entry, each entry like a record,
+ * with conflict key "<document>:<entry name>".
+ *
+ * Whether a record is in the Trash (deletedAt, deletedWith) is never merged:
+ * a live record here stays live when the incoming copy was deleted, and a
+ * record in the Trash here stays there. Those are listed under `trashed` in
+ * the report so they can be restored by hand.
+ */
+
+const { JOB_REFERENCES, CONTACT_REFERENCES } = require('./references');
+
+// What points at records of each collection that others can link to
+const REFERENCES_TO = { jobs: JOB_REFERENCES, contacts: CONTACT_REFERENCES };
+
+const RESOLUTIONS = ['mine', 'theirs', 'newest'];
+
+// Fields that identify a record rather than describe it
+const IGNORED_FIELDS = new Set(['id', 'createdAt', 'updatedAt']);
+
+// Trash bookkeeping, which stays as it is on this side
+const TRASH_FIELDS = new Set(['deletedAt', 'deletedWith']);
+
+// Documents merged entry by entry, and the field that holds the entries
+const KEYED_DOCUMENTS = {
+  prompts: 'overrides'
+};
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function normalizeUrl(url) {
+  return normalize(url).replace(/^https?:\/\/(www\.)?/, '').replace(/[/?#]+$/, '');
+}
+
+/**
+ * Natural keys tried after id, in order. A pair matched by a natural key
+ * already agrees on its fields, so those are left out of the comparison.
+ */
+const NATURAL_KEYS = {
+  jobs: [
+    { label: 'url', fields: ['url'], keyFn: (job) => normalizeUrl(job.url) },
+    {
+      label: 'company+title',
+      fields: ['company', 'title'],
+      keyFn: (job) => (job.company && job.title ? `${normalize(job.company)}\n${normalize(job.title)}` : '')
+    }
+  ],
+  contacts: [
+    { label: 'email', fields: ['email'], keyFn: (contact) => normalize(contact.email) }
+  ]
+};
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.values(value).every(isEmpty);
+  return false;
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a === 'string' && typeof b === 'string') return a.trim() === b.trim();
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (!isEqual(a[key], b[key])) return false;
+  }
+  return true;
+}
+
+function timestampOf(record) {
+  const time = new Date(record.updatedAt || record.createdAt || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function labelFor(collection, record) {
+  if (collection === 'jobs') return [record.title, record.company].filter(Boolean).join(' at ') || record.id;
+  return record.name || record.title || record.email || record.id || collection;
+}
+
+/**
+ * Compare two versions of a record. Returns the fields the incoming record
+ * can fill and the fields where both hold different values.
+ */
+function diffRecords(mine, theirs, keyFields = []) {
+  const fills = [];
+  const conflicts = [];
+  for (const field of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+    if (IGNORED_FIELDS.has(field) || TRASH_FIELDS.has(field) || keyFields.includes(field)) continue;
+    if (isEqual(mine[field], theirs[field]) || isEmpty(theirs[field])) continue;
+    if (isEmpty(mine[field])) {
+      fills.push(field);
+    } else {
+      conflicts.push(field);
+    }
+  }
+  return { fills, conflicts };
+}
+
+/**
+ * Merge one pair according to its diff and resolution.
+ */
+function mergeRecord(mine, theirs, { fills, conflicts }, resolution) {
+  const merged = { ...mine };
+  for (const field of fills) merged[field] = theirs[field];
+  const takeTheirs = resolution === 'theirs'
+    || (resolution === 'newest' && timestampOf(theirs) > timestampOf(mine));
+  if (takeTheirs) {
+    for (const field of conflicts) merged[field] = theirs[field];
+  }
+  if (fills.length > 0 || (takeTheirs && conflicts.length > 0)) {
+    const latest = Math.max(timestampOf(mine), timestampOf(theirs));
+    if (latest > 0 && 'updatedAt' in mine) merged.updatedAt = new Date(latest).toISOString();
+  }
+  return merged;
+}
+
+function emptyReport() {
+  return { added: [], updated: [], conflicts: [], unchanged: 0, trashed: [] };
+}
+
+/**
+ * Match incoming records against the current ones. Returns pairs of
+ * { mine, theirs, matchedBy, keyFields } (mine is null for new records) and a map of
+ * incoming id → current id for records matched by natural key.
+ */
+function matchCollection(collection, mineList, theirsList) {
+  const byId = new Map(mineList.map((record) => [record.id, record]));
+  const keyIndexes = (NATURAL_KEYS[collection] || []).map((naturalKey) => {
+    const index = new Map();
+    for (const record of mineList) {
+      if (record.deletedAt) continue;
+      const key = naturalKey.keyFn(record);
+      if (key && !index.has(key)) index.set(key, record);
+    }
+    return { ...naturalKey, index };
+  });
+
+  const claimed = new Set();
+  const pairs = [];
+  const idMap = new Map();
+  for (const theirs of theirsList) {
+    let mine = null;
+    let matchedBy = null;
+    let keyFields = [];
+    if (theirs.id && byId.has(theirs.id) && !claimed.has(theirs.id)) {
+      mine = byId.get(theirs.id);
+      matchedBy = 'id';
+    } else {
+      for (const { label, fields, keyFn, index } of keyIndexes) {
+        const candidate = index.get(keyFn(theirs));
+        if (candidate && !claimed.has(candidate.id)) {
+          mine = candidate;
+          matchedBy = label;
+          keyFields = fields;
+          break;
+        }
+      }
+    }
+    if (mine) {
+      claimed.add(mine.id);
+      if (theirs.id && theirs.id !== mine.id) idMap.set(theirs.id, mine.id);
+    }
+    pairs.push({ mine, theirs, matchedBy, keyFields });
+  }
+  return { pairs, idMap };
+}
+
+/**
+ * Merge two maps of entries keyed by name. An entry only the incoming side
+ * has is added; one both sides have is compared and resolved like a record.
+ */
+function mergeEntries(document, mineEntries, theirsEntries, resolve) {
+  const collectionReport = emptyReport();
+  const entries = { ...mineEntries };
+  for (const [entryName, theirs] of Object.entries(theirsEntries)) {
+    const mine = mineEntries[entryName];
+    if (!mine) {
+      entries[entryName] = theirs;
+      collectionReport.added.push({ id: entryName, label: entryName });
+      continue;
+    }
+    const diff = diffRecords(mine, theirs);
+    const key = `${document}:${entryName}`;
+    if (diff.conflicts.length > 0) {
+      collectionReport.conflicts.push(conflictEntry(key, document, { id: entryName, ...mine }, theirs, 'name', diff));
+    } else if (diff.fills.length > 0) {
+      collectionReport.updated.push({ id: entryName, label: entryName, fields: diff.fills });
+    } else {
+      collectionReport.unchanged++;
+    }
+    entries[entryName] = mergeRecord(mine, theirs, diff, resolve(key));
+  }
+  return { entries, report: collectionReport };
+}
+
+function remapReferences(incoming, references, idMap) {
+  if (idMap.size === 0) return;
+  for (const { collection, field } of references) {
+    if (!Array.isArray(incoming[collection])) continue;
+    incoming[collection] = incoming[collection].map((record) => {
+      const value = record[field];
+      if (Array.isArray(value)) {
+        return { ...record, [field]: [...new Set(value.map((id) => idMap.get(id) || id))] };
+      }
+      return idMap.has(value) ? { ...record, [field]: idMap.get(value) } : record;
+    });
+  }
+}
+
+function conflictEntry(key, collection, mine, theirs, matchedBy, diff) {
+  return {
+    key,
+    id: mine.id || collection,
+    label: labelFor(collection, mine),
+    matchedBy,
+    fields: diff.conflicts.map((field) => ({ field, mine: mine[field], theirs: theirs[field] })),
+    mineUpdatedAt: mine.updatedAt || mine.createdAt || null,
+    theirsUpdatedAt: theirs.updatedAt || theirs.createdAt || null
+  };
+}
+
+/**
+ * Merge `incoming` into `current`. `strategy` resolves every conflict that
+ * has no entry in `resolutions`, keyed by conflict key: "<collection>:<id>",
+ * or just the name for a singleton document such as "profile".
+ * Returns { data, report }: the merged snapshot to write, and per collection
+ * the added / updated / conflicting records and the unchanged count. With
+ * a dry run the caller simply discards `data`.
+ */
+function mergeSnapshots(current, incoming, { strategy = 'mine', resolutions = {} } = {}) {
+  if (!RESOLUTIONS.includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}". Expected one of: ${RESOLUTIONS.join(', ')}`);
+  }
+  const resolve = (key) => (RESOLUTIONS.includes(resolutions[key]) ? resolutions[key] : strategy);
+  const pending = { ...incoming };
+  const data = {};
+  const report = {};
+
+  // Jobs, then contacts, go first so references to matched ones can be rewritten
+  const first = Object.keys(REFERENCES_TO);
+  const rank = (name) => (first.includes(name) ? first.indexOf(name) : first.length);
+  const names = Object.keys(pending).sort((a, b) => rank(a) - rank(b));
+  for (const name of names) {
+    const theirsValue = pending[name];
+    const mineValue = current[name];
+    if (name === 'meta' || theirsValue === undefined) continue;
+
+    if (KEYED_DOCUMENTS[name] && !Array.isArray(theirsValue)) {
+      const field = KEYED_DOCUMENTS[name];
+      const merged = mergeEntries(name, mineValue?.[field] || {}, theirsValue[field] || {}, resolve);
+      data[name] = { ...mineValue, [field]: merged.entries };
+      report[name] = merged.report;
+      continue;
+    }
+
+    // Singleton documents such as the profile merge as one record
+    if (!Array.isArray(theirsValue)) {
+      const collectionReport = emptyReport();
+      const mine = mineValue || {};
+      const diff = diffRecords(mine, theirsValue);
+      const key = name;
+      if (diff.conflicts.length > 0) {
+        collectionReport.conflicts.push(conflictEntry(key, name, mine, theirsValue, 'document', diff));
+      } else if (diff.fills.length > 0) {
+        collectionReport.updated.push({ id: name, label: name, fields: diff.fills });
+      } else {
+        collectionReport.unchanged++;
+      }
+      data[name] = mergeRecord(mine, theirsValue, diff, resolve(key));
+      report[name] = collectionReport;
+      continue;
+    }
+
+    const mineList = Array.isArray(mineValue) ? mineValue : [];
+    const { pairs, idMap } = matchCollection(name, mineList, theirsValue);
+    if (REFERENCES_TO[name]) remapReferences(pending, REFERENCES_TO[name], idMap);
+
+    const collectionReport = emptyReport();
+    const mergedById = new Map(mineList.map((record) => [record.id, record]));
+    const added = [];
+    for (const { mine, theirs, matchedBy, keyFields } of pairs) {
+      if (!mine) {
+        added.push(theirs);
+        collectionReport.added.push({ id: theirs.id, label: labelFor(name, theirs) });
+        continue;
+      }
+      if (mine.deletedAt) {
+        collectionReport.trashed.push({ id: mine.id, label: labelFor(name, mine), matchedBy });
+      }
+      const diff = diffRecords(mine, theirs, keyFields);
+      const key = `${name}:${mine.id}`;
+      if (diff.conflicts.length > 0) {
+        collectionReport.conflicts.push(conflictEntry(key, name, mine, theirs, matchedBy, diff));
+      } else if (diff.fills.length > 0) {
+        collectionReport.updated.push({ id: mine.id, label: labelFor(name, mine), matchedBy, fields: diff.fills });
+      } else {
+        collectionReport.unchanged++;
+      }
+      mergedById.set(mine.id, mergeRecord(mine, theirs, diff, resolve(key)));
+    }
+    data[name] = [...mergedById.values(), ...added];
+    report[name] = collectionReport;
+  }
+
+  return { data, report };
+}
+
+module.exports = { mergeSnapshots, RESOLUTIONS };
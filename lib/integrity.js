@@ -0,0 +1,158 @@
+/**
+ * Referential Integrity
+ * Checks that records only point at things that exist, using the reference
+ * maps in lib/references.js. Each problem found is reported as an issue:
+ *
+ *   orphan-record       a resume, cover letter or mock interview whose job is gone
+ *   dangling-reference  a contact or task linked to a job or contact that is gone
+ *   missing-file        a template or generated document whose file is gone
+ *   unreferenced-file   a file in data/templates or data/generated no record points at
+ *
+ * Jobs and contacts in the Trash still exist, so records pointing at them
+ * are fine.
+ * Every issue carries the `action` repair() takes for it: remove the record
+ * (and its files), unlink the missing ids, clear the field, or delete the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JOB_REFERENCES, CONTACT_REFERENCES, FILE_REFERENCES, idsOf, withoutIds, filesOf } = require('./references');
+
+const FILE_DIRS = [...new Set(FILE_REFERENCES.map(({ dir }) => dir))];
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+function createIntegrityChecker({ storage, dataDir }) {
+  function findIssues() {
+    const data = storage.dump();
+    const targets = [
+      { target: 'job', references: JOB_REFERENCES, ids: new Set((data.jobs || []).map((job) => job.id)) },
+      { target: 'contact', references: CONTACT_REFERENCES, ids: new Set((data.contacts || []).map((contact) => contact.id)) }
+    ];
+    const issues = [];
+
+    for (const { target, references, ids } of targets) {
+      for (const { collection, field, owned } of references) {
+        for (const record of data[collection] || []) {
+          const value = record[field];
+          if (owned && !ids.has(value)) {
+            issues.push({
+              kind: 'orphan-record',
+              action: 'remove',
+              collection,
+              id: record.id,
+              message: `${collection} ${record.id} belongs to ${target} ${value || '(none)'}, which no longer exists`
+            });
+          } else if (!owned) {
+            const missing = idsOf(value).filter((id) => !ids.has(id));
+            if (missing.length === 0) continue;
+            issues.push({
+              kind: 'dangling-reference',
+              action: 'unlink',
+              collection,
+              id: record.id,
+              field,
+              values: missing,
+              message: `${collection} ${record.id} links to ${missing.length} ${target}(s) that no longer exist`
+            });
+          }
+        }
+      }
+    }
+
+    const referenced = Object.fromEntries(FILE_DIRS.map((dir) => [dir, new Set()]));
+    for (const { collection, field, dir } of FILE_REFERENCES) {
+      for (const record of data[collection] || []) {
+        const name = record[field];
+        if (!name) continue;
+        referenced[dir].add(name);
+        if (path.basename(name) === name && fs.existsSync(path.join(dataDir, dir, name))) continue;
+        issues.push({
+          kind: 'missing-file',
+          // A template is nothing without its file; a document record still has its text
+          action: collection === 'document-templates' ? 'remove' : 'clear',
+          collection,
+          id: record.id,
+          field,
+          file: `${dir}/${name}`,
+          message: `${collection} ${record.id} points at ${dir}/${name}, which does not exist`
+        });
+      }
+    }
+
+    for (const dir of FILE_DIRS) {
+      for (const name of listFiles(path.join(dataDir, dir))) {
+        if (referenced[dir].has(name)) continue;
+        issues.push({
+          kind: 'unreferenced-file',
+          action: 'delete',
+          file: `${dir}/${name}`,
+          message: `${dir}/${name} is not used by any record`
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  function summarize(issues) {
+    const counts = {};
+    for (const { kind } of issues) counts[kind] = (counts[kind] || 0) + 1;
+    return { checkedAt: new Date().toISOString(), ok: issues.length === 0, counts, issues };
+  }
+
+  /**
+   * Report every integrity problem without changing anything.
+   * Returns { checkedAt, ok, counts (per kind), issues }.
+   */
+  function check() {
+    return summarize(findIssues());
+  }
+
+  function removeWithFiles(collection, id) {
+    const record = storage.get(collection, id);
+    if (!record) return;
+    for (const file of filesOf(collection, record)) {
+      fs.rmSync(path.join(dataDir, file), { force: true });
+    }
+    storage.remove(collection, id);
+  }
+
+  /**
+   * Fix everything check() reports. Returns the same report, listing the
+   * issues that were repaired.
+   */
+  function repair() {
+    const issues = findIssues();
+    for (const issue of issues) {
+      switch (issue.action) {
+        case 'remove':
+          removeWithFiles(issue.collection, issue.id);
+          break;
+        case 'unlink':
+          storage.update(issue.collection, issue.id, (record) => ({
+            ...record,
+            [issue.field]: withoutIds(record[issue.field], issue.values)
+          }));
+          break;
+        case 'clear':
+          storage.update(issue.collection, issue.id, { [issue.field]: null });
+          break;
+        case 'delete':
+          fs.rmSync(path.join(dataDir, issue.file), { force: true });
+          break;
+      }
+    }
+    return summarize(issues);
+  }
+
+  return { check, repair };
+}
+
+module.exports = { createIntegrityChecker };
@@ -0,0 +1,178 @@
+/**
+ * Interview Rounds
+ * The real interviews for a job, kept in the `interview-rounds` collection
+ * (mock interviews with the AI are separate):
+ *
+ *   { id, jobId, stage, scheduledAt, durationMinutes, format, location,
+ *     interviewerIds, prepNotes, reflection, outcome, deletedAt, createdAt,
+ *     updatedAt }
+ *
+ * `stage` names the round, e.g. "Phone screen" or "Onsite". `scheduledAt` is
+ * an ISO timestamp, or null while the round is still being arranged.
+ * `interviewerIds` are the contacts on the panel. `prepNotes` are written
+ * before the round and `reflection` after it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Suggested stage names; any other name up to MAX_STAGE_LENGTH is allowed
+const ROUND_STAGES = ['Phone screen', 'Technical', 'Onsite', 'Final'];
+
+const ROUND_FORMATS = {
+  phone: 'Phone',
+  video: 'Video call',
+  onsite: 'On site',
+  'take-home': 'Take-home'
+};
+
+const ROUND_OUTCOMES = {
+  pending: 'Awaiting outcome',
+  passed: 'Passed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled'
+};
+
+const MAX_STAGE_LENGTH = 80;
+const MAX_LOCATION_LENGTH = 500;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_INTERVIEWERS = 20;
+const DEFAULT_DURATION = 60;
+
+class InterviewRoundError extends Error {
+  constructor(message, code = 'INVALID_ROUND') {
+    super(message);
+    this.name = 'InterviewRoundError';
+    this.code = code;
+  }
+}
+
+function text(value, field, maxLength) {
+  const result = String(value ?? '').trim();
+  if (result.length > maxLength) {
+    throw new InterviewRoundError(`The ${field} is too long (at most ${maxLength} characters)`);
+  }
+  return result;
+}
+
+/**
+ * Check user-supplied round fields. Returns only the fields given; a new
+ * round (`partial` false) needs a stage. Whether the interviewers exist is
+ * up to the caller.
+ */
+function normalizeRound(input = {}, { partial = false } = {}) {
+  const round = {};
+  if (input.stage !== undefined || !partial) {
+    round.stage = text(input.stage, 'stage name', MAX_STAGE_LENGTH);
+    if (!round.stage) throw new InterviewRoundError('A round needs a stage, such as "Phone screen"');
+  }
+  if (input.scheduledAt !== undefined) {
+    if (input.scheduledAt === null || input.scheduledAt === '') {
+      round.scheduledAt = null;
+    } else {
+      const date = new Date(input.scheduledAt);
+      if (typeof input.scheduledAt !== 'string' || Number.isNaN(date.getTime())) {
+        throw new InterviewRoundError(`"${input.scheduledAt}" is not a date and time`);
+      }
+      round.scheduledAt = date.toISOString();
+    }
+  }
+  if (input.durationMinutes !== undefined) {
+    const minutes = Number(input.durationMinutes ?? DEFAULT_DURATION);
+    if (!Number.isInteger(minutes) || minutes < 5 || minutes > 1440) {
+      throw new InterviewRoundError('A round lasts between 5 and 1440 minutes');
+    }
+    round.durationMinutes = minutes;
+  }
+  if (input.format !== undefined) {
+    round.format = input.format || null;
+    if (round.format !== null && !ROUND_FORMATS[round.format]) {
+      throw new InterviewRoundError(`Unknown format "${input.format}". Expected one of: ${Object.keys(ROUND_FORMATS).join(', ')}`);
+    }
+  }
+  if (input.location !== undefined) round.location = text(input.location, 'location', MAX_LOCATION_LENGTH);
+  if (input.prepNotes !== undefined) round.prepNotes = text(input.prepNotes, 'prep notes', MAX_NOTES_LENGTH);
+  if (input.reflection !== undefined) round.reflection = text(input.reflection, 'reflection', MAX_NOTES_LENGTH);
+  if (input.interviewerIds !== undefined) {
+    const ids = input.interviewerIds ?? [];
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string' || !id)) {
+      throw new InterviewRoundError('interviewerIds must be a list of contact ids');
+    }
+    if (ids.length > MAX_INTERVIEWERS) {
+      throw new InterviewRoundError(`A round can have at most ${MAX_INTERVIEWERS} interviewers`);
+    }
+    round.interviewerIds = [...new Set(ids)];
+  }
+  if (input.outcome !== undefined) {
+    round.outcome = input.outcome || 'pending';
+    if (!ROUND_OUTCOMES[round.outcome]) {
+      throw new InterviewRoundError(`Unknown outcome "${input.outcome}". Expected one of: ${Object.keys(ROUND_OUTCOMES).join(', ')}`);
+    }
+  }
+  return round;
+}
+
+/**
+ * A new round record for a job from normalized fields.
+ */
+function newRound(jobId, fields, now = new Date().toISOString()) {
+  return {
+    id: uuidv4(),
+    jobId,
+    stage: '',
+    scheduledAt: null,
+    durationMinutes: DEFAULT_DURATION,
+    format: null,
+    location: '',
+    interviewerIds: [],
+    prepNotes: '',
+    reflection: '',
+    outcome: 'pending',
+    ...fields,
+    deletedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * When a scheduled round ends, as an ISO timestamp, or null when it is not
+ * scheduled.
+ */
+function roundEndsAt(round) {
+  if (!round.scheduledAt) return null;
+  const minutes = round.durationMinutes || DEFAULT_DURATION;
+  return new Date(new Date(round.scheduledAt).getTime() + minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Whether a round is still ahead (or under way) at `now` and has not been
+ * given an outcome.
+ */
+function isUpcoming(round, now = new Date().toISOString()) {
+  return round.outcome === 'pending' && Boolean(round.scheduledAt) && roundEndsAt(round) > now;
+}
+
+/**
+ * Scheduled rounds first, earliest first, then unscheduled ones in the order
+ * they were added.
+ */
+function compareRounds(a, b) {
+  if (a.scheduledAt !== b.scheduledAt) {
+    if (!a.scheduledAt) return 1;
+    if (!b.scheduledAt) return -1;
+    return a.scheduledAt.localeCompare(b.scheduledAt);
+  }
+  return a.createdAt.localeCompare(b.createdAt);
+}
+
+module.exports = {
+  ROUND_STAGES,
+  ROUND_FORMATS,
+  ROUND_OUTCOMES,
+  InterviewRoundError,
+  normalizeRound,
+  newRound,
+  roundEndsAt,
+  isUpcoming,
+  compareRounds
+};
@@ -0,0 +1,219 @@
+/**
+ * Job Status History and Timeline
+ * Every change of a job's status is recorded in its `statusHistory`, oldest
+ * first:
+ *
+ *   { id, status, from, at, note, approximate }
+ *
+ * `from` is the previous status (null for the first entry) and `at` when
+ * the change happened, which the user may move back in time ("applied
+ * yesterday"). Entries backfilled for jobs saved before history was kept
+ * are marked `approximate`, since their date is only a guess.
+ *
+ * The timeline merges that history with everything else that happened to a
+ * job: generated resumes and cover letters, mock interviews, interview
+ * rounds, notes on linked contacts and the job's own notes.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ROUND_OUTCOMES } = require('./interview-rounds');
+
+const MAX_NOTE_LENGTH = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class JobHistoryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'JobHistoryError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check a user-supplied note and date for a status change. The date may not
+ * lie in the future. Returns { note, at } with only the fields given.
+ */
+function normalizeStatusChange({ note, at } = {}) {
+  const change = {};
+  if (note != null) {
+    change.note = String(note).trim();
+    if (change.note.length > MAX_NOTE_LENGTH) {
+      throw new JobHistoryError(`The note is too long (at most ${MAX_NOTE_LENGTH} characters)`, 'INVALID_STATUS_NOTE');
+    }
+  }
+  if (at != null && at !== '') {
+    const time = new Date(at).getTime();
+    if (Number.isNaN(time)) {
+      throw new JobHistoryError(`"${at}" is not a valid date`, 'INVALID_STATUS_DATE');
+    }
+    if (time > Date.now() + 60 * 1000) {
+      throw new JobHistoryError('A status change cannot be dated in the future', 'INVALID_STATUS_DATE');
+    }
+    change.at = new Date(time).toISOString();
+  }
+  return change;
+}
+
+/**
+ * The job with `status` applied, recording the change in its history.
+ * A job already in that status comes back unchanged.
+ */
+function withStatus(job, status, { note = '', at = new Date().toISOString() } = {}) {
+  if (job.status === status) return job;
+  const history = job.statusHistory || [];
+  const previous = history[history.length - 1];
+  if (previous && at < previous.at) {
+    throw new JobHistoryError('A status change cannot be dated before the previous one', 'INVALID_STATUS_DATE');
+  }
+  const entry = { id: uuidv4(), status, from: job.status || null, at, note, approximate: false };
+  return { ...job, status, statusHistory: [...history, entry] };
+}
+
+/**
+ * The job with the note and/or date of one history entry changed. The date
+ * has to stay between the entries before and after it. Returns null when
+ * there is no such entry.
+ */
+function withStatusEntry(job, entryId, changes) {
+  const history = job.statusHistory || [];
+  const index = history.findIndex((entry) => entry.id === entryId);
+  if (index === -1) return null;
+  const entry = { ...history[index] };
+  if (changes.note !== undefined) entry.note = changes.note;
+  if (changes.at !== undefined && changes.at !== entry.at) {
+    if ((history[index - 1] && changes.at < history[index - 1].at) || (history[index + 1] && changes.at > history[index + 1].at)) {
+      throw new JobHistoryError('The date has to stay between the status changes before and after it', 'INVALID_STATUS_DATE');
+    }
+    entry.at = changes.at;
+    entry.approximate = false;
+  }
+  return { ...job, statusHistory: history.map((e, i) => (i === index ? entry : e)) };
+}
+
+/**
+ * The history of a newly saved job: a single entry for its first status.
+ */
+function initialHistory(status, at) {
+  return [{ id: uuidv4(), status, from: null, at, note: '', approximate: false }];
+}
+
+/**
+ * How long the job spent in each status: the history with `until` (the next
+ * change, or null for the current status) and `days` added.
+ */
+function stagesOf(job, now = Date.now()) {
+  const history = job.statusHistory || [];
+  return history.map((entry, index) => {
+    const until = history[index + 1]?.at || null;
+    const end = until ? new Date(until).getTime() : now;
+    return { ...entry, until, days: Math.max(0, Math.floor((end - new Date(entry.at).getTime()) / DAY_MS)) };
+  });
+}
+
+/**
+ * Everything that happened to a job, oldest first. Each item is
+ * { kind, at, title, detail, ref } where `ref` names the record behind it.
+ * The records passed in should already leave out anything in the Trash.
+ * Statuses are named by their label in `stages`, the pipeline stages, or
+ * by their id when the pipeline no longer has them.
+ */
+function buildTimeline({ job, stages = [], resumes = [], coverLetters = [], interviews = [], rounds = [], contacts = [], now = Date.now() }) {
+  const items = [];
+  const label = (status) => stages.find((stage) => stage.id === status)?.label || status;
+
+  for (const stage of stagesOf(job, now)) {
+    items.push({
+      kind: 'status',
+      at: stage.at,
+      title: stage.from ? `Moved from ${label(stage.from)} to ${label(stage.status)}` : `Added to ${label(stage.status)}`,
+      detail: stage.note,
+      status: stage.status,
+      days: stage.days,
+      current: stage.until === null,
+      approximate: stage.approximate,
+      ref: { type: 'status', id: stage.id }
+    });
+  }
+
+  for (const resume of resumes) {
+    const regenerated = resume.updatedAt && resume.updatedAt !== resume.createdAt;
+    items.push({
+      kind: 'resume',
+      at: resume.updatedAt || resume.createdAt,
+      title: regenerated ? 'Tailored resume regenerated' : 'Tailored resume generated',
+      detail: '',
+      ref: { type: 'resume', id: resume.id }
+    });
+  }
+
+  for (const letter of coverLetters) {
+    const regenerated = letter.updatedAt && letter.updatedAt !== letter.createdAt;
+    items.push({
+      kind: 'cover-letter',
+      at: letter.updatedAt || letter.createdAt,
+      title: regenerated ? 'Cover letter regenerated' : 'Cover letter generated',
+      detail: '',
+      ref: { type: 'cover-letter', id: letter.id }
+    });
+  }
+
+  for (const session of interviews) {
+    const score = session.feedback?.overallScore;
+    items.push({
+      kind: 'mock-interview',
+      at: session.completedAt || session.createdAt,
+      title: session.completedAt ? 'Mock interview completed' : 'Mock interview started',
+      detail: [
+        `${session.questionCount || 0} question${session.questionCount === 1 ? '' : 's'}`,
+        score != null ? `scored ${score}/10` : null
+      ].filter(Boolean).join(', '),
+      ref: { type: 'mock-interview', id: session.id }
+    });
+  }
+
+  for (const round of rounds) {
+    items.push({
+      kind: 'interview-round',
+      at: round.scheduledAt || round.createdAt,
+      title: round.scheduledAt ? `${round.stage} interview` : `${round.stage} interview added (not scheduled yet)`,
+      detail: [ROUND_OUTCOMES[round.outcome], round.reflection].filter(Boolean).join(' — '),
+      ref: { type: 'interview-round', id: round.id }
+    });
+  }
+
+  for (const contact of contacts) {
+    for (const note of contact.notes || []) {
+      items.push({
+        kind: 'contact-note',
+        at: note.createdAt,
+        title: `Note on ${contact.name || 'a contact'}`,
+        detail: note.text || '',
+        ref: { type: 'contact', id: contact.id, noteId: note.id }
+      });
+    }
+  }
+
+  if (job.notes && job.notesUpdatedAt) {
+    items.push({
+      kind: 'job-note',
+      at: job.notesUpdatedAt,
+      title: 'Personal notes updated',
+      detail: job.notes,
+      ref: { type: 'job', id: job.id }
+    });
+  }
+
+  return items
+    .filter((item) => item.at)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+module.exports = {
+  JobHistoryError,
+  normalizeStatusChange,
+  withStatus,
+  withStatusEntry,
+  initialHistory,
+  stagesOf,
+  buildTimeline
+};
@@ -0,0 +1,169 @@
+/**
+ * Schema Migrations
+ * An ordered list of upgrades applied to the data store. The store records
+ * the schema version it is at in the `meta` document (data/meta.json on the
+ * JSON backend); at startup every migration with a higher version runs in
+ * order. Imported exports go through the same migrations, so an export from
+ * an older install lands in the current shape.
+ *
+ * Each migration receives a snapshot keyed by collection name
+ * ({ profile, jobs, contacts, … }) and returns the upgraded snapshot.
+ * Collections may be missing (partial imports), so every step must guard.
+ * Never edit a released migration — append a new one instead.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_LINKS = { linkedin: '', portfolio: '', github: '' };
+
+/**
+ * Turn the legacy `links` array (strings or { label/type, url } objects)
+ * into the { linkedin, portfolio, github } object the UI and parser use.
+ */
+function normalizeLinks(links) {
+  if (links && typeof links === 'object' && !Array.isArray(links)) {
+    return { ...DEFAULT_LINKS, ...links };
+  }
+  const normalized = { ...DEFAULT_LINKS };
+  for (const entry of Array.isArray(links) ? links : []) {
+    const url = typeof entry === 'string' ? entry : (entry?.url || entry?.href || '');
+    const label = typeof entry === 'string' ? '' : String(entry?.type || entry?.label || '').toLowerCase();
+    if (!url) continue;
+    if ((label.includes('linkedin') || /linkedin\.com/i.test(url)) && !normalized.linkedin) {
+      normalized.linkedin = url;
+    } else if ((label.includes('github') || /github\.com/i.test(url)) && !normalized.github) {
+      normalized.github = url;
+    } else if (!normalized.portfolio) {
+      normalized.portfolio = url;
+    }
+  }
+  return normalized;
+}
+
+function mapRecords(data, collection, fn) {
+  if (Array.isArray(data[collection])) {
+    data[collection] = data[collection].map(fn);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'normalize-profile-links',
+    up(data) {
+      if (data.profile && typeof data.profile === 'object') {
+        data.profile = { ...data.profile, links: normalizeLinks(data.profile.links) };
+      }
+      return data;
+    }
+  },
+  {
+    version: 2,
+    name: 'backfill-record-defaults',
+    up(data) {
+      if (data.profile && typeof data.profile === 'object') {
+        data.profile = {
+          name: '',
+          email: '',
+          phone: '',
+          location: '',
+          title: '',
+          summary: '',
+          skills: [],
+          experience: [],
+          education: [],
+          certifications: [],
+          ...data.profile
+        };
+      }
+      mapRecords(data, 'jobs', (job) => ({
+        ...job,
+        status: job.status || 'saved',
+        starred: Boolean(job.starred),
+        matchScore: job.matchScore ?? null,
+        notes: job.notes || ''
+      }));
+      for (const collection of ['resumes', 'cover-letters']) {
+        mapRecords(data, collection, (doc) => ({ ...doc, docxPath: doc.docxPath || null }));
+      }
+      mapRecords(data, 'writing-samples', (sample) => ({ ...sample, type: sample.type || 'general' }));
+      mapRecords(data, 'contacts', (contact) => ({
+        ...contact,
+        jobIds: Array.isArray(contact.jobIds) ? contact.jobIds : [],
+        notes: Array.isArray(contact.notes) ? contact.notes : []
+      }));
+      mapRecords(data, 'mock-interviews', (session) => {
+        const messages = Array.isArray(session.messages) ? session.messages : [];
+        return {
+          ...session,
+          messages,
+          questionCount: session.questionCount ?? messages.filter((m) => m.role === 'assistant').length,
+          feedback: session.feedback ?? null,
+          completedAt: session.completedAt ?? null
+        };
+      });
+      return data;
+    }
+  },
+  {
+    version: 3,
+    name: 'add-soft-delete',
+    up(data) {
+      // Records in the Trash carry a deletedAt timestamp (see lib/trash.js)
+      const collections = ['jobs', 'contacts', 'writing-samples', 'document-templates', 'resumes', 'cover-letters', 'mock-interviews'];
+      for (const collection of collections) {
+        mapRecords(data, collection, (record) => ({ ...record, deletedAt: record.deletedAt ?? null }));
+      }
+      mapRecords(data, 'contacts', (contact) => ({
+        ...contact,
+        notes: contact.notes.map((note) => ({ ...note, deletedAt: note.deletedAt ?? null }))
+      }));
+      return data;
+    }
+  },
+  {
+    version: 4,
+    name: 'add-status-history',
+    up(data) {
+      // Jobs saved before status changes were recorded (see lib/job-history.js)
+      // start with one entry for their current status. A job still in
+      // "saved" has been since it was created; for any other status the
+      // last update is only a guess at when it changed.
+      mapRecords(data, 'jobs', (job) => {
+        if (Array.isArray(job.statusHistory)) return job;
+        const status = job.status || 'saved';
+        const at = (status === 'saved' ? job.createdAt : job.updatedAt || job.createdAt) || new Date().toISOString();
+        return {
+          ...job,
+          statusHistory: [{ id: uuidv4(), status, from: null, at, note: '', approximate: status !== 'saved' }],
+          notesUpdatedAt: job.notesUpdatedAt ?? null
+        };
+      });
+      return data;
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than `fromVersion` to a snapshot.
+ * Returns { data, version, applied } where `applied` lists migration names.
+ */
+function migrate(snapshot, fromVersion = 0) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Data is at schema version ${fromVersion}, but this version of New Job Pal only understands up to ${SCHEMA_VERSION}. Please update New Job Pal.`
+    );
+  }
+  let data = snapshot;
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    data = migration.up(data);
+    applied.push(migration.name);
+  }
+  return { data, version: SCHEMA_VERSION, applied };
+}
+
+module.exports = { migrate, SCHEMA_VERSION };
@@ -0,0 +1,117 @@
+/**
+ * Pipeline Stages
+ * The statuses a job can move through, in board order. The user's own list
+ * is stored in the pipeline document as { stages: [{ id, label, color }] };
+ * null means DEFAULT_STAGES. A job's `status` is the id of its stage, so a
+ * stage can be renamed or recoloured without touching any job.
+ */
+
+const DEFAULT_STAGES = [
+  { id: 'saved', label: 'Saved', color: 'lavender' },
+  { id: 'applied', label: 'Applied', color: 'sage' },
+  { id: 'interviewing', label: 'Interviewing', color: 'honey' },
+  { id: 'offer', label: 'Offer', color: 'rose' },
+  { id: 'rejected', label: 'Rejected', color: 'coral' },
+  { id: 'withdrawn', label: 'Withdrawn', color: 'muted' }
+];
+
+// The badge colours the frontend has styles for
+const STAGE_COLORS = ['lavender', 'sage', 'honey', 'rose', 'coral', 'muted'];
+
+const MAX_STAGES = 12;
+const MAX_LABEL_LENGTH = 40;
+const STAGE_ID = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+class PipelineError extends Error {
+  constructor(message, code = 'INVALID_PIPELINE') {
+    super(message);
+    this.name = 'PipelineError';
+    this.code = code;
+  }
+}
+
+function slugify(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+/**
+ * The stages in use: the saved list, or the defaults when there is none.
+ */
+function pipelineStages(doc = {}) {
+  return Array.isArray(doc.stages) && doc.stages.length > 0 ? doc.stages : DEFAULT_STAGES;
+}
+
+/**
+ * Validate a list of stages from the user. A stage without an id gets one
+ * made from its label. Throws PipelineError on a bad list.
+ */
+function normalizeStages(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new PipelineError('The pipeline needs at least one stage');
+  }
+  if (input.length > MAX_STAGES) {
+    throw new PipelineError(`The pipeline can have at most ${MAX_STAGES} stages`);
+  }
+  const seen = new Set();
+  return input.map((stage, index) => {
+    if (!stage || typeof stage !== 'object' || Array.isArray(stage)) {
+      throw new PipelineError(`Stage ${index + 1} must be an object`);
+    }
+    const label = String(stage.label ?? '').trim();
+    if (!label) throw new PipelineError(`Stage ${index + 1} needs a name`);
+    if (label.length > MAX_LABEL_LENGTH) {
+      throw new PipelineError(`The name of stage ${index + 1} is too long (at most ${MAX_LABEL_LENGTH} characters)`);
+    }
+    const id = stage.id ? String(stage.id) : slugify(label);
+    if (!STAGE_ID.test(id)) {
+      throw new PipelineError(`"${id}" is not a valid stage id (lowercase letters, digits and dashes)`);
+    }
+    if (seen.has(id)) throw new PipelineError(`There are two stages called "${id}"`);
+    seen.add(id);
+    const color = stage.color || 'lavender';
+    if (!STAGE_COLORS.includes(color)) {
+      throw new PipelineError(`Unknown colour "${color}". Expected one of: ${STAGE_COLORS.join(', ')}`);
+    }
+    return { id, label, color };
+  });
+}
+
+/**
+ * Stage ids jobs are still in that `stages` leaves out, with how many jobs
+ * are in each, e.g. { offer: 2 }.
+ */
+function stagesInUse(jobs, stages) {
+  const ids = new Set(stages.map((stage) => stage.id));
+  const missing = {};
+  for (const job of jobs) {
+    if (job.status && !ids.has(job.status)) missing[job.status] = (missing[job.status] || 0) + 1;
+  }
+  return missing;
+}
+
+/**
+ * `stages` with a stage added for each id in `missing` (as returned by
+ * stagesInUse), copied from `known` when it has one, while there is room.
+ * Returns `stages` itself when there is nothing to add.
+ */
+function withMissingStages(stages, missing, known = []) {
+  const extra = Object.keys(missing)
+    .filter((id) => STAGE_ID.test(id))
+    .map((id) => known.find((stage) => stage.id === id) || {
+      id,
+      label: (id.charAt(0).toUpperCase() + id.slice(1).replace(/-/g, ' ')).slice(0, MAX_LABEL_LENGTH),
+      color: 'muted'
+    })
+    .slice(0, MAX_STAGES - stages.length);
+  return extra.length > 0 ? [...stages, ...extra] : stages;
+}
+
+module.exports = {
+  DEFAULT_STAGES,
+  STAGE_COLORS,
+  PipelineError,
+  pipelineStages,
+  normalizeStages,
+  stagesInUse,
+  withMissingStages
+};
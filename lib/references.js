@@ -0,0 +1,66 @@
+/**
+ * Record References
+ * Where records point at other records and at files in data/. Exports,
+ * merge imports, the Trash and the integrity checker all walk these maps,
+ * so a new reference only needs to be added here.
+ */
+
+const path = require('path');
+
+// Fields that point at job ids. Owned records belong to their job and are
+// purged with it; the others only link to it and are unlinked instead. A
+// link holds either an array of ids or a single id that may be null.
+const JOB_REFERENCES = [
+  { collection: 'resumes', field: 'jobId', owned: true },
+  { collection: 'cover-letters', field: 'jobId', owned: true },
+  { collection: 'mock-interviews', field: 'jobId', owned: true },
+  { collection: 'interview-rounds', field: 'jobId', owned: true },
+  { collection: 'contacts', field: 'jobIds', owned: false },
+  { collection: 'tasks', field: 'jobId', owned: false }
+];
+
+// Fields that point at contact ids, the same way
+const CONTACT_REFERENCES = [
+  { collection: 'tasks', field: 'contactId', owned: false },
+  { collection: 'interview-rounds', field: 'interviewerIds', owned: false }
+];
+
+// Which records point at which files directory, and through which field
+const FILE_REFERENCES = [
+  { collection: 'document-templates', field: 'filename', dir: 'templates' },
+  { collection: 'resumes', field: 'docxPath', dir: 'generated' },
+  { collection: 'cover-letters', field: 'docxPath', dir: 'generated' }
+];
+
+/**
+ * The ids a link field points at, as an array.
+ */
+function idsOf(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+/**
+ * A link field without `ids`: the array minus those ids, or null for a
+ * single id that is one of them.
+ */
+function withoutIds(value, ids) {
+  if (Array.isArray(value)) return value.filter((id) => !ids.includes(id));
+  return ids.includes(value) ? null : value;
+}
+
+/**
+ * Files in data/ a record points at, as paths relative to data/. Names
+ * that are not plain file names are skipped so they can never escape
+ * their directory.
+ */
+function filesOf(collection, record) {
+  const files = [];
+  for (const { collection: owner, field, dir } of FILE_REFERENCES) {
+    const name = record[field];
+    if (owner === collection && name && path.basename(name) === name) files.push(path.join(dir, name));
+  }
+  return files;
+}
+
+module.exports = { JOB_REFERENCES, CONTACT_REFERENCES, FILE_REFERENCES, idsOf, withoutIds, filesOf };
@@ -0,0 +1,219 @@
+/**
+ * Encryption at Rest
+ * A codec the storage adapters run stored text through. Collections named
+ * in `encrypted` are written as AES-256-GCM envelopes, bound to their
+ * collection name so one file or row cannot be swapped for another; every
+ * other collection passes through untouched. Plaintext left over from
+ * before encryption was turned on still reads fine and is encrypted on its
+ * next write.
+ *
+ * The key comes from one of two places (DATA_ENCRYPTION in server.js):
+ *   passphrase  scrypt over a passphrase from DATA_PASSPHRASE, or typed at
+ *               startup when the server runs in a terminal
+ *   keyfile     32 random bytes in a local file (created on first use),
+ *               kept outside data/ so backups and copies of data/ stay useless
+ *               without it
+ *
+ * data/.encryption records how the key is made plus an encrypted check
+ * value, so a wrong passphrase or key file is caught at startup instead
+ * of surfacing as unreadable collections.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const {
+  deriveKey,
+  newKdfParams,
+  encryptWithKey,
+  decryptWithKey,
+  DecryptionError
+} = require('../encryption');
+
+const ENVELOPE_FORMAT = 'new-job-pal-encrypted-at-rest';
+const MODES = ['off', 'passphrase', 'keyfile'];
+const KEY_CHECK_FILE = '.encryption';
+const KEY_CHECK_TEXT = 'new-job-pal';
+
+// Encrypted when ENCRYPTED_COLLECTIONS is not set
+const DEFAULT_ENCRYPTED = ['profile', 'contacts', 'writing-samples'];
+
+// Cached AI answers hold copies of the parsed resume and profile, and
+// background AI tasks keep the resumes, cover letters and searches they
+// produced, so both are sealed whenever encryption is on, whatever
+// ENCRYPTED_COLLECTIONS says
+const ALWAYS_ENCRYPTED = ['ai-cache', 'ai-tasks'];
+
+class StorageEncryptionError extends Error {
+  constructor(message, code = 'STORAGE_ENCRYPTED') {
+    super(message);
+    this.name = 'StorageEncryptionError';
+    this.code = code;
+  }
+}
+
+function parseEnvelope(text) {
+  if (!text.includes(ENVELOPE_FORMAT)) return null;
+  try {
+    const value = JSON.parse(text);
+    return value && value.format === ENVELOPE_FORMAT ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The collections to encrypt: those named in `setting` (the comma-separated
+ * ENCRYPTED_COLLECTIONS value, or the defaults when it is unset) plus
+ * ALWAYS_ENCRYPTED. The server and scripts/migrate-storage.js both build
+ * their codec from this, so they agree on what is sealed.
+ */
+function encryptedCollections(setting) {
+  const configured = !setting
+    ? DEFAULT_ENCRYPTED
+    : setting.split(',').map((name) => name.trim()).filter(Boolean);
+  return [...new Set([...configured, ...ALWAYS_ENCRYPTED])];
+}
+
+/**
+ * Build the codec. Until setKey() is called it only passes text through,
+ * and refuses to hand out envelopes it cannot open.
+ */
+function createAtRestCodec({ encrypted = [] } = {}) {
+  const names = new Set(encrypted);
+  let key = null;
+
+  return {
+    get active() {
+      return key !== null;
+    },
+
+    encrypted: names,
+
+    setKey(nextKey) {
+      key = nextKey;
+    },
+
+    encode(name, text) {
+      if (!key || !names.has(name)) return text;
+      const sealed = encryptWithKey(Buffer.from(text, 'utf-8'), key, Buffer.from(name, 'utf-8'));
+      return JSON.stringify({ format: ENVELOPE_FORMAT, version: 1, ...sealed });
+    },
+
+    decode(name, text) {
+      const envelope = parseEnvelope(text);
+      if (!envelope) return text;
+      if (!key) {
+        throw new StorageEncryptionError(
+          `${name} is encrypted. Start New Job Pal with DATA_ENCRYPTION set and the same passphrase or key file to read it.`
+        );
+      }
+      try {
+        return decryptWithKey(envelope, key, Buffer.from(name, 'utf-8')).toString('utf-8');
+      } catch (err) {
+        if (!(err instanceof DecryptionError)) throw err;
+        throw new StorageEncryptionError(
+          `${name} could not be decrypted with the current key. It was encrypted with a different key, or it has been modified.`,
+          'STORAGE_KEY_MISMATCH'
+        );
+      }
+    }
+  };
+}
+
+/**
+ * Ask for the passphrase on the terminal without echoing it.
+ */
+function promptPassphrase(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function readKeyFile(keyFile) {
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    console.log(`[Encryption] Created a new data key at ${keyFile}. Back it up — data/ cannot be read without it.`);
+  }
+  const key = Buffer.from(fs.readFileSync(keyFile, 'utf-8').trim(), 'base64');
+  if (key.length !== 32) {
+    throw new StorageEncryptionError(`${keyFile} is not a valid data key (expected 32 bytes, base64-encoded)`);
+  }
+  return key;
+}
+
+/**
+ * Work out the key for `mode` and hand it to the codec. Creates
+ * data/.encryption on first use and verifies the key against it afterwards.
+ * Resolves once the codec can read and write encrypted collections.
+ */
+async function unlockAtRest({ codec, mode, dataDir, passphrase, keyFile }) {
+  if (!MODES.includes(mode)) {
+    throw new StorageEncryptionError(`Unknown DATA_ENCRYPTION "${mode}". Expected one of: ${MODES.join(', ')}`);
+  }
+  const checkPath = path.join(dataDir, KEY_CHECK_FILE);
+  const existing = fs.existsSync(checkPath) ? JSON.parse(fs.readFileSync(checkPath, 'utf-8')) : null;
+  if (mode === 'off') {
+    if (existing) {
+      console.warn('[Encryption] data/ holds encrypted collections but DATA_ENCRYPTION is off; they cannot be read.');
+    }
+    return;
+  }
+  if (existing && existing.mode !== mode) {
+    throw new StorageEncryptionError(
+      `data/ was encrypted with DATA_ENCRYPTION=${existing.mode}, not ${mode}.`,
+      'STORAGE_KEY_MISMATCH'
+    );
+  }
+
+  let key;
+  let kdf = existing?.kdf;
+  if (mode === 'keyfile') {
+    key = readKeyFile(keyFile);
+  } else {
+    let secret = passphrase;
+    if (!secret && process.stdin.isTTY) {
+      secret = await promptPassphrase('Data passphrase: ');
+    }
+    if (!secret) {
+      throw new StorageEncryptionError('DATA_ENCRYPTION=passphrase needs DATA_PASSPHRASE, or start the server in a terminal to type it.');
+    }
+    kdf = kdf || newKdfParams();
+    key = deriveKey(secret, kdf);
+  }
+
+  if (existing) {
+    try {
+      decryptWithKey(existing.check, key, Buffer.from(KEY_CHECK_FILE, 'utf-8'));
+    } catch {
+      throw new StorageEncryptionError(
+        mode === 'passphrase' ? 'Wrong data passphrase.' : `${keyFile} is not the key data/ was encrypted with.`,
+        'STORAGE_KEY_MISMATCH'
+      );
+    }
+  } else {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const check = encryptWithKey(Buffer.from(KEY_CHECK_TEXT, 'utf-8'), key, Buffer.from(KEY_CHECK_FILE, 'utf-8'));
+    fs.writeFileSync(checkPath, JSON.stringify({ version: 1, mode, kdf, check }, null, 2), 'utf-8');
+  }
+  codec.setKey(key);
+}
+
+module.exports = {
+  createAtRestCodec,
+  unlockAtRest,
+  encryptedCollections,
+  StorageEncryptionError,
+  MODES,
+  ALWAYS_ENCRYPTED
+};
@@ -0,0 +1,122 @@
+/**
+ * Storage Layer
+ * Every route reads and writes data through this interface instead of
+ * touching data files directly. Two interchangeable backends are available,
+ * selected with the STORAGE_BACKEND environment variable:
+ *
+ *   json   (default) — one JSON file per collection in data/
+ *   sqlite           — one row per record in data/job-pal.db
+ *
+ * Interface:
+ *   list(collection)                 → array of records
+ *   get(collection, id)              → record or null
+ *   insert(collection, record)       → record
+ *   update(collection, id, changes)  → updated record or null
+ *                                      (changes: object to merge, or fn(record) → record)
+ *   remove(collection, id)           → true if a record was removed
+ *   replaceAll(collection, records)
+ *   getDocument(name) / saveDocument(name, doc)   — singletons such as the profile
+ *   names()                          → { collections, documents } actually present in the store
+ *   dump() / restore(snapshot)       — whole-store copies, keyed by collection name
+ *   withLock(collection, fn)         → serializes async read-modify-write sequences
+ *   withStoreLock(fn)                → withLock over every collection, for whole-store writes
+ *   encryptStored()                  → rewrite sensitive collections still stored in plaintext
+ *
+ * Pass `codec` (from createAtRestCodec) to encrypt sensitive collections at rest.
+ */
+
+const path = require('path');
+const { createJsonAdapter, StorageCorruptError, PLAIN_CODEC } = require('./json-adapter');
+const { createSqliteAdapter } = require('./sqlite-adapter');
+const { createLocks } = require('./lock');
+const {
+  createAtRestCodec,
+  unlockAtRest,
+  encryptedCollections,
+  StorageEncryptionError,
+  ALWAYS_ENCRYPTED
+} = require('./at-rest');
+
+const BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Split the server's DATA_DEFAULTS (keyed by filename) into array-shaped
+ * collections and object-shaped singleton documents, keyed by bare name.
+ */
+function splitDefaults(defaults) {
+  const collections = {};
+  const documents = {};
+  for (const [filename, value] of Object.entries(defaults)) {
+    const name = filename.replace(/\.json$/, '');
+    if (Array.isArray(value)) {
+      collections[name] = value;
+    } else {
+      documents[name] = value;
+    }
+  }
+  return { collections, documents };
+}
+
+function createStorage({ backend = 'json', dataDir, defaults, codec = PLAIN_CODEC }) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+
+  const { collections, documents } = splitDefaults(defaults);
+  const adapter = backend === 'sqlite'
+    ? createSqliteAdapter({ dbPath: path.join(dataDir, 'job-pal.db'), collections, documents, codec })
+    : createJsonAdapter({ dataDir, collections, documents, codec });
+
+  const withLock = createLocks();
+
+  return {
+    ...adapter,
+
+    collectionNames: Object.keys(collections),
+    documentNames: Object.keys(documents),
+
+    withLock,
+
+    withStoreLock(fn) {
+      return withLock(Object.keys(collections), fn);
+    },
+
+    dump() {
+      const snapshot = {};
+      for (const name of Object.keys(documents)) snapshot[name] = adapter.getDocument(name);
+      for (const name of Object.keys(collections)) snapshot[name] = adapter.list(name);
+      return snapshot;
+    },
+
+    encryptStored() {
+      if (!codec.active) return;
+      for (const name of codec.encrypted) {
+        if (name in documents) adapter.saveDocument(name, adapter.getDocument(name));
+        else if (name in collections) adapter.replaceAll(name, adapter.list(name));
+      }
+    },
+
+    restore(snapshot) {
+      for (const [name, value] of Object.entries(snapshot)) {
+        if (name in documents) {
+          adapter.saveDocument(name, value);
+        } else if (name in collections) {
+          adapter.replaceAll(name, value);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createStorage,
+  createJsonAdapter,
+  createSqliteAdapter,
+  createAtRestCodec,
+  unlockAtRest,
+  encryptedCollections,
+  StorageCorruptError,
+  StorageEncryptionError,
+  BACKENDS,
+  ALWAYS_ENCRYPTED
+};
@@ -0,0 +1,177 @@
+/**
+ * JSON File Storage Adapter
+ * Stores every collection as a pretty-printed JSON file in the data directory
+ * (jobs.json, contacts.json, …) — the original New Job Pal on-disk format.
+ * Each write rewrites the whole file, which is fine for small trackers.
+ *
+ * Writes go to a temp file that is fsynced and renamed over the original,
+ * so a crash mid-write never leaves a half-written collection behind. A file
+ * that exists but does not parse is treated as corrupt: reads throw and
+ * writes are refused, rather than silently replacing it with defaults.
+ *
+ * File contents pass through `codec` (see at-rest.js), which encrypts the
+ * sensitive collections when encryption at rest is on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class StorageCorruptError extends Error {
+  constructor(filePath, cause) {
+    super(
+      `${path.basename(filePath)} could not be read (${cause.message}). ` +
+      'New Job Pal will not overwrite it. Repair the file, move it out of data/, or restore a backup from data/backups/, then retry.'
+    );
+    this.name = 'StorageCorruptError';
+    this.code = 'STORAGE_CORRUPT';
+    this.filePath = filePath;
+  }
+}
+
+const PLAIN_CODEC = {
+  encode: (name, text) => text,
+  decode: (name, text) => text
+};
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Write a file atomically: temp file in the same directory, fsync, rename.
+ */
+function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeFileSync(fd, contents, 'utf-8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+function createJsonAdapter({ dataDir, collections, documents, codec = PLAIN_CODEC }) {
+  function fileFor(name) {
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  function read(name) {
+    const filePath = fileFor(name);
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      const defaultData = name in documents ? documents[name] : collections[name];
+      return defaultData !== undefined ? clone(defaultData) : null;
+    }
+    const text = codec.decode(name, raw);
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new StorageCorruptError(filePath, err);
+    }
+  }
+
+  function write(name, data) {
+    const filePath = fileFor(name);
+    // Never replace a file we could not read — it may still hold the user's data
+    if (fs.existsSync(filePath)) read(name);
+    writeFileAtomic(filePath, codec.encode(name, JSON.stringify(data, null, 2)));
+  }
+
+  return {
+    backend: 'json',
+
+    init() {
+      for (const [name, defaultData] of Object.entries({ ...documents, ...collections })) {
+        if (!fs.existsSync(fileFor(name))) {
+          write(name, defaultData);
+          continue;
+        }
+        try {
+          read(name);
+        } catch (err) {
+          console.error(`[Storage] ${err.message}`);
+        }
+      }
+    },
+
+    list(collection) {
+      return read(collection) || [];
+    },
+
+    get(collection, id) {
+      return this.list(collection).find((r) => r.id === id) || null;
+    },
+
+    insert(collection, record) {
+      const records = this.list(collection);
+      records.push(record);
+      write(collection, records);
+      return record;
+    },
+
+    update(collection, id, changes) {
+      const records = this.list(collection);
+      const index = records.findIndex((r) => r.id === id);
+      if (index === -1) return null;
+      const next = typeof changes === 'function'
+        ? changes(records[index])
+        : { ...records[index], ...changes };
+      records[index] = { ...next, id };
+      write(collection, records);
+      return records[index];
+    },
+
+    remove(collection, id) {
+      const records = this.list(collection);
+      const filtered = records.filter((r) => r.id !== id);
+      if (filtered.length === records.length) return false;
+      write(collection, filtered);
+      return true;
+    },
+
+    replaceAll(collection, records) {
+      write(collection, records);
+    },
+
+    getDocument(name) {
+      return read(name);
+    },
+
+    saveDocument(name, doc) {
+      write(name, doc);
+      return doc;
+    },
+
+    names() {
+      const found = { collections: [], documents: [] };
+      if (!fs.existsSync(dataDir)) return found;
+      for (const file of fs.readdirSync(dataDir).filter((f) => f.endsWith('.json'))) {
+        const name = file.replace(/\.json$/, '');
+        let data;
+        try {
+          data = read(name);
+        } catch (err) {
+          console.error(`[Storage] Skipping ${file}: ${err.message}`);
+          continue;
+        }
+        if (Array.isArray(data)) found.collections.push(name);
+        else if (data && typeof data === 'object') found.documents.push(name);
+      }
+      return found;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createJsonAdapter, StorageCorruptError, PLAIN_CODEC };
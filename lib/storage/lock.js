@@ -0,0 +1,35 @@
+/**
+ * Per-Collection Locks
+ * An in-process queue per key (normally a collection name). Callers wrap a
+ * read-modify-write sequence in withLock() so two requests touching the same
+ * collection run one after the other instead of interleaving across awaits.
+ * Whole-store writes (imports, backup restores, purges) hold the lock of
+ * every collection.
+ */
+
+function createLocks() {
+  const tails = new Map();
+
+  /**
+   * Run fn once every earlier holder of `key` has finished. Resolves or
+   * rejects with fn's result; a failure does not block later holders.
+   * `key` may be a list of keys, taken one after the other in that order,
+   * for a write that spans collections.
+   */
+  return function withLock(key, fn) {
+    if (Array.isArray(key)) {
+      const [first, ...rest] = key;
+      return first === undefined ? Promise.resolve().then(fn) : withLock(first, () => withLock(rest, fn));
+    }
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
+
+module.exports = { createLocks };
@@ -0,0 +1,153 @@
+/**
+ * SQLite Storage Adapter
+ * Keeps every record as its own row in an embedded SQLite database
+ * (data/job-pal.db), so updating one job no longer rewrites the whole
+ * collection. Records are stored as JSON text, which keeps the adapter
+ * schema-free like the JSON files it replaces.
+ *
+ * Row data passes through `codec` (see at-rest.js), so with encryption at
+ * rest on, records of the sensitive collections are encrypted one by one.
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PLAIN_CODEC } = require('./json-adapter');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+  CREATE INDEX IF NOT EXISTS records_by_seq ON records (collection, seq);
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch {
+    throw new Error(
+      'STORAGE_BACKEND=sqlite requires the "better-sqlite3" package. Run `npm install better-sqlite3` and restart.'
+    );
+  }
+}
+
+function createSqliteAdapter({ dbPath, documents, codec = PLAIN_CODEC }) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const stmt = {
+    list: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY seq'),
+    get: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    nextSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM records WHERE collection = ?'),
+    insert: db.prepare('INSERT INTO records (collection, id, seq, data) VALUES (?, ?, ?, ?)'),
+    update: db.prepare('UPDATE records SET data = ? WHERE collection = ? AND id = ?'),
+    remove: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    clear: db.prepare('DELETE FROM records WHERE collection = ?'),
+    getDoc: db.prepare('SELECT data FROM documents WHERE name = ?'),
+    collectionNames: db.prepare('SELECT DISTINCT collection FROM records'),
+    documentNames: db.prepare('SELECT name FROM documents'),
+    saveDoc: db.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data')
+  };
+
+  const encode = (name, value) => codec.encode(name, JSON.stringify(value));
+  const decode = (name, text) => JSON.parse(codec.decode(name, text));
+
+  const insertRecord = (collection, record) => {
+    const { seq } = stmt.nextSeq.get(collection);
+    stmt.insert.run(collection, record.id, seq, encode(collection, record));
+  };
+
+  const updateRecord = db.transaction((collection, id, changes) => {
+    const row = stmt.get.get(collection, id);
+    if (!row) return null;
+    const current = decode(collection, row.data);
+    const next = typeof changes === 'function' ? changes(current) : { ...current, ...changes };
+    const record = { ...next, id };
+    stmt.update.run(encode(collection, record), collection, id);
+    return record;
+  });
+
+  const replaceAll = db.transaction((collection, records) => {
+    stmt.clear.run(collection);
+    records.forEach((record, index) => {
+      // Rows are keyed by id; legacy records without one get a fresh id
+      const withId = record.id ? record : { ...record, id: crypto.randomUUID() };
+      stmt.insert.run(collection, withId.id, index + 1, encode(collection, withId));
+    });
+  });
+
+  return {
+    backend: 'sqlite',
+
+    init() {
+      for (const [name, defaultData] of Object.entries(documents)) {
+        if (!stmt.getDoc.get(name)) {
+          stmt.saveDoc.run(name, encode(name, defaultData));
+        }
+      }
+    },
+
+    list(collection) {
+      return stmt.list.all(collection).map((row) => decode(collection, row.data));
+    },
+
+    get(collection, id) {
+      const row = stmt.get.get(collection, id);
+      return row ? decode(collection, row.data) : null;
+    },
+
+    insert(collection, record) {
+      insertRecord(collection, record);
+      return record;
+    },
+
+    update(collection, id, changes) {
+      return updateRecord(collection, id, changes);
+    },
+
+    remove(collection, id) {
+      return stmt.remove.run(collection, id).changes > 0;
+    },
+
+    replaceAll(collection, records) {
+      replaceAll(collection, records);
+    },
+
+    getDocument(name) {
+      const row = stmt.getDoc.get(name);
+      if (row) return decode(name, row.data);
+      return documents[name] !== undefined ? JSON.parse(JSON.stringify(documents[name])) : null;
+    },
+
+    saveDocument(name, doc) {
+      stmt.saveDoc.run(name, encode(name, doc));
+      return doc;
+    },
+
+    names() {
+      return {
+        collections: stmt.collectionNames.all().map((row) => row.collection),
+        documents: stmt.documentNames.all().map((row) => row.name)
+      };
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,238 @@
+/**
+ * Background Task Queue
+ * Runs long AI operations (resume tailoring, cover letters, Job Scout
+ * searches) in the background, so they finish even when the browser tab
+ * that started them is closed or reloaded. Tasks are kept in the `ai-tasks`
+ * collection:
+ *
+ *   { id, type, label, jobId, input, status, progress, result, error,
+ *     createdAt, startedAt, finishedAt, updatedAt }
+ *
+ * `status` moves from queued to running and ends as succeeded, failed or
+ * cancelled. At most `concurrency` tasks run at once; the rest wait in the
+ * order they were submitted. `error` is the JSON body the matching route
+ * would have answered with, plus its HTTP `status`.
+ *
+ * Each task type is a handler:
+ *
+ *   prepare(input)                  checks the input when the task is
+ *                                   submitted; returns { label, jobId } or
+ *                                   throws TaskError
+ *   run(input, { signal, onText, progress })
+ *                                   does the work and resolves with the
+ *                                   result; `progress(message)` reports what
+ *                                   it is doing
+ *
+ * Tasks that were running when the server stopped are marked failed at the
+ * next start; queued ones are picked up again. Only the newest `keepFinished`
+ * finished tasks are kept.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const COLLECTION = 'ai-tasks';
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+class TaskError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'TaskError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isFinished(task) {
+  return FINISHED.includes(task.status);
+}
+
+/**
+ * A task without its result, for listings.
+ */
+function summarize({ result, ...task }) {
+  return task;
+}
+
+function createTaskQueue({ storage, handlers, concurrency = 2, keepFinished = 50, describeError }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const controllers = new Map();
+  const outputs = new Map(); // model output so far, per running task
+  let started = false;
+
+  function handlerFor(type) {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new TaskError(`Unknown task type "${type}". Expected one of: ${Object.keys(handlers).join(', ')}`, 'UNKNOWN_TASK_TYPE');
+    }
+    return handler;
+  }
+
+  function save(id, changes) {
+    const task = storage.update(COLLECTION, id, { ...changes, updatedAt: new Date().toISOString() });
+    if (!task) return null; // removed meanwhile, e.g. by a backup restore
+    events.emit(id, 'task', task);
+    if (isFinished(task)) events.emit(id, 'end', task);
+    return task;
+  }
+
+  function prune() {
+    const finished = storage.list(COLLECTION)
+      .filter(isFinished)
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+    for (const task of finished.slice(keepFinished)) storage.remove(COLLECTION, task.id);
+  }
+
+  async function execute(task) {
+    const controller = new AbortController();
+    controllers.set(task.id, controller);
+    outputs.set(task.id, '');
+    save(task.id, { status: 'running', startedAt: new Date().toISOString() });
+    try {
+      const result = await handlerFor(task.type).run(task.input, {
+        signal: controller.signal,
+        onText: (chunk) => {
+          outputs.set(task.id, outputs.get(task.id) + chunk);
+          events.emit(task.id, 'text', chunk);
+        },
+        progress: (message) => save(task.id, { progress: message })
+      });
+      save(task.id, { status: 'succeeded', progress: null, result, finishedAt: new Date().toISOString() });
+    } catch (err) {
+      const finishedAt = new Date().toISOString();
+      if (controller.signal.aborted) {
+        save(task.id, { status: 'cancelled', progress: null, finishedAt });
+      } else {
+        const { status, body } = describeError(err, task);
+        save(task.id, { status: 'failed', progress: null, error: { ...body, status }, finishedAt });
+      }
+    } finally {
+      controllers.delete(task.id);
+      outputs.delete(task.id);
+    }
+  }
+
+  // Start waiting tasks, oldest first, while there is room
+  function pump() {
+    if (!started) return;
+    const waiting = storage.list(COLLECTION)
+      .filter((task) => task.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    while (controllers.size < concurrency && waiting.length > 0) {
+      const task = waiting.shift();
+      execute(task).finally(() => {
+        prune();
+        pump();
+      });
+    }
+  }
+
+  /**
+   * Start running tasks. Tasks left running by a previous server process
+   * are marked failed, since their work was lost.
+   */
+  function start() {
+    for (const task of storage.list(COLLECTION)) {
+      if (task.status !== 'running') continue;
+      save(task.id, {
+        status: 'failed',
+        progress: null,
+        error: { error: 'The server stopped before this task finished. Run it again.', code: 'TASK_INTERRUPTED', status: 500 },
+        finishedAt: new Date().toISOString()
+      });
+    }
+    started = true;
+    pump();
+  }
+
+  /**
+   * Queue a task. Throws TaskError when the type is unknown or `prepare`
+   * rejects the input.
+   */
+  function submit(type, input = {}) {
+    const { label, jobId = null } = handlerFor(type).prepare(input);
+    const now = new Date().toISOString();
+    const task = storage.insert(COLLECTION, {
+      id: uuidv4(),
+      type,
+      label,
+      jobId,
+      input,
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: now
+    });
+    pump();
+    return get(task.id);
+  }
+
+  /**
+   * Every task without its result, newest first, with each queued task's
+   * place in line.
+   */
+  function list() {
+    const tasks = storage.list(COLLECTION).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const queued = tasks.filter((task) => task.status === 'queued').reverse();
+    return tasks.map((task) => ({
+      ...summarize(task),
+      position: task.status === 'queued' ? queued.indexOf(task) + 1 : null
+    }));
+  }
+
+  function get(id) {
+    return storage.get(COLLECTION, id);
+  }
+
+  /**
+   * Cancel a queued or running task. A running task stops its AI request.
+   * Returns the task, or null when there is no such task.
+   */
+  function cancel(id) {
+    const task = get(id);
+    if (!task) return null;
+    if (task.status === 'queued') {
+      return save(id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    }
+    if (task.status === 'running') controllers.get(id)?.abort();
+    return get(id);
+  }
+
+  /**
+   * Forget every finished task. Returns how many were removed.
+   */
+  function clearFinished() {
+    const finished = storage.list(COLLECTION).filter(isFinished);
+    for (const task of finished) storage.remove(COLLECTION, task.id);
+    return finished.length;
+  }
+
+  /**
+   * The model output a running task has produced so far, so that a late
+   * subscriber can catch up; '' for any other task.
+   */
+  function outputSoFar(id) {
+    return outputs.get(id) || '';
+  }
+
+  /**
+   * Follow one task. `listener(event, data)` is called with 'task' and the
+   * updated task whenever it changes, 'text' and a chunk of model output
+   * while it runs, and 'end' and the task once it has finished.
+   * Returns a function that stops listening.
+   */
+  function subscribe(id, listener) {
+    const forward = (event, data) => listener(event, data);
+    events.on(id, forward);
+    return () => events.off(id, forward);
+  }
+
+  return { start, submit, list, get, cancel, clearFinished, outputSoFar, subscribe };
+}
+
+module.exports = { createTaskQueue, TaskError, isFinished };
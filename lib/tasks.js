@@ -0,0 +1,235 @@
+/**
+ * Tasks
+ * Deadlines and reminders such as "application closes Friday" or "follow up
+ * with the recruiter in 5 days", kept in the `tasks` collection:
+ *
+ *   { id, title, notes, dueDate, jobId, contactId, recurrence, completed,
+ *     completedAt, suggested, followUpFor, deletedAt, createdAt, updatedAt }
+ *
+ * `dueDate` is a calendar date (YYYY-MM-DD) or null. `recurrence` is null or
+ * { every, unit } with unit day, week or month; completing a recurring task
+ * adds the next one in the series that falls after today.
+ *
+ * When a job moves to a status in FOLLOW_UPS, a follow-up task is suggested
+ * for it: `suggested` stays true until the user keeps it, and `followUpFor`
+ * names the status so the same follow-up is not suggested twice.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const RECURRENCE_UNITS = ['day', 'week', 'month'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Follow-ups suggested when a job reaches a status, due `days` later
+const FOLLOW_UPS = {
+  applied: {
+    days: 7,
+    title: (job) => `Follow up on your application to ${job.company || job.title || 'this job'}`
+  },
+  interviewing: {
+    days: 1,
+    title: (job) => `Send a thank-you note after your interview with ${job.company || job.title || 'this job'}`
+  }
+};
+
+class TaskInputError extends Error {
+  constructor(message, code = 'INVALID_TASK') {
+    super(message);
+    this.name = 'TaskInputError';
+    this.code = code;
+  }
+}
+
+/**
+ * A local Date as YYYY-MM-DD.
+ */
+function toDateString(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function isDateString(value) {
+  return typeof value === 'string' && DATE.test(value) && toDateString(parseDate(value)) === value;
+}
+
+/**
+ * The date `count` days, weeks or months after `date`. A month later than
+ * the 31st is the last day of the shorter month.
+ */
+function addInterval(date, count, unit) {
+  const next = parseDate(date);
+  if (unit === 'day') next.setDate(next.getDate() + count);
+  if (unit === 'week') next.setDate(next.getDate() + count * 7);
+  if (unit === 'month') {
+    const day = next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + count);
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(day, lastDay));
+  }
+  return toDateString(next);
+}
+
+function normalizeRecurrence(recurrence) {
+  if (recurrence == null || recurrence === '') return null;
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    throw new TaskInputError('Recurrence must be an object like { "every": 1, "unit": "week" }');
+  }
+  const every = Number(recurrence.every ?? 1);
+  if (!Number.isInteger(every) || every < 1 || every > 365) {
+    throw new TaskInputError('A task can repeat every 1 to 365 days, weeks or months');
+  }
+  if (!RECURRENCE_UNITS.includes(recurrence.unit)) {
+    throw new TaskInputError(`Unknown recurrence unit "${recurrence.unit}". Expected one of: ${RECURRENCE_UNITS.join(', ')}`);
+  }
+  return { every, unit: recurrence.unit };
+}
+
+/**
+ * Check user-supplied task fields. Returns only the fields given; a new
+ * task (`partial` false) needs a title. Whether jobId and contactId exist
+ * is up to the caller.
+ */
+function normalizeTask(input = {}, { partial = false } = {}) {
+  const task = {};
+  if (input.title !== undefined || !partial) {
+    task.title = String(input.title ?? '').trim();
+    if (!task.title) throw new TaskInputError('A task needs a title');
+    if (task.title.length > MAX_TITLE_LENGTH) {
+      throw new TaskInputError(`The title is too long (at most ${MAX_TITLE_LENGTH} characters)`);
+    }
+  }
+  if (input.notes !== undefined) {
+    task.notes = String(input.notes ?? '').trim();
+    if (task.notes.length > MAX_NOTES_LENGTH) {
+      throw new TaskInputError(`The notes are too long (at most ${MAX_NOTES_LENGTH} characters)`);
+    }
+  }
+  if (input.dueDate !== undefined) {
+    task.dueDate = input.dueDate || null;
+    if (task.dueDate !== null && !isDateString(task.dueDate)) {
+      throw new TaskInputError(`"${input.dueDate}" is not a date (expected YYYY-MM-DD)`);
+    }
+  }
+  for (const field of ['jobId', 'contactId']) {
+    if (input[field] === undefined) continue;
+    if (input[field] !== null && input[field] !== '' && typeof input[field] !== 'string') {
+      throw new TaskInputError(`${field} must be an id`);
+    }
+    task[field] = input[field] || null;
+  }
+  if (input.recurrence !== undefined) task.recurrence = normalizeRecurrence(input.recurrence);
+  return task;
+}
+
+/**
+ * A new task record from normalized fields.
+ */
+function newTask(fields, now = new Date().toISOString()) {
+  return {
+    id: uuidv4(),
+    title: '',
+    notes: '',
+    dueDate: null,
+    jobId: null,
+    contactId: null,
+    recurrence: null,
+    suggested: false,
+    followUpFor: null,
+    ...fields,
+    completed: false,
+    completedAt: null,
+    deletedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * The next task in a recurring series, or null when `task` does not repeat.
+ * It is due the first whole interval after `task` that is later than
+ * `today` (counting from `today` when `task` had no due date), so a series
+ * that fell behind skips the dates it missed.
+ */
+function nextOccurrence(task, today, now = new Date().toISOString()) {
+  if (!task.recurrence) return null;
+  const { every, unit } = task.recurrence;
+  const start = task.dueDate || today;
+  let dueDate = addInterval(start, every, unit);
+  for (let step = 2; dueDate <= today; step++) dueDate = addInterval(start, every * step, unit);
+  return newTask({
+    title: task.title,
+    notes: task.notes,
+    dueDate,
+    jobId: task.jobId,
+    contactId: task.contactId,
+    recurrence: task.recurrence
+  }, now);
+}
+
+/**
+ * The follow-up task to suggest now that `job` has moved to `status`, or
+ * null when there is none for that status or one is already open.
+ */
+function suggestFollowUp(job, status, tasks, today, now = new Date().toISOString()) {
+  const followUp = FOLLOW_UPS[status];
+  if (!followUp) return null;
+  const open = tasks.some((task) => task.jobId === job.id && task.followUpFor === status && !task.completed);
+  if (open) return null;
+  return newTask({
+    title: followUp.title(job),
+    dueDate: addInterval(today, followUp.days, 'day'),
+    jobId: job.id,
+    suggested: true,
+    followUpFor: status
+  }, now);
+}
+
+/**
+ * Where a task stands on `today`: done, overdue, today, upcoming (within
+ * `days`), later, or none when it has no due date.
+ */
+function dueState(task, today, days = 7) {
+  if (task.completed) return 'done';
+  if (!task.dueDate) return 'none';
+  if (task.dueDate < today) return 'overdue';
+  if (task.dueDate === today) return 'today';
+  return task.dueDate <= addInterval(today, days, 'day') ? 'upcoming' : 'later';
+}
+
+/**
+ * Open tasks first, by due date (undated last), then finished ones, most
+ * recently completed first.
+ */
+function compareTasks(a, b) {
+  if (a.completed !== b.completed) return a.completed ? 1 : -1;
+  if (a.completed) return (b.completedAt || '').localeCompare(a.completedAt || '');
+  if (a.dueDate !== b.dueDate) {
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+    return a.dueDate.localeCompare(b.dueDate);
+  }
+  return a.createdAt.localeCompare(b.createdAt);
+}
+
+module.exports = {
+  FOLLOW_UPS,
+  RECURRENCE_UNITS,
+  TaskInputError,
+  toDateString,
+  isDateString,
+  addInterval,
+  normalizeTask,
+  newTask,
+  nextOccurrence,
+  suggestFollowUp,
+  dueState,
+  compareTasks
+};
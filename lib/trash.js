@@ -0,0 +1,349 @@
+/**
+ * Trash
+ * Deleting a job, contact, contact note, writing sample, document template,
+ * task or interview round only marks it with a `deletedAt` timestamp; routes skip marked records.
+ * The Trash lists everything marked, across all types, and can restore an
+ * item or purge it for good. Items older than `retentionDays` are purged
+ * automatically; a retention of 0 keeps them until purged by hand.
+ *
+ * Dependent records follow the policy in lib/references.js:
+ *   - A job can be deleted together with the resumes, cover letters, mock
+ *     interviews and interview rounds it owns. Those are marked with `deletedWith: <job id>`
+ *     and are restored along with the job.
+ *   - Purging a job purges every record it owns, deleted with it or not,
+ *     and unlinks it from contacts and tasks.
+ *   - Purging a contact purges its notes and unlinks it from tasks and
+ *     interview rounds.
+ *   - Purging a record removes the files it points at: a template's file in
+ *     data/templates, a generated document in data/generated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JOB_REFERENCES, CONTACT_REFERENCES, idsOf, withoutIds, filesOf } = require('./references');
+
+class TrashError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TrashError';
+    this.code = code;
+  }
+}
+
+/**
+ * Everything that can sit in the Trash, keyed by the type used in routes.
+ */
+const TRASH_TYPES = {
+  job: {
+    collection: 'jobs',
+    label: (job) => [job.title, job.company].filter(Boolean).join(' at ') || 'Untitled job'
+  },
+  contact: {
+    collection: 'contacts',
+    label: (contact) => contact.name || contact.email || 'Unnamed contact'
+  },
+  'writing-sample': {
+    collection: 'writing-samples',
+    label: (sample) => sample.title || 'Untitled sample'
+  },
+  template: {
+    collection: 'document-templates',
+    label: (template) => `${template.originalName || template.filename} (${template.type})`
+  },
+  resume: {
+    collection: 'resumes',
+    label: (resume) => `Resume for ${resume.jobTitle || resume.company || 'a job'}`
+  },
+  'cover-letter': {
+    collection: 'cover-letters',
+    label: (letter) => `Cover letter for ${letter.jobTitle || letter.company || 'a job'}`
+  },
+  'mock-interview': {
+    collection: 'mock-interviews',
+    label: (session) => `Mock interview (${session.questionCount || 0} questions)`
+  },
+  task: {
+    collection: 'tasks',
+    label: (task) => task.title || 'Untitled task'
+  },
+  'interview-round': {
+    collection: 'interview-rounds',
+    label: (round) => `${round.stage || 'Interview'} round`
+  },
+  note: {
+    collection: 'contacts',
+    nested: 'notes',
+    label: (note) => (note.text || '').slice(0, 80) || 'Empty note'
+  }
+};
+
+// What points at each type that others can link to, by type
+const REFERENCES_TO = { job: JOB_REFERENCES, contact: CONTACT_REFERENCES };
+
+// Types a job owns, which can be deleted along with it
+const JOB_CHILDREN = Object.keys(TRASH_TYPES).filter((type) => (
+  JOB_REFERENCES.some(({ collection, owned }) => owned && collection === TRASH_TYPES[type].collection)
+));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isDeleted(record) {
+  return Boolean(record && record.deletedAt);
+}
+
+function createTrash({ storage, dataDir, retentionDays = 30 }) {
+  function definition(type) {
+    const def = TRASH_TYPES[type];
+    if (!def) {
+      throw new TrashError(`Unknown trash type "${type}". Expected one of: ${Object.keys(TRASH_TYPES).join(', ')}`, 'UNKNOWN_TYPE');
+    }
+    return def;
+  }
+
+  function expiresAt(deletedAt) {
+    if (!(retentionDays > 0)) return null;
+    return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS).toISOString();
+  }
+
+  function childrenOf(jobId) {
+    const children = [];
+    for (const type of JOB_CHILDREN) {
+      for (const record of storage.list(TRASH_TYPES[type].collection)) {
+        if (record.jobId === jobId && record.deletedWith === jobId) children.push({ type, record });
+      }
+    }
+    return children;
+  }
+
+  function findNote(noteId) {
+    for (const contact of storage.list('contacts')) {
+      const note = (contact.notes || []).find((n) => n.id === noteId);
+      if (note) return { contact, note };
+    }
+    return null;
+  }
+
+  function setNoteDeletedAt(contact, noteId, deletedAt) {
+    storage.update('contacts', contact.id, {
+      notes: contact.notes.map((n) => (n.id === noteId ? { ...n, deletedAt } : n))
+    });
+  }
+
+  /**
+   * Delete a record for good, along with the files it points at.
+   */
+  function removeRecord(collection, record) {
+    for (const file of filesOf(collection, record)) {
+      fs.rmSync(path.join(dataDir, file), { force: true });
+    }
+    storage.remove(collection, record.id);
+  }
+
+  /**
+   * Purge everything a job or contact owns and unlink it everywhere else.
+   * Returns the number of records purged.
+   */
+  function purgeDependents(type, id) {
+    let purged = 0;
+    for (const { collection, field, owned } of REFERENCES_TO[type] || []) {
+      for (const record of storage.list(collection)) {
+        if (owned && record[field] === id) {
+          removeRecord(collection, record);
+          purged++;
+        } else if (!owned && idsOf(record[field]).includes(id)) {
+          storage.update(collection, record.id, { [field]: withoutIds(record[field], [id]) });
+        }
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Everything in the Trash, newest first. Records deleted along with a
+   * job are listed under that job's `children` instead of on their own.
+   */
+  function list() {
+    const items = [];
+    for (const [type, def] of Object.entries(TRASH_TYPES)) {
+      if (def.nested) continue;
+      for (const record of storage.list(def.collection)) {
+        if (!isDeleted(record) || record.deletedWith) continue;
+        const item = {
+          type,
+          id: record.id,
+          label: def.label(record),
+          deletedAt: record.deletedAt,
+          expiresAt: expiresAt(record.deletedAt)
+        };
+        if (type === 'job') {
+          item.children = childrenOf(record.id).map(({ type: childType, record: child }) => ({
+            type: childType,
+            id: child.id,
+            label: TRASH_TYPES[childType].label(child)
+          }));
+        }
+        items.push(item);
+      }
+    }
+    for (const contact of storage.list('contacts')) {
+      for (const note of contact.notes || []) {
+        if (!isDeleted(note)) continue;
+        items.push({
+          type: 'note',
+          id: note.id,
+          label: TRASH_TYPES.note.label(note),
+          parent: { type: 'contact', id: contact.id, label: TRASH_TYPES.contact.label(contact) },
+          deletedAt: note.deletedAt,
+          expiresAt: expiresAt(note.deletedAt)
+        });
+      }
+    }
+    return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Move a live record to the Trash. With { cascade: true }, a job takes its
+   * resumes, cover letters, mock interviews and interview rounds with it.
+   * Returns { deletedAt, cascaded } or null when there is no such live record.
+   */
+  function softDelete(type, id, { cascade = false } = {}) {
+    const def = definition(type);
+    const deletedAt = new Date().toISOString();
+
+    if (def.nested) {
+      const found = findNote(id);
+      if (!found || isDeleted(found.note) || isDeleted(found.contact)) return null;
+      setNoteDeletedAt(found.contact, id, deletedAt);
+      return { deletedAt, cascaded: 0 };
+    }
+
+    const record = storage.get(def.collection, id);
+    if (!record || isDeleted(record)) return null;
+    storage.update(def.collection, id, { deletedAt });
+
+    let cascaded = 0;
+    if (type === 'job' && cascade) {
+      for (const childType of JOB_CHILDREN) {
+        const { collection } = TRASH_TYPES[childType];
+        for (const child of storage.list(collection)) {
+          if (child.jobId !== id || isDeleted(child)) continue;
+          storage.update(collection, child.id, { deletedAt, deletedWith: id });
+          cascaded++;
+        }
+      }
+    }
+    return { deletedAt, cascaded };
+  }
+
+  /**
+   * Bring an item back, along with anything deleted with it. A template
+   * replaces the live template of its type, which moves to the Trash.
+   * Returns { restored, replaced } or null when the item is not in the Trash.
+   */
+  function restore(type, id) {
+    const def = definition(type);
+
+    if (def.nested) {
+      const found = findNote(id);
+      if (!found || !isDeleted(found.note)) return null;
+      if (isDeleted(found.contact)) {
+        throw new TrashError('This note belongs to a contact in the Trash. Restore the contact first.', 'PARENT_DELETED');
+      }
+      setNoteDeletedAt(found.contact, id, null);
+      return { restored: 1, replaced: null };
+    }
+
+    const record = storage.get(def.collection, id);
+    if (!isDeleted(record)) return null;
+    if (record.deletedWith) {
+      throw new TrashError('This was deleted along with its job. Restore the job instead.', 'PARENT_DELETED');
+    }
+
+    let replaced = null;
+    if (type === 'template') {
+      const current = storage.list(def.collection).find((t) => t.type === record.type && !isDeleted(t));
+      if (current) {
+        softDelete('template', current.id);
+        replaced = { type: 'template', id: current.id, label: def.label(current) };
+      }
+    }
+
+    storage.update(def.collection, id, { deletedAt: null });
+    let restored = 1;
+    if (type === 'job') {
+      for (const { type: childType, record: child } of childrenOf(id)) {
+        storage.update(TRASH_TYPES[childType].collection, child.id, { deletedAt: null, deletedWith: null });
+        restored++;
+      }
+    }
+    return { restored, replaced };
+  }
+
+  /**
+   * Whether an item is in the Trash and can be purged. Throws a TrashError
+   * for one that has to be purged along with its job.
+   */
+  function purgeable(type, id) {
+    const def = definition(type);
+    if (def.nested) {
+      const found = findNote(id);
+      return Boolean(found && isDeleted(found.note));
+    }
+    const record = storage.get(def.collection, id);
+    if (!isDeleted(record)) return false;
+    if (record.deletedWith) {
+      throw new TrashError('This was deleted along with its job. Purge the job instead.', 'PARENT_DELETED');
+    }
+    return true;
+  }
+
+  /**
+   * Permanently remove an item in the Trash, its children and its files.
+   * Returns the number of records removed, or 0 when it is not in the Trash.
+   */
+  function purge(type, id) {
+    if (!purgeable(type, id)) return 0;
+    const def = definition(type);
+
+    if (def.nested) {
+      const found = findNote(id);
+      storage.update('contacts', found.contact.id, {
+        notes: found.contact.notes.filter((n) => n.id !== id)
+      });
+      return 1;
+    }
+
+    const purged = purgeDependents(type, id);
+    removeRecord(def.collection, storage.get(def.collection, id));
+    return purged + 1;
+  }
+
+  /**
+   * Items deleted more than `retentionDays` ago.
+   */
+  function expired(now = Date.now()) {
+    return list().filter((item) => item.expiresAt && new Date(item.expiresAt).getTime() <= now);
+  }
+
+  /**
+   * Purge every expired item. Returns the purged items.
+   */
+  function purgeExpired(now = Date.now()) {
+    const items = expired(now);
+    for (const item of items) purge(item.type, item.id);
+    return items;
+  }
+
+  /**
+   * Purge everything in the Trash. Returns the number of items purged.
+   */
+  function empty() {
+    const items = list();
+    for (const item of items) purge(item.type, item.id);
+    return items.length;
+  }
+
+  return { list, softDelete, restore, purgeable, purge, expired, purgeExpired, empty };
+}
+
+module.exports = { createTrash, isDeleted, TrashError, TRASH_TYPES };
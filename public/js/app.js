@@ -11,6 +11,8 @@ const API_BASE = '';
 
 let currentJobId = null;
 let jobsCache = [];
+let pipeline = { stages: [], counts: {}, colors: [] };
+let jobsView = 'grid';
 let profileSkills = [];
 let profileCertifications = [];
 let modalConfirmCallback = null;
@@ -20,6 +22,50 @@ let profileDirty = false;
 // CORE UTILITIES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// What the user can do about each kind of AI provider failure (see lib/ai/errors.js)
+const AI_ERROR_GUIDANCE = {
+  auth: 'Check your API key in Settings.',
+  quota: 'Wait a minute and try again. If it keeps happening, check your plan and credit balance with the AI provider.',
+  overloaded: 'The AI service is busy or unreachable. Try again in a few minutes, or check the server URL in Settings if you use a local model.',
+  'invalid-request': 'Check the model names in Settings → Models per Feature, or try again with shorter input.',
+  unknown: 'Try again in a moment. If it keeps failing, the server log has the details.',
+};
+
+/**
+ * Turn an API error body into a message for the user.
+ */
+function apiErrorMessage(errorData, status) {
+  let errorMessage = errorData.error || errorData.message || `Request failed (${status})`;
+  // Server details explain what went wrong (e.g. a corrupted data file)
+  if (errorData.details) {
+    errorMessage = `${errorMessage}: ${errorData.details}`;
+  }
+  // Schema problems in an AI response; the first few are enough to act on
+  if (Array.isArray(errorData.issues) && errorData.issues.length > 0) {
+    errorMessage = `${errorMessage} (${errorData.issues.slice(0, 3).join('; ')})`;
+  }
+  // Failures of the AI provider come with a category saying what to do next
+  if (AI_ERROR_GUIDANCE[errorData.category]) {
+    errorMessage = `${errorMessage}. ${AI_ERROR_GUIDANCE[errorData.category]}`;
+    if (errorData.retryAfterSeconds) {
+      errorMessage = `${errorMessage} (The provider asked to wait ${errorData.retryAfterSeconds}s.)`;
+    }
+  }
+  return errorMessage;
+}
+
+/**
+ * Error for a failed API call, carrying the status and, for AI provider
+ * failures, the `code` and `category` from the body.
+ */
+function apiError(errorData, status) {
+  const error = new Error(apiErrorMessage(errorData, status));
+  error.status = status;
+  error.code = errorData.code;
+  error.category = errorData.category;
+  return error;
+}
+
 /**
  * Fetch wrapper that adds JSON headers and handles errors.
  */
@@ -40,14 +86,13 @@ async function api(path, options = {}) {
   const response = await fetch(`${API_BASE}${path}`, config);
 
   if (!response.ok) {
-    let errorMessage = `Request failed (${response.status})`;
+    let errorData = {};
     try {
-      const errorData = await response.json();
-      errorMessage = errorData.error || errorData.message || errorMessage;
+      errorData = await response.json();
     } catch {
       // response body is not JSON, use default message
     }
-    throw new Error(errorMessage);
+    throw apiError(errorData, response.status);
   }
 
   // Handle 204 No Content
@@ -58,6 +103,151 @@ async function api(path, options = {}) {
   return response.json();
 }
 
+/**
+ * POST to a streaming AI route. Calls onText(chunk) with the model's output
+ * as it arrives and resolves with the route's final JSON result. Aborting
+ * `signal` cancels the request on the server too; the promise then rejects
+ * with an AbortError.
+ */
+async function apiStream(path, body, { onText, signal } = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  // Errors before the model starts answering come back as plain JSON
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw apiError(data, response.status);
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const events = buffered.split('\n\n');
+    buffered = events.pop();
+    for (const block of events) {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)?.[1] || 'null');
+      if (event === 'text') onText?.(data);
+      if (event === 'done') return data;
+      if (event === 'error') throw apiError(data, data.status);
+    }
+  }
+  throw new Error('The connection closed before the response finished');
+}
+
+/**
+ * Run an AI operation as a background task (see /api/ai-tasks), so it
+ * finishes even if the page is reloaded; the AI Tasks tray keeps track of it.
+ * Resolves with the task's result. See followAiTask for the options.
+ */
+async function runAiTask(type, input, options = {}) {
+  const task = await api('/api/ai-tasks', {
+    method: 'POST',
+    body: JSON.stringify({ type, input }),
+  });
+  refreshAiTasksTray();
+  return followAiTask(task.id, options);
+}
+
+/**
+ * Follow a background task until it finishes. Calls onText(chunk) with the
+ * model's output and onUpdate(task) whenever the task changes. Resolves
+ * with the result; rejects like api() when the task fails or can no longer
+ * be followed, and with an AbortError when it is cancelled. Aborting
+ * `signal` cancels the task.
+ */
+function followAiTask(id, { onText, onUpdate, signal } = {}) {
+  followedAiTasks.add(id);
+  return new Promise((resolve, reject) => {
+    const path = `/api/ai-tasks/${encodeURIComponent(id)}`;
+    const source = new EventSource(`${API_BASE}${path}/events`);
+    const cancel = () => api(`${path}/cancel`, { method: 'POST' }).catch(() => {});
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    let received = '';
+    const addText = (text) => {
+      received += text;
+      onText?.(text);
+    };
+    source.addEventListener('text', (e) => addText(JSON.parse(e.data)));
+    // Sent first when joining a running task: everything written so far
+    source.addEventListener('output', (e) => {
+      const output = JSON.parse(e.data);
+      if (output.startsWith(received)) addText(output.slice(received.length));
+    });
+
+    const stop = () => {
+      source.close();
+      signal?.removeEventListener('abort', cancel);
+      refreshAiTasksTray();
+    };
+
+    const settle = (task) => {
+      if (task.status === 'succeeded') resolve(task.result);
+      else if (task.status === 'failed') reject(apiError(task.error, task.error.status));
+      else if (task.status === 'cancelled') reject(new DOMException('The task was cancelled', 'AbortError'));
+      else reject(apiError({ error: 'Lost the connection to the AI task' }, 0));
+    };
+
+    source.addEventListener('task', (e) => {
+      const task = JSON.parse(e.data);
+      onUpdate?.(task);
+      if (!['succeeded', 'failed', 'cancelled'].includes(task.status)) return;
+      stop();
+      settle(task);
+    });
+
+    // EventSource reconnects by itself after a dropped connection, but gives
+    // up when the server answers with an error, e.g. for a task that is gone
+    // after a restart. Ask for the task to find out why.
+    source.addEventListener('error', () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      stop();
+      api(path).then(settle, reject);
+    });
+  });
+}
+
+/**
+ * Read the (possibly unfinished) string value of `field` from JSON that is
+ * still being streamed, so it can be shown before the JSON is complete.
+ */
+function partialJsonString(text, field) {
+  const start = text.match(new RegExp(`"${field}"\\s*:\\s*"`));
+  if (!start) return '';
+  const escapes = { n: '\n', t: '\t', r: '', b: '', f: '', '"': '"', '\\': '\\', '/': '/' };
+  let value = '';
+  for (let i = start.index + start[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') break;
+    if (ch !== '\\') {
+      value += ch;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += escapes[next] ?? next;
+      i += 1;
+    }
+  }
+  return value;
+}
+
 /**
  * Show a toast notification.
  */
@@ -178,6 +368,15 @@ function navigateTo(pageId) {
     case 'contacts':
       loadContacts();
       break;
+    case 'ai-usage':
+      loadAiUsage();
+      break;
+    case 'prompts':
+      loadPrompts();
+      break;
+    case 'trash':
+      loadTrash();
+      break;
   }
 }
 
@@ -208,7 +407,7 @@ function setupNavigation() {
 
   // Initial page from hash or default
   const hash = window.location.hash.replace('#', '');
-  const validPages = ['dashboard', 'profile', 'writing-samples', 'jobs', 'headhunter', 'contacts'];
+  const validPages = ['dashboard', 'profile', 'writing-samples', 'jobs', 'headhunter', 'contacts', 'ai-usage', 'prompts', 'trash'];
   if (hash && validPages.includes(hash)) {
     navigateTo(hash);
   } else {
@@ -291,16 +490,14 @@ async function loadDashboard() {
     const statMatch = document.querySelector('#stat-match .stat-number');
     if (statMatch) statMatch.textContent = `${avgScore}%`;
 
-    // Interviewing
-    const interviewing = jobsCache.filter(j => j.status === 'interviewing').length;
-    const statInterviews = document.querySelector('#stat-interviews .stat-number');
-    if (statInterviews) statInterviews.textContent = interviewing;
-
     // Recent activity
     renderRecentActivity(jobsCache);
   } catch (err) {
     console.error('Failed to load dashboard data:', err);
   }
+
+  loadUpcomingInterviews();
+  loadDueTasks();
 }
 
 function renderRecentActivity(jobs) {
@@ -633,6 +830,9 @@ function setupResumeUpload() {
     const file = fileInput.files[0];
     const formData = new FormData();
     formData.append('resume', file);
+    if (document.getElementById('resume-parse-refresh')?.checked) {
+      formData.append('refresh', 'true');
+    }
 
     try {
       showLoading('Parsing your resume...');
@@ -736,7 +936,7 @@ function renderTemplateStatus(type, templates) {
     container.querySelector('.template-remove-btn')?.addEventListener('click', async () => {
       try {
         await api(`/api/templates/${template.id}`, { method: 'DELETE' });
-        showToast('Template removed.', 'success');
+        showToast('Template moved to the Trash.', 'success');
         loadTemplates();
       } catch (err) {
         showToast(`Failed to remove template: ${err.message}`, 'error');
@@ -879,6 +1079,112 @@ async function loadDocumentHistory(jobId) {
   }
 }
 
+// ── Job Timeline ──
+
+const TIMELINE_KIND_LABELS = {
+  status: 'Status',
+  resume: 'Resume',
+  'cover-letter': 'Cover letter',
+  'mock-interview': 'Mock interview',
+  'interview-round': 'Interview',
+  'contact-note': 'Contact note',
+  'job-note': 'Notes',
+};
+
+function formatStageDays(days) {
+  if (days === 0) return 'less than a day';
+  return `${days} day${days !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Turn an ISO timestamp into the local "YYYY-MM-DDTHH:MM" a datetime-local
+ * input expects.
+ */
+function toDateTimeLocal(iso) {
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+async function loadJobTimeline(jobId) {
+  const container = document.getElementById('job-timeline');
+  if (!container) return;
+  try {
+    const { stages, items } = await api(`/api/jobs/${jobId}/timeline`);
+    renderJobStages(stages);
+    renderJobTimeline(items);
+  } catch (err) {
+    container.innerHTML = `<div class="empty-state"><p>Failed to load the timeline: ${escapeHtml(err.message)}</p></div>`;
+  }
+}
+
+function renderJobStages(stages) {
+  const container = document.getElementById('job-stages');
+  container.innerHTML = stages.map(stage => `
+    <span class="job-stage${stage.until === null ? ' job-stage--current' : ''}">
+      <strong>${escapeHtml(stageLabel(stage.status))}</strong>
+      ${escapeHtml(formatStageDays(stage.days))}${stage.until === null ? ' so far' : ''}
+    </span>`).join('<span class="job-stage-arrow" aria-hidden="true">&rarr;</span>');
+}
+
+function renderJobTimeline(items) {
+  const container = document.getElementById('job-timeline');
+  if (items.length === 0) {
+    container.innerHTML = '<div class="empty-state"><p>Nothing has happened with this job yet.</p></div>';
+    return;
+  }
+  container.innerHTML = items.map(item => {
+    const date = formatBackupDate(item.at) + (item.approximate ? ' (approximate)' : '');
+    const editBtn = item.kind === 'status'
+      ? `<button type="button" class="btn btn--outline btn--small timeline-edit-btn" data-id="${escapeHtml(item.ref.id)}" data-at="${escapeHtml(item.at)}" data-note="${escapeHtml(item.detail || '')}">Edit</button>`
+      : '';
+    return `
+      <div class="note-item timeline-item timeline-item--${escapeHtml(item.kind)}">
+        <p class="note-item-text"><strong>${escapeHtml(item.title)}</strong></p>
+        ${item.detail ? `<p class="note-item-text">${escapeHtml(item.detail)}</p>` : ''}
+        <div class="note-item-meta">
+          <span class="note-item-date">${escapeHtml(TIMELINE_KIND_LABELS[item.kind] || item.kind)} · ${escapeHtml(date)}</span>
+          ${editBtn}
+        </div>
+      </div>`;
+  }).join('');
+}
+
+function setupJobTimeline() {
+  const container = document.getElementById('job-timeline');
+  if (!container) return;
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('.timeline-edit-btn');
+    if (!btn || !currentJobId) return;
+    const jobId = currentJobId;
+    showModal('Edit Status Change', `
+      <div class="form-group">
+        <label for="timeline-edit-at" class="form-label">When</label>
+        <input type="datetime-local" id="timeline-edit-at" class="form-input" value="${escapeHtml(toDateTimeLocal(btn.dataset.at))}">
+      </div>
+      <div class="form-group">
+        <label for="timeline-edit-note" class="form-label">Note</label>
+        <textarea id="timeline-edit-note" class="form-textarea" rows="3" placeholder="e.g. Applied through a referral">${escapeHtml(btn.dataset.note)}</textarea>
+      </div>`, async () => {
+      try {
+        const at = document.getElementById('timeline-edit-at').value;
+        await api(`/api/jobs/${jobId}/status-history/${btn.dataset.id}`, {
+          method: 'PUT',
+          body: JSON.stringify({
+            note: document.getElementById('timeline-edit-note').value,
+            at: at ? new Date(at).toISOString() : undefined,
+          }),
+        });
+        closeModal();
+        showToast('Status change updated.', 'success');
+        loadJobTimeline(jobId);
+      } catch (err) {
+        showToast(`Failed to update: ${err.message}`, 'error');
+      }
+    });
+  });
+}
+
 // ── Profile Dirty State ──
 
 function markProfileDirty() {
@@ -1020,7 +1326,7 @@ function renderWritingSamples(samples) {
       const id = btn.dataset.id;
       try {
         await api(`/api/writing-samples/${id}`, { method: 'DELETE' });
-        showToast('Writing sample deleted.', 'success');
+        showToast('Writing sample moved to the Trash.', 'success');
         loadWritingSamples();
       } catch (err) {
         showToast(`Failed to delete sample: ${err.message}`, 'error');
@@ -1084,7 +1390,7 @@ function readFileAsText(file) {
 
 async function loadJobs() {
   try {
-    const jobs = await api('/api/jobs');
+    const [jobs] = await Promise.all([api('/api/jobs'), loadPipeline()]);
     jobsCache = jobs || [];
     applyJobsFilterAndSort();
   } catch (err) {
@@ -1096,9 +1402,9 @@ async function loadJobs() {
 function applyJobsFilterAndSort() {
   let jobs = [...jobsCache];
 
-  // Filter by status
+  // Filter by status (the board shows every status in its own column)
   const filterStatus = document.getElementById('jobs-filter-status')?.value || 'all';
-  if (filterStatus !== 'all') {
+  if (filterStatus !== 'all' && jobsView === 'grid') {
     jobs = jobs.filter(j => j.status === filterStatus);
   }
 
@@ -1119,7 +1425,8 @@ function applyJobsFilterAndSort() {
   // Starred jobs always float to top
   jobs.sort((a, b) => (b.starred ? 1 : 0) - (a.starred ? 1 : 0));
 
-  renderJobsList(jobs);
+  if (jobsView === 'board') renderJobsBoard(jobs);
+  else renderJobsList(jobs);
 }
 
 const STATUS_COLORS = {
@@ -1131,6 +1438,42 @@ const STATUS_COLORS = {
   withdrawn: 'muted',
 };
 
+function stageColor(status) {
+  return pipeline.stages.find(stage => stage.id === status)?.color || STATUS_COLORS[status] || 'lavender';
+}
+
+function stageLabel(status) {
+  return pipeline.stages.find(stage => stage.id === status)?.label || status;
+}
+
+/**
+ * Fill a status <select> with the pipeline stages and select `current`.
+ * A job's status that is no longer a stage is kept as an extra option.
+ */
+function renderStatusOptions(select, current, { includeAll = false } = {}) {
+  if (!select) return;
+  const options = pipeline.stages.map(stage => [stage.id, stage.label]);
+  const known = options.some(([id]) => id === current);
+  if (!includeAll && current && !known) options.push([current, current]);
+  select.innerHTML = (includeAll ? '<option value="all">All</option>' : '') +
+    options.map(([id, label]) => `<option value="${escapeHtml(id)}">${escapeHtml(label)}</option>`).join('');
+  select.value = includeAll && !known ? 'all' : current;
+}
+
+async function loadPipeline() {
+  try {
+    setPipeline(await api('/api/pipeline'));
+  } catch (err) {
+    console.error('Failed to load pipeline stages:', err);
+  }
+}
+
+function setPipeline(next) {
+  pipeline = next;
+  const filter = document.getElementById('jobs-filter-status');
+  if (filter) renderStatusOptions(filter, filter.value, { includeAll: true });
+}
+
 function formatSalary(job) {
   if (!job.salaryMin && !job.salaryMax) return '';
   const type = job.salaryType || 'hourly';
@@ -1166,7 +1509,7 @@ function renderJobsList(jobs) {
     const date = new Date(job.createdAt || Date.now());
     const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
     const status = job.status || 'saved';
-    const colorClass = STATUS_COLORS[status] || 'lavender';
+    const colorClass = stageColor(status);
     const matchHtml = job.matchScore != null
       ? `<span class="job-card-match ${job.matchScore >= 70 ? 'match--green' : job.matchScore >= 40 ? 'match--yellow' : 'match--red'}">${job.matchScore}%</span>`
       : `<button type="button" class="job-card-run-match" data-id="${id}" title="Run Match Analysis">&#9678; Match</button>`;
@@ -1180,7 +1523,7 @@ function renderJobsList(jobs) {
         <button type="button" class="job-card-star ${starClass}" data-id="${id}" aria-label="Toggle favorite" title="Favorite">${starChar}</button>
         <div class="job-card-header">
           <h4 class="job-card-title">${escapeHtml(job.title || 'Untitled')}</h4>
-          <span class="badge badge--status badge--${colorClass}">${escapeHtml(status)}</span>
+          <span class="badge badge--status badge--${colorClass}">${escapeHtml(stageLabel(status))}</span>
         </div>
         <p class="job-card-company">${escapeHtml(job.company || 'Unknown Company')}</p>
         <p class="job-card-location">${escapeHtml(job.location || '')}</p>
@@ -1249,6 +1592,231 @@ function renderJobsList(jobs) {
   });
 }
 
+// ── Jobs Board ──
+
+function renderJobsBoard(jobs) {
+  const container = document.getElementById('jobs-board');
+  if (!container) return;
+
+  const known = new Set(pipeline.stages.map(stage => stage.id));
+  const columns = pipeline.stages.map(stage => ({
+    ...stage,
+    jobs: jobs.filter(job => (job.status || 'saved') === stage.id),
+  }));
+  // Jobs left in a stage that was removed from the pipeline, e.g. restored from the Trash
+  const others = jobs.filter(job => !known.has(job.status || 'saved'));
+  if (others.length > 0) columns.push({ id: '', label: 'Not in pipeline', color: 'muted', jobs: others });
+
+  container.innerHTML = columns.map((column, index) => `
+    <section class="board-column" data-status="${escapeHtml(column.id)}" aria-labelledby="board-column-${index}">
+      <header class="board-column-header">
+        <h3 id="board-column-${index}" class="board-column-title">
+          <span class="badge badge--status badge--${column.color}">${escapeHtml(column.label)}</span>
+        </h3>
+        <span class="board-column-count" title="${column.jobs.length} job${column.jobs.length !== 1 ? 's' : ''}">${column.jobs.length}</span>
+      </header>
+      <div class="board-column-cards">
+        ${column.jobs.length > 0 ? column.jobs.map(renderBoardCard).join('') : '<p class="board-column-empty">No jobs</p>'}
+      </div>
+    </section>`).join('');
+}
+
+function renderBoardCard(job) {
+  const id = job._id || job.id;
+  const title = job.title || 'Untitled';
+  const company = job.company || 'Unknown Company';
+  const matchHtml = job.matchScore != null
+    ? `<span class="job-card-match ${job.matchScore >= 70 ? 'match--green' : job.matchScore >= 40 ? 'match--yellow' : 'match--red'}">${job.matchScore}%</span>`
+    : '';
+  return `
+    <article class="board-card" data-id="${id}" draggable="true" tabindex="0"
+      aria-label="${escapeHtml(title)} at ${escapeHtml(company)}, ${escapeHtml(stageLabel(job.status || 'saved'))}. Alt plus arrow keys move it.">
+      <h4 class="board-card-title">${job.starred ? '<span class="board-card-star" aria-hidden="true">&#9733;</span> ' : ''}${escapeHtml(title)}</h4>
+      <p class="job-card-company">${escapeHtml(company)}</p>
+      ${matchHtml}
+    </article>`;
+}
+
+/**
+ * Move a job to another stage. The board updates right away and goes back
+ * if the server refuses the change.
+ */
+async function moveJobToStage(jobId, status, { refocus = false } = {}) {
+  const job = jobsCache.find(j => (j._id || j.id) === jobId);
+  if (!job || job.status === status) return;
+  const previous = job.status;
+  job.status = status;
+  applyJobsFilterAndSort();
+  if (refocus) document.querySelector(`.board-card[data-id="${jobId}"]`)?.focus();
+  try {
+    const updated = await api(`/api/jobs/${jobId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ status }),
+    });
+    Object.assign(job, { status: updated.status, statusHistory: updated.statusHistory });
+    showToast(`Moved "${job.title || 'Untitled'}" to ${stageLabel(status)}.`, 'success');
+    if (updated.suggestedTask) showToast(`Suggested a task: ${updated.suggestedTask.title}`, 'info');
+  } catch (err) {
+    job.status = previous;
+    applyJobsFilterAndSort();
+    if (refocus) document.querySelector(`.board-card[data-id="${jobId}"]`)?.focus();
+    showToast(`Failed to move job: ${err.message}`, 'error');
+  }
+}
+
+function setJobsView(view) {
+  jobsView = view;
+  document.querySelectorAll('.jobs-view-toggle [data-view]').forEach(btn => {
+    const active = btn.dataset.view === view;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', String(active));
+  });
+  document.getElementById('jobs-list').hidden = view !== 'grid';
+  document.getElementById('jobs-board').hidden = view !== 'board';
+  document.getElementById('jobs-board-hint').hidden = view !== 'board';
+  document.getElementById('jobs-filter-status-group').hidden = view !== 'grid';
+  applyJobsFilterAndSort();
+}
+
+function setupJobsBoard() {
+  const board = document.getElementById('jobs-board');
+  if (!board) return;
+
+  document.querySelectorAll('.jobs-view-toggle [data-view]').forEach(btn => {
+    btn.addEventListener('click', () => setJobsView(btn.dataset.view));
+  });
+
+  board.addEventListener('click', (e) => {
+    const card = e.target.closest('.board-card');
+    if (card) showJobDetail(card.dataset.id);
+  });
+
+  board.addEventListener('keydown', (e) => {
+    const card = e.target.closest('.board-card');
+    if (!card) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      showJobDetail(card.dataset.id);
+      return;
+    }
+    if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    const job = jobsCache.find(j => (j._id || j.id) === card.dataset.id);
+    const index = pipeline.stages.findIndex(stage => stage.id === (job?.status || 'saved'));
+    const next = index === -1 ? 0 : index + (e.key === 'ArrowRight' ? 1 : -1);
+    if (next < 0 || next >= pipeline.stages.length) return;
+    moveJobToStage(card.dataset.id, pipeline.stages[next].id, { refocus: true });
+  });
+
+  // Drag and drop between columns
+  board.addEventListener('dragstart', (e) => {
+    const card = e.target.closest('.board-card');
+    if (!card) return;
+    e.dataTransfer.setData('text/plain', card.dataset.id);
+    e.dataTransfer.effectAllowed = 'move';
+    card.classList.add('dragging');
+  });
+  board.addEventListener('dragend', (e) => {
+    e.target.closest('.board-card')?.classList.remove('dragging');
+    board.querySelectorAll('.board-column.drag-over').forEach(col => col.classList.remove('drag-over'));
+  });
+  board.addEventListener('dragover', (e) => {
+    const column = e.target.closest('.board-column');
+    if (!column || !column.dataset.status) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    column.classList.add('drag-over');
+  });
+  board.addEventListener('dragleave', (e) => {
+    const column = e.target.closest('.board-column');
+    if (column && !column.contains(e.relatedTarget)) column.classList.remove('drag-over');
+  });
+  board.addEventListener('drop', (e) => {
+    const column = e.target.closest('.board-column');
+    if (!column || !column.dataset.status) return;
+    e.preventDefault();
+    column.classList.remove('drag-over');
+    moveJobToStage(e.dataTransfer.getData('text/plain'), column.dataset.status);
+  });
+
+  const editBtn = document.getElementById('edit-pipeline-btn');
+  if (editBtn) editBtn.addEventListener('click', openPipelineEditor);
+}
+
+// ── Pipeline Stages Editor ──
+
+function renderStageRow(stage) {
+  const count = pipeline.counts[stage.id] || 0;
+  return `
+    <div class="pipeline-stage-row" data-id="${escapeHtml(stage.id || '')}">
+      <input type="text" class="form-input pipeline-stage-label" value="${escapeHtml(stage.label)}" maxlength="40" aria-label="Stage name" placeholder="Stage name">
+      <select class="form-select form-select--small pipeline-stage-color" aria-label="Stage colour">
+        ${pipeline.colors.map(color => `<option value="${color}" ${color === stage.color ? 'selected' : ''}>${color}</option>`).join('')}
+      </select>
+      <span class="pipeline-stage-count">${count} job${count !== 1 ? 's' : ''}</span>
+      <button type="button" class="btn btn--ghost btn--small" data-stage-action="up" aria-label="Move up">&uarr;</button>
+      <button type="button" class="btn btn--ghost btn--small" data-stage-action="down" aria-label="Move down">&darr;</button>
+      <button type="button" class="btn btn--ghost btn--small" data-stage-action="remove" aria-label="Remove stage"
+        ${count > 0 ? 'disabled title="Move its jobs to another stage first"' : ''}>&times;</button>
+    </div>`;
+}
+
+function openPipelineEditor() {
+  showModal('Edit Pipeline Stages', `
+    <p class="page-description">Stages are the columns of the board, in order. Renaming a stage keeps its jobs; a stage can only be removed once no jobs are in it.</p>
+    <div id="pipeline-stage-rows" class="pipeline-stage-rows">
+      ${pipeline.stages.map(renderStageRow).join('')}
+    </div>
+    <div class="form-actions form-actions--left">
+      <button type="button" id="pipeline-add-stage" class="btn btn--outline btn--small">+ Add Stage</button>
+      <button type="button" id="pipeline-reset" class="btn btn--ghost btn--small">Reset to Defaults</button>
+    </div>`, async () => {
+    const stages = [...document.querySelectorAll('#pipeline-stage-rows .pipeline-stage-row')].map(row => ({
+      id: row.dataset.id || undefined,
+      label: row.querySelector('.pipeline-stage-label').value,
+      color: row.querySelector('.pipeline-stage-color').value,
+    }));
+    try {
+      setPipeline(await api('/api/pipeline', { method: 'PUT', body: JSON.stringify({ stages }) }));
+      closeModal();
+      applyJobsFilterAndSort();
+      showToast('Pipeline stages saved.', 'success');
+    } catch (err) {
+      showToast(`Failed to save stages: ${err.message}`, 'error');
+    }
+  });
+
+  const rows = document.getElementById('pipeline-stage-rows');
+  rows.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-stage-action]');
+    if (!btn) return;
+    const row = btn.closest('.pipeline-stage-row');
+    if (btn.dataset.stageAction === 'up' && row.previousElementSibling) {
+      row.parentNode.insertBefore(row, row.previousElementSibling);
+    } else if (btn.dataset.stageAction === 'down' && row.nextElementSibling) {
+      row.parentNode.insertBefore(row.nextElementSibling, row);
+    } else if (btn.dataset.stageAction === 'remove') {
+      row.remove();
+    }
+  });
+
+  document.getElementById('pipeline-add-stage').addEventListener('click', () => {
+    rows.insertAdjacentHTML('beforeend', renderStageRow({ id: '', label: '', color: 'lavender' }));
+    rows.lastElementChild.querySelector('.pipeline-stage-label').focus();
+  });
+
+  document.getElementById('pipeline-reset').addEventListener('click', async () => {
+    try {
+      setPipeline(await api('/api/pipeline', { method: 'DELETE' }));
+      closeModal();
+      applyJobsFilterAndSort();
+      showToast('Pipeline stages reset to the defaults.', 'success');
+    } catch (err) {
+      showToast(`Failed to reset stages: ${err.message}`, 'error');
+    }
+  });
+}
+
 function setupJobsModule() {
   // Toggle add-job panel
   const toggleBtn = document.getElementById('toggle-add-job');
@@ -1291,6 +1859,7 @@ function setupJobsModule() {
     urlForm.addEventListener('submit', async (e) => {
       e.preventDefault();
       const url = document.getElementById('job-url-input')?.value || '';
+      const refresh = Boolean(document.getElementById('job-url-refresh')?.checked);
 
       if (!url.trim()) {
         showToast('Please enter a job posting URL.', 'error');
@@ -1301,7 +1870,7 @@ function setupJobsModule() {
         showLoading('Extracting job info from URL...');
         const parsed = await api('/api/jobs/extract-url', {
           method: 'POST',
-          body: JSON.stringify({ url }),
+          body: JSON.stringify({ url, refresh }),
         });
         hideLoading();
 
@@ -1312,6 +1881,7 @@ function setupJobsModule() {
         });
 
         showToast('Job added successfully!', 'success');
+        if (saved.suggestedTask) showToast(`Suggested a task: ${saved.suggestedTask.title}`, 'info');
         urlForm.reset();
         panel.hidden = true;
         loadJobs();
@@ -1348,11 +1918,12 @@ function setupJobsModule() {
       }
 
       try {
-        await api('/api/jobs', {
+        const saved = await api('/api/jobs', {
           method: 'POST',
           body: JSON.stringify(jobData),
         });
         showToast('Job added successfully!', 'success');
+        if (saved.suggestedTask) showToast(`Suggested a task: ${saved.suggestedTask.title}`, 'info');
         manualForm.reset();
         panel.hidden = true;
         loadJobs();
@@ -1404,7 +1975,7 @@ function showJobDetail(jobId) {
 
   // Status select
   const statusSelect = document.getElementById('job-detail-status');
-  if (statusSelect) statusSelect.value = job.status || 'saved';
+  renderStatusOptions(statusSelect, job.status || 'saved');
 
   // Description
   const descEl = document.getElementById('job-detail-description');
@@ -1461,6 +2032,7 @@ function showJobDetail(jobId) {
   const runMatchBtn = document.getElementById('run-match-btn');
   if (runMatchBtn) {
     runMatchBtn.querySelector('.btn-icon').nextSibling.textContent = ' Run Match Analysis';
+    delete runMatchBtn.dataset.refresh;
   }
 
   // Reset resume preview
@@ -1517,6 +2089,44 @@ function showJobDetail(jobId) {
   navigateTo('job-detail');
 }
 
+/**
+ * Generate a resume or cover letter as a background task, showing the text
+ * of `field` in `preview` as it is written, with a Cancel button.
+ * Resolves with the saved document, or null when cancelled; on cancel or
+ * failure the preview goes back to what it showed before.
+ */
+async function streamGeneratedText(preview, { type, jobId, field, label }) {
+  const previous = preview.innerHTML;
+  const controller = new AbortController();
+  preview.innerHTML = `
+    <div class="stream-status">
+      <span class="stream-status-text">${escapeHtml(label)}</span>
+      <button type="button" class="btn btn--outline btn--small stream-cancel">Cancel</button>
+    </div>
+    <pre class="generated-text generated-text--streaming"></pre>`;
+  const output = preview.querySelector('.generated-text');
+  const status = preview.querySelector('.stream-status-text');
+  preview.querySelector('.stream-cancel').addEventListener('click', () => controller.abort());
+
+  let raw = '';
+  try {
+    return await runAiTask(type, { jobId }, {
+      signal: controller.signal,
+      onUpdate: (task) => {
+        status.textContent = task.status === 'queued' ? 'Waiting for other AI tasks to finish...' : label;
+      },
+      onText: (chunk) => {
+        raw += chunk;
+        output.textContent = partialJsonString(raw, field);
+      },
+    });
+  } catch (err) {
+    preview.innerHTML = previous;
+    if (err.name === 'AbortError') return null;
+    throw err;
+  }
+}
+
 function setupJobDetail() {
   // Back button
   const backBtn = document.getElementById('job-detail-back');
@@ -1547,14 +2157,17 @@ function setupJobDetail() {
     statusSelect.addEventListener('change', async () => {
       if (!currentJobId) return;
       try {
-        await api(`/api/jobs/${currentJobId}`, {
+        const updated = await api(`/api/jobs/${currentJobId}`, {
           method: 'PUT',
           body: JSON.stringify({ status: statusSelect.value }),
         });
         // Update cache
         const job = jobsCache.find(j => (j._id || j.id) === currentJobId);
-        if (job) job.status = statusSelect.value;
-        showToast('Status updated.', 'success');
+        if (job) Object.assign(job, { status: updated.status, statusHistory: updated.statusHistory });
+        showToast('Status updated. Add a note to it from the Timeline tab.', 'success');
+        if (updated.suggestedTask) showToast(`Suggested a task: ${updated.suggestedTask.title}`, 'info');
+        if (!document.getElementById('jd-panel-timeline').hidden) loadJobTimeline(currentJobId);
+        if (!document.getElementById('jd-panel-tasks').hidden) loadJobTasks(currentJobId);
       } catch (err) {
         showToast(`Failed to update status: ${err.message}`, 'error');
       }
@@ -1587,10 +2200,22 @@ function setupJobDetail() {
       if (tabName === 'documents' && currentJobId) {
         loadDocumentHistory(currentJobId);
       }
+      // Load interview rounds when Interviews tab is selected
+      if (tabName === 'rounds' && currentJobId) {
+        loadJobRounds(currentJobId);
+      }
       // Load mock interviews when Interview tab is selected
       if (tabName === 'interview' && currentJobId) {
         loadMockInterviews(currentJobId);
       }
+      // Load the timeline when Timeline tab is selected
+      if (tabName === 'timeline' && currentJobId) {
+        loadJobTimeline(currentJobId);
+      }
+      // Load tasks when Tasks tab is selected
+      if (tabName === 'tasks' && currentJobId) {
+        loadJobTasks(currentJobId);
+      }
     });
   });
 
@@ -1601,8 +2226,10 @@ function setupJobDetail() {
       if (!currentJobId) return;
       try {
         showLoading('Analyzing match...');
+        // The first run may reuse a saved analysis; Re-run asks for a fresh one
         const result = await api(`/api/jobs/${currentJobId}/match`, {
           method: 'POST',
+          body: JSON.stringify({ refresh: runMatchBtn.dataset.refresh === 'true' }),
         });
         hideLoading();
 
@@ -1624,6 +2251,7 @@ function setupJobDetail() {
           }
         }
         runMatchBtn.innerHTML = '<span class="btn-icon" aria-hidden="true">&#9678;</span> Re-run Analysis';
+        runMatchBtn.dataset.refresh = 'true';
       } catch (err) {
         hideLoading();
         showToast(`Match analysis failed: ${err.message}`, 'error');
@@ -1636,16 +2264,21 @@ function setupJobDetail() {
   if (genResumeBtn) {
     genResumeBtn.addEventListener('click', async () => {
       if (!currentJobId) return;
+      const preview = document.getElementById('resume-preview');
       try {
-        showLoading('Tailoring resume...');
-        const result = await api('/api/resume/tailor', {
-          method: 'POST',
-          body: JSON.stringify({ jobId: currentJobId }),
+        genResumeBtn.disabled = true;
+        const result = await streamGeneratedText(preview, {
+          type: 'tailor-resume',
+          jobId: currentJobId,
+          field: 'resume',
+          label: 'Tailoring your resume...',
         });
-        hideLoading();
+        if (!result) {
+          showToast('Resume generation cancelled.', 'info');
+          return;
+        }
 
         const resumeText = result.resume || result.content || result.text || JSON.stringify(result, null, 2);
-        const preview = document.getElementById('resume-preview');
         if (preview) {
           preview.innerHTML = `<pre class="generated-text">${escapeHtml(resumeText)}</pre>`;
         }
@@ -1668,8 +2301,9 @@ function setupJobDetail() {
 
         showToast('Resume generated!', 'success');
       } catch (err) {
-        hideLoading();
         showToast(`Resume generation failed: ${err.message}`, 'error');
+      } finally {
+        genResumeBtn.disabled = false;
       }
     });
   }
@@ -1697,16 +2331,21 @@ function setupJobDetail() {
   if (genCoverBtn) {
     genCoverBtn.addEventListener('click', async () => {
       if (!currentJobId) return;
+      const preview = document.getElementById('cover-preview');
       try {
-        showLoading('Writing cover letter...');
-        const result = await api('/api/cover-letter/generate', {
-          method: 'POST',
-          body: JSON.stringify({ jobId: currentJobId }),
+        genCoverBtn.disabled = true;
+        const result = await streamGeneratedText(preview, {
+          type: 'cover-letter',
+          jobId: currentJobId,
+          field: 'coverLetter',
+          label: 'Writing your cover letter...',
         });
-        hideLoading();
+        if (!result) {
+          showToast('Cover letter generation cancelled.', 'info');
+          return;
+        }
 
         const coverText = result.coverLetter || result.content || result.text || JSON.stringify(result, null, 2);
-        const preview = document.getElementById('cover-preview');
         if (preview) {
           preview.innerHTML = `<pre class="generated-text">${escapeHtml(coverText)}</pre>`;
         }
@@ -1729,8 +2368,9 @@ function setupJobDetail() {
 
         showToast('Cover letter generated!', 'success');
       } catch (err) {
-        hideLoading();
         showToast(`Cover letter generation failed: ${err.message}`, 'error');
+      } finally {
+        genCoverBtn.disabled = false;
       }
     });
   }
@@ -1780,11 +2420,16 @@ function setupJobDetail() {
     deleteJobBtn.addEventListener('click', () => {
       showModal(
         'Delete Job',
-        '<p>Are you sure you want to delete this job? This action cannot be undone.</p>',
+        `<p>Move this job to the Trash? You can restore it from there until it is purged.</p>
+        <label style="display:flex;align-items:center;gap:8px;margin-top:12px;font-size:0.9rem;">
+          <input type="checkbox" id="delete-job-cascade" checked>
+          Also delete its resumes, cover letters, mock interviews and interview rounds
+        </label>`,
         async () => {
           try {
-            await api(`/api/jobs/${currentJobId}`, { method: 'DELETE' });
-            showToast('Job deleted.', 'success');
+            const cascade = document.getElementById('delete-job-cascade')?.checked;
+            await api(`/api/jobs/${currentJobId}${cascade ? '?cascade=true' : ''}`, { method: 'DELETE' });
+            showToast('Job moved to the Trash.', 'success');
             currentJobId = null;
             closeModal();
             navigateTo('jobs');
@@ -1802,6 +2447,14 @@ function renderMatchResults(result, score) {
   const matchResults = document.getElementById('match-results');
   if (!matchResults) return;
 
+  const cacheNote = document.getElementById('match-cache-note');
+  if (cacheNote) {
+    cacheNote.hidden = !result.cachedAt;
+    cacheNote.textContent = result.cachedAt
+      ? `Saved analysis from ${formatBackupDate(result.cachedAt)}. The job and your profile haven't changed since. Re-run Analysis for a fresh one.`
+      : '';
+  }
+
   // Score
   const scoreValue = document.getElementById('match-score-value');
   const scoreCircle = document.getElementById('match-score-circle');
@@ -1988,6 +2641,8 @@ function setupHeadhunter() {
   loadCustomBoards();
   setupCustomBoardForm();
 
+  const cancelBtn = document.getElementById('headhunter-cancel-btn');
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
@@ -1999,13 +2654,24 @@ function setupHeadhunter() {
       return;
     }
 
+    const searchBtn = document.getElementById('headhunter-search-btn');
+    const progress = document.getElementById('headhunter-progress');
+    const progressText = document.getElementById('headhunter-progress-text');
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    cancelBtn?.addEventListener('click', cancel);
     try {
-      showLoading('Searching for opportunities...');
-      const result = await api('/api/headhunter/search', {
-        method: 'POST',
-        body: JSON.stringify({ query, useProfile }),
+      if (searchBtn) searchBtn.disabled = true;
+      if (progress) progress.hidden = false;
+      if (progressText) progressText.textContent = 'Building your search strategy...';
+      let received = 0;
+      const result = await runAiTask('headhunter', { query, useProfile }, {
+        signal: controller.signal,
+        onText: (chunk) => {
+          received += chunk.length;
+          if (progressText) progressText.textContent = `Building your search strategy... (${received.toLocaleString()} characters so far)`;
+        },
       });
-      hideLoading();
 
       // Show results
       const resultsSection = document.getElementById('headhunter-results');
@@ -2013,8 +2679,15 @@ function setupHeadhunter() {
 
       renderHeadhunterResults(result);
     } catch (err) {
-      hideLoading();
-      showToast(`Search failed: ${err.message}`, 'error');
+      if (err.name === 'AbortError') {
+        showToast('Search cancelled.', 'info');
+      } else {
+        showToast(`Search failed: ${err.message}`, 'error');
+      }
+    } finally {
+      cancelBtn?.removeEventListener('click', cancel);
+      if (searchBtn) searchBtn.disabled = false;
+      if (progress) progress.hidden = true;
     }
   });
 }
@@ -2195,7 +2868,8 @@ function setupChat() {
     const suggestions = document.getElementById('chat-suggestions');
     if (suggestions) suggestions.hidden = true;
 
-    // Show typing indicator
+    // Show typing indicator until the first words of the reply arrive
+    const controller = new AbortController();
     const typingIndicator = document.createElement('div');
     typingIndicator.className = 'chat-message chat-message--assistant chat-typing';
     typingIndicator.innerHTML = `
@@ -2207,26 +2881,57 @@ function setupChat() {
           <span class="typing-dot"></span>
         </div>
       </div>`;
+    addStopButton(typingIndicator, controller);
     messages.appendChild(typingIndicator);
     scrollChatToBottom();
 
+    let replyDiv = null;
+    let replyText = '';
     try {
-      const result = await api('/api/chat', {
-        method: 'POST',
-        body: JSON.stringify({ message }),
+      const result = await apiStream('/api/chat', { message }, {
+        signal: controller.signal,
+        onText: (chunk) => {
+          replyText += chunk;
+          if (!replyDiv) {
+            typingIndicator.remove();
+            replyDiv = appendChatMessage('', 'assistant');
+            addStopButton(replyDiv, controller);
+          }
+          replyDiv.querySelector('p').innerHTML = escapeHtml(replyText).replace(/\n/g, '<br>');
+          scrollChatToBottom();
+        },
       });
 
       // Remove typing indicator
       typingIndicator.remove();
 
       const reply = result.reply || result.message || result.response || 'I\'m not sure how to respond to that.';
-      appendChatMessage(reply, 'assistant');
+      if (replyDiv) {
+        replyDiv.querySelector('p').innerHTML = escapeHtml(reply).replace(/\n/g, '<br>');
+      } else {
+        appendChatMessage(reply, 'assistant');
+      }
     } catch (err) {
       typingIndicator.remove();
-      appendChatMessage(`Sorry, I encountered an error: ${err.message}`, 'assistant');
+      if (err.name === 'AbortError') {
+        if (replyDiv) replyDiv.querySelector('p').insertAdjacentHTML('beforeend', ' <em>(stopped)</em>');
+      } else {
+        appendChatMessage(`Sorry, I encountered an error: ${err.message}`, 'assistant');
+      }
+    } finally {
+      replyDiv?.querySelector('.chat-stop')?.remove();
     }
   }
 
+  function addStopButton(messageDiv, controller) {
+    const stopBtn = document.createElement('button');
+    stopBtn.type = 'button';
+    stopBtn.className = 'btn btn--outline btn--small chat-stop';
+    stopBtn.textContent = 'Stop';
+    stopBtn.addEventListener('click', () => controller.abort());
+    messageDiv.querySelector('.chat-bubble').appendChild(stopBtn);
+  }
+
   function appendChatMessage(text, role) {
     if (!messages) return;
 
@@ -2248,6 +2953,7 @@ function setupChat() {
 
     messages.appendChild(messageDiv);
     scrollChatToBottom();
+    return messageDiv;
   }
 
   function scrollChatToBottom() {
@@ -2279,84 +2985,210 @@ function setupSettings() {
           <input type="password" id="settings-api-key" class="form-input" placeholder="sk-ant-..." autocomplete="off">
           <p class="form-hint">Stored server-side in your .env file. Leave blank to keep the current key.</p>
         </div>
+        <div id="settings-ai">
+          <label class="form-label" for="settings-ai-provider">AI Backend</label>
+          <select id="settings-ai-provider" class="form-input">
+            <option value="anthropic">Anthropic (Claude)</option>
+            <option value="openai">OpenAI-compatible server (Ollama, LM Studio, vLLM, ...)</option>
+            <option value="mock">Mock (canned responses, works offline)</option>
+          </select>
+          <div id="settings-ai-openai-fields" hidden style="margin-top:8px;">
+            <input type="text" id="settings-ai-base-url" class="form-input" placeholder="Server URL, e.g. http://localhost:11434/v1" style="margin-bottom:4px;">
+            <input type="text" id="settings-ai-model" class="form-input" placeholder="Model, e.g. llama3.1:8b" style="margin-bottom:4px;">
+            <input type="password" id="settings-ai-key" class="form-input" placeholder="API key (optional; leave blank to keep the current one)" autocomplete="off">
+            <p style="font-size:0.88rem;color:var(--text-secondary);margin:8px 0 4px;">When the server's answer isn't valid JSON, retry these features on Anthropic (needs the API key above):</p>
+            <div id="settings-ai-fallbacks" style="display:flex;flex-wrap:wrap;gap:4px 12px;font-size:0.88rem;"></div>
+          </div>
+        </div>
+        <div id="settings-ai-features-section">
+          <label class="form-label">Models per Feature</label>
+          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Use a smaller model or budget for quick jobs and a stronger one for tailoring and cover letters. Blank fields use the default shown. The model applies to the AI backend selected above.</p>
+          <div id="settings-ai-features"><p class="form-hint">Loading...</p></div>
+        </div>
+        <div>
+          <label class="form-label">AI Cache</label>
+          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Match analysis, job import and resume parsing reuse their earlier answer when nothing they depend on has changed, so repeating them costs nothing. Clear the cache to make every feature ask again.</p>
+          <p id="settings-ai-cache-status" class="form-hint">Loading...</p>
+          <button type="button" id="settings-ai-cache-clear" class="btn btn--outline btn--small">Clear AI Cache</button>
+        </div>
         <div>
           <label class="form-label">Export</label>
-          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Download all your data (profile, jobs, resumes, cover letters, contacts, writing samples, mock interviews, custom boards, document template metadata, and API key) as a single JSON file.</p>
+          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Download all your data (profile, jobs, resumes, cover letters, contacts, writing samples, mock interviews, interview rounds, tasks, custom boards, document templates, and generated documents) as a single ZIP file.</p>
+          <label style="display:block;font-size:0.88rem;margin-bottom:4px;"><input type="checkbox" id="settings-export-secrets"> Include my API key</label>
+          <label style="display:block;font-size:0.88rem;margin-bottom:8px;"><input type="checkbox" id="settings-export-encrypt"> Encrypt with a passphrase</label>
+          <div id="settings-export-passphrase-fields" hidden style="margin-bottom:8px;">
+            <input type="password" id="settings-export-passphrase" class="form-input" placeholder="Passphrase (at least 8 characters)" autocomplete="new-password" style="margin-bottom:4px;">
+            <input type="password" id="settings-export-passphrase-confirm" class="form-input" placeholder="Repeat passphrase" autocomplete="new-password">
+            <p class="form-hint">There is no way to recover an encrypted export without its passphrase.</p>
+          </div>
           <button type="button" id="settings-export" class="btn btn--outline btn--small">Export All Data</button>
         </div>
         <div style="border-top:1px solid var(--border);padding-top:16px;">
           <label class="form-label">Import</label>
-          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Upload a previously exported JSON file. This will <strong>replace</strong> all your current data — it cannot be undone.</p>
-          <input type="file" id="settings-import-file" accept=".json" style="margin-bottom:8px;">
+          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Upload a previously exported ZIP or JSON file. <strong>Replace all</strong> swaps your data for the file's; <strong>Merge</strong> shows new, filled-in and conflicting records first and lets you choose how to resolve each conflict. A backup of your current data is saved first.</p>
+          <input type="file" id="settings-import-file" accept=".zip,.json" style="margin-bottom:8px;">
+          <input type="password" id="settings-import-passphrase" class="form-input" placeholder="Passphrase (encrypted exports only)" autocomplete="off" style="margin-bottom:8px;">
+          <div style="display:flex;gap:16px;font-size:0.88rem;margin-bottom:8px;">
+            <label><input type="radio" name="settings-import-mode" value="replace" checked> Replace all</label>
+            <label><input type="radio" name="settings-import-mode" value="merge"> Merge with my data</label>
+          </div>
           <button type="button" id="settings-import" class="btn btn--outline btn--small" disabled>Upload Data</button>
-          <p class="form-hint">Document template files (.docx) are not included in exports and will need to be re-uploaded.</p>
+          <div id="settings-merge-preview" style="margin-top:8px;"></div>
+          <p class="form-hint">Older JSON exports don't include document template files (.docx); those will need to be re-uploaded.</p>
+        </div>
+        <div style="border-top:1px solid var(--border);padding-top:16px;">
+          <label class="form-label">Backups</label>
+          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Snapshots of all your data, including template and generated files, saved on a schedule and before imports, purges and repairs. Restoring saves a backup of the current state first.</p>
+          <button type="button" id="settings-backup-now" class="btn btn--outline btn--small">Back Up Now</button>
+          <div id="settings-backups-list" style="margin-top:8px;"><p class="form-hint">Loading backups...</p></div>
+          <div id="settings-backup-preview" style="margin-top:8px;"></div>
+        </div>
+        <div style="border-top:1px solid var(--border);padding-top:16px;">
+          <label class="form-label">Data Health</label>
+          <p style="font-size:0.88rem;color:var(--text-secondary);margin-bottom:8px;">Finds resumes, cover letters and interviews left behind by deleted jobs, links to missing jobs, missing document files, and leftover files nothing uses.</p>
+          <button type="button" id="settings-integrity-check" class="btn btn--outline btn--small">Check Now</button>
+          <div id="settings-integrity-report" style="margin-top:8px;"></div>
         </div>
       </div>`;
 
+    setupAiSection();
+    setupAiFeaturesSection();
+    setupAiCacheSection();
+    setupBackupsSection();
+    setupIntegritySection();
+
     // Wire up export button — server-side download
     const exportBtn = document.getElementById('settings-export');
-    if (exportBtn) {
-      exportBtn.addEventListener('click', () => {
-        window.location.href = '/api/settings/export';
-        showToast('Data exported!', 'success');
+    const encryptToggle = document.getElementById('settings-export-encrypt');
+    const passphraseFields = document.getElementById('settings-export-passphrase-fields');
+    if (encryptToggle && passphraseFields) {
+      encryptToggle.addEventListener('change', () => {
+        passphraseFields.hidden = !encryptToggle.checked;
       });
     }
-
-    // Wire up import file input and button
-    const importFileInput = document.getElementById('settings-import-file');
-    const importBtn = document.getElementById('settings-import');
-    if (importFileInput && importBtn) {
-      importFileInput.addEventListener('change', () => {
-        importBtn.disabled = !importFileInput.files.length;
-      });
-
-      importBtn.addEventListener('click', async () => {
-        const file = importFileInput.files[0];
-        if (!file) return;
-
-        let parsed;
-        try {
-          const text = await file.text();
-          parsed = JSON.parse(text);
-        } catch {
-          showToast('Invalid JSON file.', 'error');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', async () => {
+        const includeSecrets = Boolean(document.getElementById('settings-export-secrets')?.checked);
+        if (!encryptToggle?.checked) {
+          window.location.href = `/api/settings/export${includeSecrets ? '?includeSecrets=true' : ''}`;
+          showToast('Data exported!', 'success');
           return;
         }
 
-        if (!parsed.data || typeof parsed.data !== 'object') {
-          showToast('Invalid export file: missing "data" property.', 'error');
+        const passphrase = document.getElementById('settings-export-passphrase')?.value || '';
+        const confirmation = document.getElementById('settings-export-passphrase-confirm')?.value || '';
+        if (passphrase.length < 8) {
+          showToast('Passphrase must be at least 8 characters.', 'error');
           return;
         }
-
-        if (!confirm('This will replace ALL your current data. This cannot be undone. Continue?')) {
+        if (passphrase !== confirmation) {
+          showToast('Passphrases do not match.', 'error');
           return;
         }
 
+        // Encrypted exports are POSTed, so download the response as a blob
         try {
-          showLoading('Importing data...');
-          await api('/api/settings/import', {
+          showLoading('Encrypting export...');
+          const response = await fetch(`${API_BASE}/api/settings/export`, {
             method: 'POST',
-            body: JSON.stringify(parsed),
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ includeSecrets, passphrase }),
           });
+          if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `Export failed (${response.status})`);
+          }
+          const disposition = response.headers.get('Content-Disposition') || '';
+          const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'new-job-pal-export.encrypted.json';
+          const url = URL.createObjectURL(await response.blob());
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = filename;
+          link.click();
+          URL.revokeObjectURL(url);
           hideLoading();
-          showToast('Data imported successfully!', 'success');
-          closeModal();
-          // Reload the current page to reflect imported data
-          const currentPage = document.querySelector('.page.active');
-          if (currentPage) navigateTo(currentPage.id);
+          showToast('Encrypted export downloaded!', 'success');
         } catch (err) {
           hideLoading();
-          showToast(`Import failed: ${err.message}`, 'error');
+          showToast(`Export failed: ${err.message}`, 'error');
         }
       });
     }
 
-    // Override confirm to save the API key
-    modalConfirmCallback = async () => {
-      const keyInput = document.getElementById('settings-api-key');
-      const newKey = keyInput?.value?.trim();
-      if (newKey) {
-        try {
+    // Wire up import file input and button
+    const importFileInput = document.getElementById('settings-import-file');
+    const importBtn = document.getElementById('settings-import');
+    if (importFileInput && importBtn) {
+      importFileInput.addEventListener('change', () => {
+        importBtn.disabled = !importFileInput.files.length;
+      });
+
+      const modeInputs = document.querySelectorAll('input[name="settings-import-mode"]');
+      const selectedMode = () => document.querySelector('input[name="settings-import-mode"]:checked')?.value || 'replace';
+      const updateImportButton = () => {
+        importBtn.textContent = selectedMode() === 'merge' ? 'Preview Merge' : 'Upload Data';
+        const previewEl = document.getElementById('settings-merge-preview');
+        if (previewEl) previewEl.innerHTML = '';
+      };
+      modeInputs.forEach((input) => input.addEventListener('change', updateImportButton));
+      importFileInput.addEventListener('change', updateImportButton);
+
+      importBtn.addEventListener('click', async () => {
+        const file = importFileInput.files[0];
+        if (!file) return;
+
+        // ZIP archives are verified server-side; JSON exports can be checked here first
+        if (!file.name.toLowerCase().endsWith('.zip')) {
+          let parsed;
+          try {
+            const text = await file.text();
+            parsed = JSON.parse(text);
+          } catch {
+            showToast('Invalid JSON file.', 'error');
+            return;
+          }
+
+          if (parsed.format !== 'new-job-pal-encrypted' && (!parsed.data || typeof parsed.data !== 'object')) {
+            showToast('Invalid export file: missing "data" property.', 'error');
+            return;
+          }
+        }
+
+        if (selectedMode() === 'merge') {
+          try {
+            showLoading('Comparing with your data...');
+            const result = await uploadImport(file, { mode: 'merge', dryRun: 'true' });
+            hideLoading();
+            renderMergePreview(file, result.report);
+          } catch (err) {
+            hideLoading();
+            showToast(`Preview failed: ${err.message}`, 'error');
+          }
+          return;
+        }
+
+        if (!confirm('This will replace ALL your current data. A backup is saved first and can be restored below. Continue?')) {
+          return;
+        }
+
+        try {
+          showLoading('Importing data...');
+          const result = await uploadImport(file, { mode: 'replace' });
+          hideLoading();
+          finishImport(result);
+        } catch (err) {
+          hideLoading();
+          showToast(`Import failed: ${err.message}`, 'error');
+        }
+      });
+    }
+
+    // Override confirm to save the API key
+    modalConfirmCallback = async () => {
+      const keyInput = document.getElementById('settings-api-key');
+      const newKey = keyInput?.value?.trim();
+      if (newKey) {
+        try {
           await api('/api/settings/api-key', {
             method: 'POST',
             body: JSON.stringify({ key: newKey }),
@@ -2366,6 +3198,24 @@ function setupSettings() {
           showToast(`Failed to update API key: ${err.message}`, 'error');
         }
       }
+      if (aiFeaturesChanged) {
+        try {
+          await saveAiFeatures();
+          showToast('AI feature settings saved!', 'success');
+        } catch (err) {
+          showToast(`Failed to save AI feature settings: ${err.message}`, 'error');
+          return;
+        }
+      }
+      if (aiSettingsChanged) {
+        try {
+          await saveAiSettings();
+          showToast('AI backend updated!', 'success');
+        } catch (err) {
+          showToast(`Failed to update AI backend: ${err.message}`, 'error');
+          return;
+        }
+      }
       closeModal();
     };
 
@@ -2379,6 +3229,438 @@ function setupSettings() {
   });
 }
 
+/**
+ * Send an export file to the import endpoint, with the passphrase from the
+ * Settings form for encrypted exports. `query` holds the mode options;
+ * `resolutions` the per-conflict choices for a merge.
+ */
+async function uploadImport(file, query, resolutions) {
+  const formData = new FormData();
+  formData.append('file', file);
+  const passphrase = document.getElementById('settings-import-passphrase')?.value;
+  if (passphrase) formData.append('passphrase', passphrase);
+  if (resolutions) formData.append('resolutions', JSON.stringify(resolutions));
+  const response = await fetch(`${API_BASE}/api/settings/import?${new URLSearchParams(query)}`, {
+    method: 'POST',
+    body: formData,
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = result.error || `Import failed (${response.status})`;
+    throw new Error(result.details ? `${message}: ${result.details}` : message);
+  }
+  return result;
+}
+
+function finishImport(result) {
+  const missing = result.files?.missing || [];
+  if (missing.length) {
+    showToast(`Data imported. ${missing.length} document file${missing.length !== 1 ? 's were' : ' was'} not in the export and will need to be re-uploaded or regenerated.`, 'info');
+  } else {
+    showToast('Data imported successfully!', 'success');
+  }
+  const stagesAdded = result.stagesAdded || [];
+  if (stagesAdded.length) {
+    showToast(`Added pipeline stage${stagesAdded.length !== 1 ? 's' : ''} for imported jobs: ${stagesAdded.join(', ')}.`, 'info');
+  }
+  const stagesNotAdded = result.stagesNotAdded || [];
+  if (stagesNotAdded.length) {
+    showToast(`Some imported jobs are in stages that could not be added to your pipeline: ${stagesNotAdded.join(', ')}. They are listed under "Not in pipeline" on the board until you move them.`, 'info');
+  }
+  closeModal();
+  loadPipeline();
+  // Reload the current page to reflect imported data
+  const currentPage = document.querySelector('.page.active');
+  if (currentPage) navigateTo(currentPage.id);
+}
+
+function formatMergeValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+/**
+ * Show the dry-run report: per-collection counts, and each conflict with
+ * its differing fields and a Keep mine / Take theirs / Newest wins choice.
+ */
+function renderMergePreview(file, report) {
+  const previewEl = document.getElementById('settings-merge-preview');
+  if (!previewEl) return;
+
+  const collections = Object.entries(report).filter(([, r]) => r.added.length || r.updated.length || r.conflicts.length || r.unchanged);
+  const conflicts = collections.flatMap(([name, r]) => r.conflicts.map((c) => ({ ...c, collection: name })));
+  const trashed = collections.flatMap(([name, r]) => (r.trashed || []).map((t) => `${name}: ${t.label}`));
+  const rows = collections.map(([name, r]) => `
+    <tr><td>${escapeHtml(name)}</td><td>${r.added.length}</td><td>${r.updated.length}</td><td>${r.conflicts.length}</td><td>${r.unchanged}</td></tr>`).join('');
+
+  const conflictHtml = conflicts.map((c) => `
+    <div style="border:1px solid var(--border);border-radius:6px;padding:8px;margin-top:6px;font-size:0.85rem;">
+      <div style="display:flex;align-items:center;gap:8px;">
+        <strong style="flex:1;">${escapeHtml(c.collection)}: ${escapeHtml(c.label)}</strong>
+        <select class="form-input merge-resolution" data-key="${escapeHtml(c.key)}" style="width:auto;padding:2px 6px;">
+          <option value="">Use default</option>
+          <option value="mine">Keep mine</option>
+          <option value="theirs">Take theirs</option>
+          <option value="newest">Newest wins</option>
+        </select>
+      </div>
+      ${c.fields.map((f) => `
+        <div style="margin-top:4px;"><em>${escapeHtml(f.field)}</em> — mine: ${escapeHtml(formatMergeValue(f.mine))} · theirs: ${escapeHtml(formatMergeValue(f.theirs))}</div>`).join('')}
+    </div>`).join('');
+
+  previewEl.innerHTML = `
+    <table style="width:100%;font-size:0.85rem;text-align:left;">
+      <thead><tr><th>Collection</th><th>New</th><th>Filled in</th><th>Conflicts</th><th>Same</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="5">Nothing to import.</td></tr>'}</tbody>
+    </table>
+    ${trashed.length ? `
+      <p style="margin-top:8px;font-size:0.85rem;color:var(--text-secondary);">
+        ${trashed.length} imported record${trashed.length !== 1 ? 's match' : ' matches'} something in your Trash, which stays there: ${escapeHtml(trashed.join(', '))}. Restore ${trashed.length !== 1 ? 'them' : 'it'} from the Trash page if you want ${trashed.length !== 1 ? 'them' : 'it'} back.
+      </p>` : ''}
+    ${conflicts.length ? `
+      <div style="margin-top:8px;font-size:0.88rem;">
+        <label for="settings-merge-strategy">Default for conflicts:</label>
+        <select id="settings-merge-strategy" class="form-input" style="width:auto;padding:2px 6px;">
+          <option value="mine">Keep mine</option>
+          <option value="theirs">Take theirs</option>
+          <option value="newest">Newest wins</option>
+        </select>
+      </div>
+      ${conflictHtml}` : ''}
+    <button type="button" id="settings-merge-apply" class="btn btn--primary btn--small" style="margin-top:8px;">Apply Merge</button>`;
+
+  document.getElementById('settings-merge-apply').addEventListener('click', async () => {
+    const strategy = document.getElementById('settings-merge-strategy')?.value || 'mine';
+    const resolutions = {};
+    previewEl.querySelectorAll('.merge-resolution').forEach((select) => {
+      if (select.value) resolutions[select.dataset.key] = select.value;
+    });
+    try {
+      showLoading('Merging data...');
+      const result = await uploadImport(file, { mode: 'merge', strategy }, resolutions);
+      hideLoading();
+      finishImport(result);
+    } catch (err) {
+      hideLoading();
+      showToast(`Merge failed: ${err.message}`, 'error');
+    }
+  });
+}
+
+const BACKUP_REASON_LABELS = {
+  scheduled: 'Scheduled',
+  manual: 'Manual',
+  'before-import': 'Before import',
+  'before-restore': 'Before restore',
+  'before-migration': 'Before upgrade',
+  'before-purge': 'Before trash purge',
+  'before-repair': 'Before data repair',
+  'before-job-delete': 'Before job delete',
+  'before-template-delete': 'Before template delete',
+};
+
+function formatBackupDate(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+async function loadBackupsList() {
+  const listEl = document.getElementById('settings-backups-list');
+  if (!listEl) return;
+  try {
+    const { backups, intervalHours, keepLast, keepDays } = await api('/api/backups');
+    const schedule = intervalHours > 0
+      ? `Every ${intervalHours}h; keeping the last ${keepLast} plus one per day for ${keepDays} days.`
+      : 'Scheduled backups are off.';
+    if (!backups.length) {
+      listEl.innerHTML = `<p class="form-hint">No backups yet. ${escapeHtml(schedule)}</p>`;
+      return;
+    }
+    listEl.innerHTML = `
+      <p class="form-hint" style="margin-bottom:6px;">${escapeHtml(schedule)}</p>
+      <div style="display:flex;flex-direction:column;gap:6px;max-height:220px;overflow-y:auto;">
+        ${backups.map((b) => `
+          <div style="display:flex;align-items:center;gap:8px;font-size:0.88rem;">
+            <span style="flex:1;">${escapeHtml(formatBackupDate(b.createdAt))} · ${escapeHtml(BACKUP_REASON_LABELS[b.reason] || b.reason)}</span>
+            <button type="button" class="btn btn--outline btn--small backup-preview-btn" data-id="${escapeHtml(b.id)}">Preview</button>
+            <button type="button" class="btn btn--outline btn--small backup-restore-btn" data-id="${escapeHtml(b.id)}">Restore</button>
+          </div>`).join('')}
+      </div>`;
+  } catch (err) {
+    listEl.innerHTML = `<p class="form-hint">Failed to load backups: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+async function previewBackup(id) {
+  const previewEl = document.getElementById('settings-backup-preview');
+  if (!previewEl) return;
+  try {
+    const preview = await api(`/api/backups/${encodeURIComponent(id)}`);
+    const rows = Object.entries(preview.collections)
+      .map(([name, counts]) => `<tr><td>${escapeHtml(name)}</td><td>${counts.snapshot}</td><td>${counts.current}</td></tr>`)
+      .join('');
+    const fileCount = Object.values(preview.files).reduce((sum, files) => sum + files.length, 0);
+    previewEl.innerHTML = `
+      <p style="font-size:0.88rem;margin-bottom:4px;"><strong>${escapeHtml(formatBackupDate(preview.createdAt))}</strong> — ${fileCount} template/generated file${fileCount !== 1 ? 's' : ''}</p>
+      <table style="width:100%;font-size:0.85rem;text-align:left;">
+        <thead><tr><th>Collection</th><th>In backup</th><th>Now</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  } catch (err) {
+    previewEl.innerHTML = `<p class="form-hint">Failed to load preview: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function setupBackupsSection() {
+  const backupNowBtn = document.getElementById('settings-backup-now');
+  if (backupNowBtn) {
+    backupNowBtn.addEventListener('click', async () => {
+      try {
+        backupNowBtn.disabled = true;
+        await api('/api/backups', { method: 'POST' });
+        showToast('Backup saved!', 'success');
+        await loadBackupsList();
+      } catch (err) {
+        showToast(`Backup failed: ${err.message}`, 'error');
+      } finally {
+        backupNowBtn.disabled = false;
+      }
+    });
+  }
+
+  const listEl = document.getElementById('settings-backups-list');
+  if (listEl) {
+    listEl.addEventListener('click', async (e) => {
+      const previewBtn = e.target.closest('.backup-preview-btn');
+      if (previewBtn) {
+        previewBackup(previewBtn.dataset.id);
+        return;
+      }
+      const restoreBtn = e.target.closest('.backup-restore-btn');
+      if (!restoreBtn) return;
+      if (!confirm('Replace ALL your current data with this backup? Your current data is backed up first.')) {
+        return;
+      }
+      try {
+        showLoading('Restoring backup...');
+        await api(`/api/backups/${encodeURIComponent(restoreBtn.dataset.id)}/restore`, { method: 'POST' });
+        hideLoading();
+        showToast('Backup restored!', 'success');
+        closeModal();
+        const currentPage = document.querySelector('.page.active');
+        if (currentPage) navigateTo(currentPage.id);
+      } catch (err) {
+        hideLoading();
+        showToast(`Restore failed: ${err.message}`, 'error');
+      }
+    });
+  }
+
+  loadBackupsList();
+}
+
+const AI_FEATURE_LABELS = {
+  'parse-resume': 'Resume parsing',
+  'extract-job': 'Job import',
+  'match-analysis': 'Match analysis',
+  'tailor-resume': 'Resume tailoring',
+  'cover-letter': 'Cover letters',
+  chat: 'Chat',
+  headhunter: 'Headhunter',
+  'interview-start': 'Interview start',
+  'interview-respond': 'Interview answers',
+  'interview-end': 'Interview assessment',
+};
+
+let aiSettingsChanged = false;
+
+function setupAiSection() {
+  const section = document.getElementById('settings-ai');
+  const providerSelect = document.getElementById('settings-ai-provider');
+  const openaiFields = document.getElementById('settings-ai-openai-fields');
+  if (!section || !providerSelect || !openaiFields) return;
+  aiSettingsChanged = false;
+
+  const toggleFields = () => {
+    openaiFields.hidden = providerSelect.value !== 'openai';
+  };
+  providerSelect.addEventListener('change', toggleFields);
+  section.addEventListener('input', () => { aiSettingsChanged = true; });
+  section.addEventListener('change', () => { aiSettingsChanged = true; });
+
+  api('/api/settings/ai').then((settings) => {
+    providerSelect.value = settings.provider;
+    document.getElementById('settings-ai-base-url').value = settings.baseUrl;
+    document.getElementById('settings-ai-model').value = settings.model;
+    if (settings.hasApiKey) {
+      document.getElementById('settings-ai-key').placeholder = 'API key saved; leave blank to keep it';
+    }
+    document.getElementById('settings-ai-fallbacks').innerHTML = settings.jsonFeatures.map((feature) => `
+      <label><input type="checkbox" value="${escapeHtml(feature)}" ${settings.fallbackFeatures.includes(feature) ? 'checked' : ''}> ${escapeHtml(AI_FEATURE_LABELS[feature] || feature)}</label>`).join('');
+    toggleFields();
+  }).catch((err) => {
+    showToast(`Failed to load AI settings: ${err.message}`, 'error');
+  });
+}
+
+async function saveAiSettings() {
+  const apiKey = document.getElementById('settings-ai-key').value.trim();
+  const body = {
+    provider: document.getElementById('settings-ai-provider').value,
+    baseUrl: document.getElementById('settings-ai-base-url').value.trim(),
+    model: document.getElementById('settings-ai-model').value.trim(),
+    fallbackFeatures: Array.from(document.querySelectorAll('#settings-ai-fallbacks input:checked')).map((input) => input.value),
+  };
+  if (apiKey) body.apiKey = apiKey;
+  await api('/api/settings/ai', { method: 'POST', body: JSON.stringify(body) });
+  aiSettingsChanged = false;
+}
+
+let aiFeaturesChanged = false;
+
+function setupAiFeaturesSection() {
+  const container = document.getElementById('settings-ai-features');
+  if (!container) return;
+  aiFeaturesChanged = false;
+  container.addEventListener('input', () => { aiFeaturesChanged = true; });
+
+  api('/api/settings/ai/features').then(({ defaults, features }) => {
+    const inputStyle = 'padding:4px 6px;font-size:0.85rem;';
+    container.innerHTML = `
+      <table style="width:100%;border-collapse:collapse;font-size:0.85rem;">
+        <thead>
+          <tr style="text-align:left;color:var(--text-secondary);">
+            <th style="padding:2px 4px;">Feature</th><th style="padding:2px 4px;">Model</th><th style="padding:2px 4px;">Max tokens</th><th style="padding:2px 4px;">Temperature</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.entries(defaults).map(([feature, def]) => {
+            const current = features[feature] || {};
+            return `
+              <tr data-feature="${escapeHtml(feature)}">
+                <td style="padding:2px 4px;">${escapeHtml(AI_FEATURE_LABELS[feature] || feature)}</td>
+                <td style="padding:2px 4px;"><input type="text" class="form-input" data-field="model" value="${escapeHtml(current.model || '')}" placeholder="${escapeHtml(def.model || 'Default')}" style="${inputStyle}"></td>
+                <td style="padding:2px 4px;"><input type="number" class="form-input" data-field="maxTokens" min="1" step="1" value="${current.maxTokens ?? ''}" placeholder="${def.maxTokens}" style="${inputStyle}width:90px;"></td>
+                <td style="padding:2px 4px;"><input type="number" class="form-input" data-field="temperature" min="0" max="1" step="0.1" value="${current.temperature ?? ''}" placeholder="${def.temperature ?? 'Default'}" style="${inputStyle}width:80px;"></td>
+              </tr>`;
+          }).join('')}
+        </tbody>
+      </table>`;
+  }).catch((err) => {
+    container.innerHTML = `<p class="form-hint">Failed to load AI feature settings: ${escapeHtml(err.message)}</p>`;
+  });
+}
+
+async function saveAiFeatures() {
+  const features = {};
+  document.querySelectorAll('#settings-ai-features tr[data-feature]').forEach((row) => {
+    const values = {};
+    row.querySelectorAll('input[data-field]').forEach((input) => {
+      if (input.value.trim() !== '') values[input.dataset.field] = input.value.trim();
+    });
+    if (Object.keys(values).length > 0) features[row.dataset.feature] = values;
+  });
+  await api('/api/settings/ai/features', { method: 'POST', body: JSON.stringify({ features }) });
+  aiFeaturesChanged = false;
+}
+
+async function loadAiCacheStatus() {
+  const statusEl = document.getElementById('settings-ai-cache-status');
+  if (!statusEl) return;
+  try {
+    const { enabled, ttlHours, entries } = await api('/api/ai-cache');
+    statusEl.textContent = enabled
+      ? `${entries} saved answer${entries !== 1 ? 's' : ''}, each kept for ${ttlHours} hours.`
+      : 'The cache is off (AI_CACHE_TTL_HOURS is 0).';
+  } catch (err) {
+    statusEl.textContent = `Failed to load the AI cache: ${err.message}`;
+  }
+}
+
+function setupAiCacheSection() {
+  const clearBtn = document.getElementById('settings-ai-cache-clear');
+  if (!clearBtn) return;
+  loadAiCacheStatus();
+  clearBtn.addEventListener('click', async () => {
+    try {
+      clearBtn.disabled = true;
+      const { removed } = await api('/api/ai-cache', { method: 'DELETE' });
+      showToast(`Cleared ${removed} saved AI answer${removed !== 1 ? 's' : ''}.`, 'success');
+      loadAiCacheStatus();
+    } catch (err) {
+      showToast(`Failed to clear the AI cache: ${err.message}`, 'error');
+    } finally {
+      clearBtn.disabled = false;
+    }
+  });
+}
+
+const INTEGRITY_KIND_LABELS = {
+  'orphan-record': 'Left behind by a deleted job',
+  'dangling-reference': 'Linked to a missing job',
+  'missing-file': 'Missing file',
+  'unreferenced-file': 'Unused file',
+};
+
+const INTEGRITY_ACTION_LABELS = {
+  remove: 'will be deleted',
+  unlink: 'will be unlinked',
+  clear: 'will forget the file',
+  delete: 'will be deleted',
+};
+
+function renderIntegrityReport(report, repaired = 0) {
+  const reportEl = document.getElementById('settings-integrity-report');
+  if (!reportEl) return;
+  if (report.ok || repaired) {
+    const text = repaired
+      ? `Repaired ${repaired} problem${repaired !== 1 ? 's' : ''}.`
+      : 'No problems found.';
+    reportEl.innerHTML = `<p class="form-hint">${text}</p>`;
+    return;
+  }
+  reportEl.innerHTML = `
+    <div style="display:flex;flex-direction:column;gap:4px;max-height:200px;overflow-y:auto;font-size:0.85rem;margin-bottom:8px;">
+      ${report.issues.map((issue) => `
+        <div><strong>${escapeHtml(INTEGRITY_KIND_LABELS[issue.kind] || issue.kind)}:</strong> ${escapeHtml(issue.message)} <span style="color:var(--text-muted);">(${escapeHtml(INTEGRITY_ACTION_LABELS[issue.action] || issue.action)})</span></div>`).join('')}
+    </div>
+    <button type="button" id="settings-integrity-repair" class="btn btn--outline btn--small">Repair ${report.issues.length} Problem${report.issues.length !== 1 ? 's' : ''}</button>`;
+}
+
+function setupIntegritySection() {
+  const checkBtn = document.getElementById('settings-integrity-check');
+  const reportEl = document.getElementById('settings-integrity-report');
+  if (!checkBtn || !reportEl) return;
+
+  checkBtn.addEventListener('click', async () => {
+    try {
+      checkBtn.disabled = true;
+      renderIntegrityReport(await api('/api/integrity'));
+    } catch (err) {
+      reportEl.innerHTML = `<p class="form-hint">Check failed: ${escapeHtml(err.message)}</p>`;
+    } finally {
+      checkBtn.disabled = false;
+    }
+  });
+
+  reportEl.addEventListener('click', async (e) => {
+    if (!e.target.closest('#settings-integrity-repair')) return;
+    if (!confirm('Repair these problems? A backup is saved first.')) return;
+    try {
+      showLoading('Repairing data...');
+      const { repaired, report } = await api('/api/integrity/repair', { method: 'POST' });
+      hideLoading();
+      renderIntegrityReport(report, repaired);
+      showToast('Data repaired!', 'success');
+    } catch (err) {
+      hideLoading();
+      showToast(`Repair failed: ${err.message}`, 'error');
+    }
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MODAL EVENT SETUP
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2520,6 +3802,8 @@ function showContactDetail(contactId) {
 
   // Render notes
   renderContactNotes(contact);
+
+  loadContactTasks(contactId);
 }
 
 function renderContactNotes(contact) {
@@ -2555,7 +3839,7 @@ function renderContactNotes(contact) {
           contact.notes = contact.notes.filter(n => n.id !== btn.dataset.id);
           renderContactNotes(contact);
         }
-        showToast('Note deleted.', 'success');
+        showToast('Note moved to the Trash.', 'success');
       } catch (err) {
         showToast(`Failed to delete note: ${err.message}`, 'error');
       }
@@ -2594,10 +3878,10 @@ function setupContacts() {
   const deleteBtn = document.getElementById('delete-contact-btn');
   if (deleteBtn) {
     deleteBtn.addEventListener('click', () => {
-      showModal('Delete Contact', '<p>Are you sure you want to delete this contact?</p>', async () => {
+      showModal('Delete Contact', '<p>Move this contact to the Trash? You can restore it from there until it is purged.</p>', async () => {
         try {
           await api(`/api/contacts/${currentContactId}`, { method: 'DELETE' });
-          showToast('Contact deleted.', 'success');
+          showToast('Contact moved to the Trash.', 'success');
           closeModal();
           document.getElementById('contact-detail-view').hidden = true;
           document.getElementById('contacts-list-view').hidden = false;
@@ -2723,74 +4007,616 @@ function showContactModal(existingContact = null) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// MOCK INTERVIEW MODULE
+// TASKS MODULE
 // ═══════════════════════════════════════════════════════════════════════════════
 
-let currentInterviewSession = null;
+const TASK_REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: '1-day', label: 'Every day' },
+  { value: '1-week', label: 'Every week' },
+  { value: '2-week', label: 'Every 2 weeks' },
+  { value: '1-month', label: 'Every month' },
+];
 
-async function loadMockInterviews(jobId) {
-  const historyContainer = document.getElementById('interview-history');
-  if (!historyContainer) return;
+const TASK_DUE_LABELS = {
+  overdue: 'Overdue',
+  today: 'Due today',
+};
 
-  try {
-    const sessions = await api(`/api/jobs/${jobId}/mock-interviews`);
-    if (!sessions || sessions.length === 0) {
-      historyContainer.innerHTML = '<div class="empty-state"><p>No past interview sessions.</p></div>';
-      return;
-    }
+/**
+ * Today's date in the browser's time zone, as YYYY-MM-DD. Task routes take
+ * it as ?today= so "overdue" matches the user's calendar.
+ */
+function localToday() {
+  return toDateTimeLocal(new Date().toISOString()).slice(0, 10);
+}
 
-    historyContainer.innerHTML = sessions.sort((a, b) =>
-      new Date(b.createdAt) - new Date(a.createdAt)
-    ).map(session => {
-      const date = new Date(session.createdAt);
-      const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-      const score = session.feedback?.overallScore;
-      const scoreClass = score >= 7 ? 'score-high' : score >= 5 ? 'score-mid' : 'score-low';
-      const scoreHtml = score ? `<span class="interview-session-score ${scoreClass}">${score}/10</span>` : '<span class="text-muted" style="font-size:0.82rem;">In progress</span>';
-      const summary = session.feedback?.summary || '';
+function repeatValue(recurrence) {
+  return recurrence ? `${recurrence.every}-${recurrence.unit}` : '';
+}
 
-      return `
-        <div class="interview-session-card" data-id="${session.id}">
-          <div class="interview-session-header">
-            <span class="interview-session-date">${dateStr} &mdash; ${session.questionCount || 0} questions</span>
-            ${scoreHtml}
-          </div>
-          ${summary ? `<div class="interview-session-detail">${escapeHtml(summary)}</div>` : ''}
-        </div>`;
-    }).join('');
-  } catch (err) {
-    console.error('Failed to load mock interviews:', err);
-    historyContainer.innerHTML = '<div class="empty-state"><p>Failed to load sessions.</p></div>';
-  }
+function repeatLabel(recurrence) {
+  if (!recurrence) return '';
+  const option = TASK_REPEAT_OPTIONS.find(o => o.value === repeatValue(recurrence));
+  return option ? option.label : `Every ${recurrence.every} ${recurrence.unit}s`;
 }
 
-function setupMockInterview() {
-  const startBtn = document.getElementById('start-interview-btn');
-  const sendBtn = document.getElementById('send-answer-btn');
-  const endBtn = document.getElementById('end-interview-btn');
+function formatDueDate(dueDate) {
+  const [year, month, day] = dueDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
 
-  if (startBtn) {
-    startBtn.addEventListener('click', async () => {
-      if (!currentJobId) return;
-      try {
-        showLoading('Preparing your interview...');
-        const session = await api(`/api/jobs/${currentJobId}/mock-interview/start`, { method: 'POST' });
-        hideLoading();
-        currentInterviewSession = session;
-        showInterviewChat(session);
-      } catch (err) {
-        hideLoading();
-        showToast(`Failed to start interview: ${err.message}`, 'error');
-      }
-    });
+/**
+ * Render tasks into a <ul class="task-list">. `showJob` and `showContact`
+ * add links to the job and contact a task is for.
+ */
+function renderTaskList(container, tasks, { emptyText = 'No tasks yet.', showJob = true, showContact = true } = {}) {
+  if (!container) return;
+  if (tasks.length === 0) {
+    container.innerHTML = `<li class="task-list-empty">${escapeHtml(emptyText)}</li>`;
+    return;
   }
+  container.innerHTML = tasks.map(task => {
+    const meta = [];
+    if (task.dueDate) {
+      const state = TASK_DUE_LABELS[task.dueState];
+      meta.push(`<span class="task-due task-due--${task.dueState}">${state ? `${state} · ` : 'Due '}${escapeHtml(formatDueDate(task.dueDate))}</span>`);
+    }
+    if (task.recurrence) meta.push(`<span>&#8635; ${escapeHtml(repeatLabel(task.recurrence))}</span>`);
+    if (showJob && task.jobLabel) {
+      meta.push(`<button type="button" class="task-link" data-task-action="open-job" data-job-id="${escapeHtml(task.jobId)}">${escapeHtml(task.jobLabel)}</button>`);
+    }
+    if (showContact && task.contactName) {
+      meta.push(`<button type="button" class="task-link" data-task-action="open-contact" data-contact-id="${escapeHtml(task.contactId)}">${escapeHtml(task.contactName)}</button>`);
+    }
+    if (task.dueDate && !task.completed) {
+      meta.push(`<a class="task-link" href="/api/tasks/${task.id}/calendar.ics" download>Add to calendar</a>`);
+    }
+    const actions = task.suggested
+      ? `<button type="button" class="btn btn--outline btn--small" data-task-action="keep">Keep</button>
+         <button type="button" class="btn btn--ghost btn--small" data-task-action="delete">Dismiss</button>`
+      : `<button type="button" class="btn btn--ghost btn--small" data-task-action="edit">Edit</button>
+         <button type="button" class="btn btn--ghost btn--small" data-task-action="delete">Delete</button>`;
+    return `
+      <li class="task-item${task.completed ? ' task-item--done' : ''}${task.suggested ? ' task-item--suggested' : ''}" data-id="${task.id}">
+        <input type="checkbox" class="task-check" ${task.completed ? 'checked' : ''} aria-label="${task.completed ? 'Mark as not done' : 'Mark as done'}: ${escapeHtml(task.title)}">
+        <div class="task-item-body">
+          <p class="task-item-title">${escapeHtml(task.title)}${task.suggested ? ' <span class="badge badge--honey">Suggested</span>' : ''}</p>
+          ${task.notes ? `<p class="task-item-notes">${escapeHtml(task.notes)}</p>` : ''}
+          ${meta.length > 0 ? `<p class="task-item-meta">${meta.join(' · ')}</p>` : ''}
+        </div>
+        <div class="task-item-actions">${actions}</div>
+      </li>`;
+  }).join('');
+}
 
-  if (sendBtn) {
-    sendBtn.addEventListener('click', () => sendInterviewAnswer());
-  }
+/**
+ * Handle the checkboxes and buttons of a task list. `tasksFor()` returns the
+ * tasks currently shown (for editing), `reload()` refreshes the list.
+ */
+function setupTaskList(container, { tasksFor, reload }) {
+  if (!container) return;
 
-  // Allow Enter to send (Shift+Enter for new line)
-  const answerInput = document.getElementById('interview-answer');
+  container.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('task-check')) return;
+    const id = e.target.closest('.task-item').dataset.id;
+    try {
+      if (e.target.checked) {
+        const { next } = await api(`/api/tasks/${id}/complete?today=${localToday()}`, { method: 'POST' });
+        showToast(next ? `Done. Next one is due ${formatDueDate(next.dueDate)}.` : 'Task done.', 'success');
+      } else {
+        await api(`/api/tasks/${id}/reopen`, { method: 'POST' });
+      }
+    } catch (err) {
+      showToast(`Failed to update task: ${err.message}`, 'error');
+    }
+    reload();
+  });
+
+  container.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-task-action]');
+    if (!btn) return;
+    const item = btn.closest('.task-item');
+    const id = item?.dataset.id;
+    switch (btn.dataset.taskAction) {
+      case 'open-job':
+        if (!jobsCache.some(j => (j._id || j.id) === btn.dataset.jobId)) await loadJobs();
+        showJobDetail(btn.dataset.jobId);
+        break;
+      case 'open-contact':
+        navigateTo('contacts');
+        if (!contactsCache.some(c => c.id === btn.dataset.contactId)) await loadContacts();
+        showContactDetail(btn.dataset.contactId);
+        break;
+      case 'keep':
+        try {
+          await api(`/api/tasks/${id}`, { method: 'PUT', body: JSON.stringify({ suggested: false }) });
+          reload();
+        } catch (err) {
+          showToast(`Failed to keep task: ${err.message}`, 'error');
+        }
+        break;
+      case 'edit':
+        openTaskForm({ task: tasksFor().find(t => t.id === id), onSaved: reload });
+        break;
+      case 'delete':
+        try {
+          const { dismissed } = await api(`/api/tasks/${id}`, { method: 'DELETE' });
+          showToast(dismissed ? 'Suggestion dismissed.' : 'Task moved to the Trash.', 'success');
+          reload();
+        } catch (err) {
+          showToast(`Failed to delete task: ${err.message}`, 'error');
+        }
+        break;
+    }
+  });
+}
+
+/**
+ * Add a task, or edit `task`. A new task is linked to `jobId` and/or
+ * `contactId` when given.
+ */
+function openTaskForm({ task = null, jobId = null, contactId = null, onSaved }) {
+  const repeat = repeatValue(task?.recurrence);
+  const repeatOptions = TASK_REPEAT_OPTIONS.some(o => o.value === repeat)
+    ? TASK_REPEAT_OPTIONS
+    : [...TASK_REPEAT_OPTIONS, { value: repeat, label: repeatLabel(task.recurrence) }];
+  showModal(task ? 'Edit Task' : 'Add Task', `
+    <div class="form-group">
+      <label for="task-form-title" class="form-label">Task</label>
+      <input type="text" id="task-form-title" class="form-input" maxlength="200" value="${escapeHtml(task?.title || '')}" placeholder="e.g. Application closes Friday">
+    </div>
+    <div class="form-group">
+      <label for="task-form-due" class="form-label">Due</label>
+      <input type="date" id="task-form-due" class="form-input" value="${escapeHtml(task?.dueDate || '')}">
+    </div>
+    <div class="form-group">
+      <label for="task-form-repeat" class="form-label">Repeat</label>
+      <select id="task-form-repeat" class="form-select">
+        ${repeatOptions.map(o => `<option value="${o.value}" ${o.value === repeat ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="task-form-notes" class="form-label">Notes</label>
+      <textarea id="task-form-notes" class="form-textarea" rows="3">${escapeHtml(task?.notes || '')}</textarea>
+    </div>`, async () => {
+    const [every, unit] = document.getElementById('task-form-repeat').value.split('-');
+    const body = {
+      title: document.getElementById('task-form-title').value,
+      dueDate: document.getElementById('task-form-due').value || null,
+      recurrence: unit ? { every: Number(every), unit } : null,
+      notes: document.getElementById('task-form-notes').value,
+    };
+    try {
+      if (task) {
+        await api(`/api/tasks/${task.id}`, { method: 'PUT', body: JSON.stringify(body) });
+      } else {
+        await api('/api/tasks', { method: 'POST', body: JSON.stringify({ ...body, jobId, contactId }) });
+      }
+      closeModal();
+      showToast(task ? 'Task updated.' : 'Task added.', 'success');
+      onSaved();
+    } catch (err) {
+      showToast(`Failed to save task: ${err.message}`, 'error');
+    }
+  });
+  document.getElementById('task-form-title').focus();
+}
+
+// ── Task lists on the dashboard, job detail and contact detail ──
+
+let dueTasksCache = [];
+let jobTasksCache = [];
+let contactTasksCache = [];
+
+async function loadDueTasks() {
+  const container = document.getElementById('dashboard-tasks');
+  if (!container) return;
+  try {
+    const { overdue, dueToday, upcoming } = await api(`/api/tasks/due?today=${localToday()}`);
+    dueTasksCache = [...overdue, ...dueToday, ...upcoming];
+    const groups = [
+      { label: 'Overdue', tasks: overdue },
+      { label: 'Today', tasks: dueToday },
+      { label: 'Next 7 days', tasks: upcoming },
+    ].filter(group => group.tasks.length > 0);
+    if (groups.length === 0) {
+      container.innerHTML = '<p class="task-list-empty">Nothing due in the next week.</p>';
+      return;
+    }
+    container.innerHTML = groups.map((group, index) => `
+      <div class="task-group">
+        <h4 class="task-group-title">${group.label} <span class="task-group-count">${group.tasks.length}</span></h4>
+        <ul class="task-list" data-group="${index}"></ul>
+      </div>`).join('');
+    groups.forEach((group, index) => {
+      renderTaskList(container.querySelector(`[data-group="${index}"]`), group.tasks);
+    });
+  } catch (err) {
+    container.innerHTML = `<p class="task-list-empty">Failed to load tasks: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+async function loadJobTasks(jobId) {
+  const container = document.getElementById('job-tasks-list');
+  if (!container) return;
+  try {
+    document.getElementById('job-calendar-download').href = `/api/jobs/${jobId}/calendar.ics`;
+    jobTasksCache = await api(`/api/tasks?jobId=${jobId}&today=${localToday()}`);
+    renderTaskList(container, jobTasksCache, { emptyText: 'No tasks for this job yet.', showJob: false });
+  } catch (err) {
+    container.innerHTML = `<li class="task-list-empty">Failed to load tasks: ${escapeHtml(err.message)}</li>`;
+  }
+}
+
+async function loadContactTasks(contactId) {
+  const container = document.getElementById('contact-tasks-list');
+  if (!container) return;
+  try {
+    document.getElementById('contact-calendar-download').href = `/api/contacts/${contactId}/calendar.ics`;
+    contactTasksCache = await api(`/api/tasks?contactId=${contactId}&today=${localToday()}`);
+    renderTaskList(container, contactTasksCache, { emptyText: 'No tasks for this contact yet.', showContact: false });
+  } catch (err) {
+    container.innerHTML = `<li class="task-list-empty">Failed to load tasks: ${escapeHtml(err.message)}</li>`;
+  }
+}
+
+/**
+ * Show the address calendar apps can subscribe to. The feed has every open
+ * task with a due date and refreshes as tasks change.
+ */
+function openCalendarFeed() {
+  const feedUrl = `${location.origin}/api/calendar.ics`;
+  const webcalUrl = feedUrl.replace(/^https?:/, 'webcal:');
+  showModal('Calendar Feed', `
+    <p class="page-description">Subscribe to this address in your calendar app to see task deadlines and follow-ups next to the rest of your week. It only works on this computer while New Job Pal is running.</p>
+    <div class="calendar-feed-url">
+      <input type="text" id="calendar-feed-url" class="form-input" value="${escapeHtml(feedUrl)}" readonly aria-label="Calendar feed address">
+      <button type="button" id="calendar-feed-copy" class="btn btn--outline btn--small">Copy</button>
+    </div>
+    <p class="page-description">
+      <a href="${escapeHtml(webcalUrl)}">Open in calendar app</a> ·
+      <a href="/api/calendar.ics?download=1" download>Download .ics</a>
+    </p>`, closeModal);
+  document.getElementById('calendar-feed-copy').addEventListener('click', () => {
+    copyToClipboard(feedUrl, 'Calendar address copied.');
+  });
+}
+
+function setupTasks() {
+  setupTaskList(document.getElementById('dashboard-tasks'), {
+    tasksFor: () => dueTasksCache,
+    reload: loadDueTasks,
+  });
+  setupTaskList(document.getElementById('job-tasks-list'), {
+    tasksFor: () => jobTasksCache,
+    reload: () => currentJobId && loadJobTasks(currentJobId),
+  });
+  setupTaskList(document.getElementById('contact-tasks-list'), {
+    tasksFor: () => contactTasksCache,
+    reload: () => currentContactId && loadContactTasks(currentContactId),
+  });
+
+  document.getElementById('dashboard-calendar')?.addEventListener('click', openCalendarFeed);
+  document.getElementById('dashboard-add-task')?.addEventListener('click', () => {
+    openTaskForm({ onSaved: loadDueTasks });
+  });
+  document.getElementById('job-add-task')?.addEventListener('click', () => {
+    if (!currentJobId) return;
+    const jobId = currentJobId;
+    openTaskForm({ jobId, onSaved: () => loadJobTasks(jobId) });
+  });
+  document.getElementById('contact-add-task')?.addEventListener('click', () => {
+    if (!currentContactId) return;
+    const contactId = currentContactId;
+    openTaskForm({ contactId, onSaved: () => loadContactTasks(contactId) });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INTERVIEW ROUNDS MODULE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ROUND_STAGE_SUGGESTIONS = ['Phone screen', 'Technical', 'Onsite', 'Final'];
+
+const ROUND_FORMAT_LABELS = {
+  phone: 'Phone',
+  video: 'Video call',
+  onsite: 'On site',
+  'take-home': 'Take-home',
+};
+
+const ROUND_OUTCOME_LABELS = {
+  pending: 'Awaiting outcome',
+  passed: 'Passed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+};
+
+const ROUND_OUTCOME_BADGES = {
+  pending: 'badge--muted',
+  passed: 'badge--sage',
+  rejected: 'badge--coral',
+  cancelled: 'badge--muted',
+};
+
+let jobRoundsCache = [];
+
+function formatRoundTime(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+function roundIsUpcoming(round) {
+  if (round.outcome !== 'pending' || !round.scheduledAt) return false;
+  return new Date(round.scheduledAt).getTime() + (round.durationMinutes || 60) * 60000 > Date.now();
+}
+
+function renderJobRounds() {
+  const container = document.getElementById('job-rounds-list');
+  if (!container) return;
+  if (jobRoundsCache.length === 0) {
+    container.innerHTML = '<li class="task-list-empty">No interview rounds yet. Add one when an interview is booked.</li>';
+    return;
+  }
+  container.innerHTML = jobRoundsCache.map(round => {
+    const meta = [];
+    if (round.format) meta.push(escapeHtml(ROUND_FORMAT_LABELS[round.format] || round.format));
+    if (round.scheduledAt) meta.push(`${round.durationMinutes} min`);
+    if (round.location) meta.push(escapeHtml(round.location));
+    if (round.interviewers.length > 0) {
+      meta.push(`With ${round.interviewers.map(person => `<button type="button" class="task-link" data-round-action="open-contact" data-contact-id="${escapeHtml(person.id)}">${escapeHtml(person.name)}</button>`).join(', ')}`);
+    }
+    const classes = ['round-item'];
+    if (roundIsUpcoming(round)) classes.push('round-item--upcoming');
+    if (round.outcome === 'cancelled') classes.push('round-item--cancelled');
+    return `
+      <li class="${classes.join(' ')}" data-id="${round.id}">
+        <div class="round-item-header">
+          <div>
+            <p class="round-item-title">${escapeHtml(round.stage)} <span class="badge ${ROUND_OUTCOME_BADGES[round.outcome] || 'badge--muted'}">${escapeHtml(ROUND_OUTCOME_LABELS[round.outcome] || round.outcome)}</span></p>
+            <p class="round-item-when">${round.scheduledAt ? escapeHtml(formatRoundTime(round.scheduledAt)) : 'Not scheduled yet'}</p>
+          </div>
+          <div class="round-item-actions">
+            ${round.scheduledAt ? `<a class="btn btn--ghost btn--small" href="/api/interview-rounds/${round.id}/calendar.ics" download>.ics</a>` : ''}
+            <button type="button" class="btn btn--ghost btn--small" data-round-action="edit">Edit</button>
+            <button type="button" class="btn btn--ghost btn--small" data-round-action="delete">Delete</button>
+          </div>
+        </div>
+        ${meta.length > 0 ? `<p class="round-item-meta">${meta.join(' · ')}</p>` : ''}
+        ${round.prepNotes ? `<div class="round-item-section"><h5>Prep notes</h5><p>${escapeHtml(round.prepNotes)}</p></div>` : ''}
+        ${round.reflection ? `<div class="round-item-section"><h5>Reflection</h5><p>${escapeHtml(round.reflection)}</p></div>` : ''}
+      </li>`;
+  }).join('');
+}
+
+async function loadJobRounds(jobId) {
+  const container = document.getElementById('job-rounds-list');
+  if (!container) return;
+  try {
+    jobRoundsCache = await api(`/api/jobs/${jobId}/interview-rounds`);
+    renderJobRounds();
+  } catch (err) {
+    container.innerHTML = `<li class="task-list-empty">Failed to load interview rounds: ${escapeHtml(err.message)}</li>`;
+  }
+}
+
+/**
+ * Add a round to `jobId`, or edit `round`. Interviewers are picked from the
+ * contacts, with those already linked to the job listed first.
+ */
+async function openRoundForm({ round = null, jobId }) {
+  let contacts = [];
+  try {
+    contacts = await api('/api/contacts');
+  } catch (err) {
+    showToast(`Failed to load contacts: ${err.message}`, 'error');
+  }
+  const linked = (contact) => (contact.jobIds || []).includes(jobId);
+  contacts.sort((a, b) => linked(b) - linked(a) || (a.name || '').localeCompare(b.name || ''));
+  const chosen = new Set(round?.interviewerIds || []);
+  const formatOptions = [['', 'Not set'], ...Object.entries(ROUND_FORMAT_LABELS)];
+
+  showModal(round ? 'Edit Interview Round' : 'Add Interview Round', `
+    <div class="form-group">
+      <label for="round-form-stage" class="form-label">Stage</label>
+      <input type="text" id="round-form-stage" class="form-input" maxlength="80" list="round-form-stages" value="${escapeHtml(round?.stage || '')}" placeholder="e.g. Phone screen">
+      <datalist id="round-form-stages">
+        ${ROUND_STAGE_SUGGESTIONS.map(stage => `<option value="${stage}">`).join('')}
+      </datalist>
+    </div>
+    <div class="form-group">
+      <label for="round-form-when" class="form-label">When</label>
+      <input type="datetime-local" id="round-form-when" class="form-input" value="${round?.scheduledAt ? toDateTimeLocal(round.scheduledAt) : ''}">
+    </div>
+    <div class="form-group">
+      <label for="round-form-duration" class="form-label">Length (minutes)</label>
+      <input type="number" id="round-form-duration" class="form-input" min="5" max="1440" step="5" value="${round?.durationMinutes || 60}">
+    </div>
+    <div class="form-group">
+      <label for="round-form-format" class="form-label">Format</label>
+      <select id="round-form-format" class="form-select">
+        ${formatOptions.map(([value, label]) => `<option value="${value}" ${value === (round?.format || '') ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="round-form-location" class="form-label">Location or link</label>
+      <input type="text" id="round-form-location" class="form-input" maxlength="500" value="${escapeHtml(round?.location || '')}">
+    </div>
+    <fieldset class="form-group">
+      <legend class="form-label">Interviewers</legend>
+      ${contacts.length > 0
+        ? `<div class="round-interviewers">${contacts.map(contact => `
+          <label><input type="checkbox" name="round-interviewer" value="${escapeHtml(contact.id)}" ${chosen.has(contact.id) ? 'checked' : ''}> ${escapeHtml(contact.name || contact.email || 'Unnamed contact')}${contact.company ? ` <span class="form-hint">${escapeHtml(contact.company)}</span>` : ''}</label>`).join('')}
+        </div>`
+        : '<p class="form-hint">Add your interviewers as contacts to link them here.</p>'}
+    </fieldset>
+    <div class="form-group">
+      <label for="round-form-prep" class="form-label">Prep notes</label>
+      <textarea id="round-form-prep" class="form-textarea" rows="3" placeholder="Questions to expect, stories to tell, things to ask">${escapeHtml(round?.prepNotes || '')}</textarea>
+    </div>
+    <div class="form-group">
+      <label for="round-form-reflection" class="form-label">Reflection</label>
+      <textarea id="round-form-reflection" class="form-textarea" rows="3" placeholder="How did it go? What would you do differently?">${escapeHtml(round?.reflection || '')}</textarea>
+    </div>
+    <div class="form-group">
+      <label for="round-form-outcome" class="form-label">Outcome</label>
+      <select id="round-form-outcome" class="form-select">
+        ${Object.entries(ROUND_OUTCOME_LABELS).map(([value, label]) => `<option value="${value}" ${value === (round?.outcome || 'pending') ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+      </select>
+    </div>`, async () => {
+    const when = document.getElementById('round-form-when').value;
+    const body = {
+      stage: document.getElementById('round-form-stage').value,
+      scheduledAt: when ? new Date(when).toISOString() : null,
+      durationMinutes: Number(document.getElementById('round-form-duration').value) || 60,
+      format: document.getElementById('round-form-format').value || null,
+      location: document.getElementById('round-form-location').value,
+      interviewerIds: [...document.querySelectorAll('input[name="round-interviewer"]:checked')].map(input => input.value),
+      prepNotes: document.getElementById('round-form-prep').value,
+      reflection: document.getElementById('round-form-reflection').value,
+      outcome: document.getElementById('round-form-outcome').value,
+    };
+    try {
+      if (round) {
+        await api(`/api/interview-rounds/${round.id}`, { method: 'PUT', body: JSON.stringify(body) });
+      } else {
+        await api(`/api/jobs/${jobId}/interview-rounds`, { method: 'POST', body: JSON.stringify(body) });
+      }
+      closeModal();
+      showToast(round ? 'Interview round updated.' : 'Interview round added.', 'success');
+      loadJobRounds(jobId);
+    } catch (err) {
+      showToast(`Failed to save interview round: ${err.message}`, 'error');
+    }
+  });
+  document.getElementById('round-form-stage').focus();
+}
+
+/**
+ * Fill the dashboard's interview stat: how many rounds are coming up, and
+ * when the next one is.
+ */
+async function loadUpcomingInterviews() {
+  const statInterviews = document.querySelector('#stat-interviews .stat-number');
+  const nextEl = document.getElementById('stat-interviews-next');
+  try {
+    const upcoming = await api('/api/interview-rounds/upcoming');
+    if (statInterviews) statInterviews.textContent = upcoming.length;
+    if (nextEl) {
+      const next = upcoming[0];
+      const interviewing = jobsCache.filter(j => j.status === 'interviewing').length;
+      nextEl.textContent = next
+        ? `Next: ${next.stage}, ${formatRoundTime(next.scheduledAt)}`
+        : interviewing > 0 ? `${interviewing} job${interviewing !== 1 ? 's' : ''} interviewing` : '';
+    }
+  } catch (err) {
+    console.error('Failed to load upcoming interviews:', err);
+  }
+}
+
+function setupInterviewRounds() {
+  document.getElementById('job-add-round')?.addEventListener('click', () => {
+    if (currentJobId) openRoundForm({ jobId: currentJobId });
+  });
+
+  document.getElementById('job-rounds-list')?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-round-action]');
+    if (!btn) return;
+    const id = btn.closest('.round-item')?.dataset.id;
+    const round = jobRoundsCache.find(r => r.id === id);
+    switch (btn.dataset.roundAction) {
+      case 'open-contact':
+        navigateTo('contacts');
+        if (!contactsCache.some(c => c.id === btn.dataset.contactId)) await loadContacts();
+        showContactDetail(btn.dataset.contactId);
+        break;
+      case 'edit':
+        if (round) openRoundForm({ round, jobId: round.jobId });
+        break;
+      case 'delete':
+        try {
+          await api(`/api/interview-rounds/${id}`, { method: 'DELETE' });
+          showToast('Interview round moved to the Trash.', 'success');
+          if (currentJobId) loadJobRounds(currentJobId);
+        } catch (err) {
+          showToast(`Failed to delete interview round: ${err.message}`, 'error');
+        }
+        break;
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MOCK INTERVIEW MODULE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let currentInterviewSession = null;
+
+async function loadMockInterviews(jobId) {
+  const historyContainer = document.getElementById('interview-history');
+  if (!historyContainer) return;
+
+  try {
+    const sessions = await api(`/api/jobs/${jobId}/mock-interviews`);
+    if (!sessions || sessions.length === 0) {
+      historyContainer.innerHTML = '<div class="empty-state"><p>No past interview sessions.</p></div>';
+      return;
+    }
+
+    historyContainer.innerHTML = sessions.sort((a, b) =>
+      new Date(b.createdAt) - new Date(a.createdAt)
+    ).map(session => {
+      const date = new Date(session.createdAt);
+      const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+      const score = session.feedback?.overallScore;
+      const scoreClass = score >= 7 ? 'score-high' : score >= 5 ? 'score-mid' : 'score-low';
+      const scoreHtml = score ? `<span class="interview-session-score ${scoreClass}">${score}/10</span>` : '<span class="text-muted" style="font-size:0.82rem;">In progress</span>';
+      const summary = session.feedback?.summary || '';
+
+      return `
+        <div class="interview-session-card" data-id="${session.id}">
+          <div class="interview-session-header">
+            <span class="interview-session-date">${dateStr} &mdash; ${session.questionCount || 0} questions</span>
+            ${scoreHtml}
+          </div>
+          ${summary ? `<div class="interview-session-detail">${escapeHtml(summary)}</div>` : ''}
+        </div>`;
+    }).join('');
+  } catch (err) {
+    console.error('Failed to load mock interviews:', err);
+    historyContainer.innerHTML = '<div class="empty-state"><p>Failed to load sessions.</p></div>';
+  }
+}
+
+function setupMockInterview() {
+  const startBtn = document.getElementById('start-interview-btn');
+  const sendBtn = document.getElementById('send-answer-btn');
+  const endBtn = document.getElementById('end-interview-btn');
+
+  if (startBtn) {
+    startBtn.addEventListener('click', async () => {
+      if (!currentJobId) return;
+      try {
+        showLoading('Preparing your interview...');
+        const session = await api(`/api/jobs/${currentJobId}/mock-interview/start`, { method: 'POST' });
+        hideLoading();
+        currentInterviewSession = session;
+        showInterviewChat(session);
+      } catch (err) {
+        hideLoading();
+        showToast(`Failed to start interview: ${err.message}`, 'error');
+      }
+    });
+  }
+
+  if (sendBtn) {
+    sendBtn.addEventListener('click', () => sendInterviewAnswer());
+  }
+
+  // Allow Enter to send (Shift+Enter for new line)
+  const answerInput = document.getElementById('interview-answer');
   if (answerInput) {
     answerInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
@@ -2967,6 +4793,475 @@ function showInterviewFeedback(session) {
   loadMockInterviews(currentJobId);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// AI USAGE MODULE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function formatUsd(amount) {
+  if (amount > 0 && amount < 0.01) return '<$0.01';
+  return `$${(amount || 0).toFixed(2)}`;
+}
+
+// Totals with unpriced calls get a note, since their cost is unknown
+function formatTotalCost(totals) {
+  const cost = formatUsd(totals.costUsd);
+  return totals.unpricedCalls > 0 ? `${cost} + ${totals.unpricedCalls} unpriced` : cost;
+}
+
+function renderUsageTable(containerId, columns, rows, emptyText) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  if (rows.length === 0) {
+    container.innerHTML = `<p class="form-hint">${escapeHtml(emptyText)}</p>`;
+    return;
+  }
+  container.innerHTML = `
+    <table class="usage-table">
+      <thead><tr>${columns.map(([label]) => `<th>${escapeHtml(label)}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${rows.map(row => `<tr>${columns.map(([, cell]) => `<td>${escapeHtml(String(cell(row)))}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+const USAGE_TOTAL_COLUMNS = [
+  ['Calls', row => row.calls],
+  ['Failed', row => row.failures],
+  ['Input tokens', row => row.inputTokens.toLocaleString()],
+  ['Output tokens', row => row.outputTokens.toLocaleString()],
+  ['Cost', row => formatTotalCost(row)],
+];
+
+async function loadAiUsage() {
+  try {
+    const summary = await api('/api/ai-usage');
+    renderAiUsage(summary);
+  } catch (err) {
+    showToast(`Failed to load AI usage: ${err.message}`, 'error');
+  }
+}
+
+function renderAiUsage({ today, month, byDay, byFeature, recent, budgets, exceeded }) {
+  document.getElementById('usage-today-cost').textContent = formatUsd(today.costUsd);
+  document.getElementById('usage-month-cost').textContent = formatUsd(month.costUsd);
+  document.getElementById('usage-month-tokens').textContent = (month.inputTokens + month.outputTokens).toLocaleString();
+  document.getElementById('usage-month-failures').textContent = month.failures;
+
+  document.getElementById('budget-daily').value = budgets.dailyUsd ?? '';
+  document.getElementById('budget-monthly').value = budgets.monthlyUsd ?? '';
+  renderBudgetAlert(exceeded);
+
+  renderUsageTable('usage-by-day', [['Day', row => row.date], ...USAGE_TOTAL_COLUMNS], byDay, 'No AI calls in the last 30 days.');
+  renderUsageTable('usage-by-feature', [['Feature', row => AI_FEATURE_LABELS[row.feature] || row.feature], ...USAGE_TOTAL_COLUMNS], byFeature, 'No AI calls this month.');
+  renderUsageTable('usage-recent', [
+    ['When', row => formatBackupDate(row.createdAt)],
+    ['Feature', row => AI_FEATURE_LABELS[row.feature] || row.feature],
+    ['Model', row => row.model || row.provider],
+    ['Tokens in / out', row => `${row.inputTokens.toLocaleString()} / ${row.outputTokens.toLocaleString()}`],
+    ['Time', row => (row.latencyMs !== null ? `${(row.latencyMs / 1000).toFixed(1)}s` : '')],
+    ['Cost', row => (row.costUsd !== null ? formatUsd(row.costUsd) : 'Unpriced')],
+    ['Result', row => (row.ok ? (row.kind === 'initial' ? 'OK' : `OK (${row.kind})`) : `Failed: ${row.error || 'unknown error'}`)],
+  ], recent, 'No AI calls yet.');
+}
+
+function renderBudgetAlert(exceeded) {
+  const alert = document.getElementById('ai-usage-exceeded');
+  if (!alert) return;
+  alert.hidden = !exceeded;
+  if (!exceeded) return;
+  const period = exceeded.period === 'day' ? 'daily' : 'monthly';
+  alert.textContent = `The ${period} budget of ${formatUsd(exceeded.limitUsd)} is used up, so AI features are paused until ${formatBackupDate(exceeded.resetsAt)}. Raise the limit below to resume now.`;
+}
+
+function setupAiUsage() {
+  const form = document.getElementById('ai-budget-form');
+  if (!form) return;
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const { exceeded } = await api('/api/ai-usage/budgets', {
+        method: 'POST',
+        body: JSON.stringify({
+          dailyUsd: document.getElementById('budget-daily').value.trim(),
+          monthlyUsd: document.getElementById('budget-monthly').value.trim(),
+        }),
+      });
+      renderBudgetAlert(exceeded);
+      showToast('Budgets saved.', 'success');
+    } catch (err) {
+      showToast(`Failed to save budgets: ${err.message}`, 'error');
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AI TASKS TRAY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Tasks this page is already waiting on, which announce their own results
+const followedAiTasks = new Set();
+// Last known status per task, to notice tasks that finished in the background
+const aiTaskStatuses = new Map();
+let aiTasksPollTimer = null;
+
+function isActiveAiTask(task) {
+  return task.status === 'queued' || task.status === 'running';
+}
+
+async function refreshAiTasksTray() {
+  if (!document.getElementById('ai-tasks-tray')) return;
+  clearTimeout(aiTasksPollTimer);
+  try {
+    const tasks = await api('/api/ai-tasks');
+    announceFinishedAiTasks(tasks);
+    renderAiTasksTray(tasks);
+    if (tasks.some(isActiveAiTask)) aiTasksPollTimer = setTimeout(refreshAiTasksTray, 3000);
+  } catch (err) {
+    console.error('Failed to load AI tasks:', err);
+  }
+}
+
+function announceFinishedAiTasks(tasks) {
+  for (const task of tasks) {
+    const previous = aiTaskStatuses.get(task.id);
+    aiTaskStatuses.set(task.id, task.status);
+    if (!previous || !isActiveAiTask({ status: previous }) || isActiveAiTask(task)) continue;
+    if (followedAiTasks.has(task.id)) continue;
+    if (task.status === 'succeeded') showToast(`${task.label} is ready.`, 'success');
+    if (task.status === 'failed') showToast(`${task.label} failed: ${task.error?.error || 'unknown error'}`, 'error');
+  }
+}
+
+function renderAiTasksTray(tasks) {
+  const tray = document.getElementById('ai-tasks-tray');
+  tray.hidden = tasks.length === 0;
+
+  const active = tasks.filter(isActiveAiTask).length;
+  document.getElementById('ai-tasks-summary').textContent = active > 0
+    ? `${active} AI task${active !== 1 ? 's' : ''} running`
+    : 'AI Tasks';
+
+  document.getElementById('ai-tasks-list').innerHTML = tasks.map(task => {
+    let detail;
+    switch (task.status) {
+      case 'queued': detail = `Waiting, number ${task.position} in line`; break;
+      case 'running': detail = task.progress || 'Running'; break;
+      case 'succeeded': detail = `Done ${formatBackupDate(task.finishedAt)}`; break;
+      case 'failed': detail = `Failed: ${task.error?.error || 'unknown error'}`; break;
+      default: detail = 'Cancelled';
+    }
+    let action = '';
+    if (isActiveAiTask(task)) {
+      action = `<button type="button" class="btn btn--outline btn--small ai-task-cancel-btn" data-id="${escapeHtml(task.id)}">Cancel</button>`;
+    } else if (task.status === 'succeeded') {
+      action = `<button type="button" class="btn btn--primary btn--small ai-task-open-btn" data-id="${escapeHtml(task.id)}">Open</button>`;
+    }
+    return `
+      <div class="tasks-tray-item">
+        <div>
+          <div class="trash-item-label">${escapeHtml(task.label)}</div>
+          <div class="trash-item-meta">${escapeHtml(detail)}</div>
+        </div>
+        ${action}
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Show what a finished task produced: the job's documents for a resume or
+ * cover letter, the results page for a Job Scout search.
+ */
+async function openAiTaskResult(id) {
+  const task = await api(`/api/ai-tasks/${encodeURIComponent(id)}`);
+  if (task.type === 'headhunter') {
+    navigateTo('headhunter');
+    const resultsSection = document.getElementById('headhunter-results');
+    if (resultsSection) resultsSection.hidden = false;
+    renderHeadhunterResults(task.result);
+    return;
+  }
+  if (!jobsCache.some(j => (j._id || j.id) === task.jobId)) await loadJobs();
+  showJobDetail(task.jobId);
+  document.getElementById('jd-tab-documents')?.click();
+}
+
+function setupAiTasksTray() {
+  const toggle = document.getElementById('ai-tasks-toggle');
+  if (!toggle) return;
+  const panel = document.getElementById('ai-tasks-panel');
+  toggle.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    toggle.setAttribute('aria-expanded', String(!panel.hidden));
+  });
+
+  document.getElementById('ai-tasks-list').addEventListener('click', async (e) => {
+    const cancelBtn = e.target.closest('.ai-task-cancel-btn');
+    const openBtn = e.target.closest('.ai-task-open-btn');
+    try {
+      if (cancelBtn) {
+        await api(`/api/ai-tasks/${encodeURIComponent(cancelBtn.dataset.id)}/cancel`, { method: 'POST' });
+        refreshAiTasksTray();
+      } else if (openBtn) {
+        await openAiTaskResult(openBtn.dataset.id);
+      }
+    } catch (err) {
+      showToast(`AI task action failed: ${err.message}`, 'error');
+    }
+  });
+
+  document.getElementById('ai-tasks-clear-btn').addEventListener('click', async () => {
+    try {
+      await api('/api/ai-tasks', { method: 'DELETE' });
+      refreshAiTasksTray();
+    } catch (err) {
+      showToast(`Failed to clear AI tasks: ${err.message}`, 'error');
+    }
+  });
+
+  refreshAiTasksTray();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROMPTS MODULE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let currentPromptName = null;
+
+async function loadPrompts() {
+  const list = document.getElementById('prompts-list');
+  if (!list) return;
+  try {
+    const prompts = await api('/api/prompts');
+    renderPromptList(prompts);
+    const selected = prompts.find(p => p.name === currentPromptName) || prompts[0];
+    if (selected) openPrompt(selected.name);
+  } catch (err) {
+    list.innerHTML = `<p class="form-hint">Failed to load prompts: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function renderPromptList(prompts) {
+  const list = document.getElementById('prompts-list');
+  list.innerHTML = prompts.map(prompt => {
+    let badge = '';
+    if (prompt.outdated) badge = '<span class="badge badge--honey">Outdated</span>';
+    else if (prompt.overridden) badge = '<span class="badge badge--lavender">Edited</span>';
+    return `
+      <button type="button" class="prompts-list-item${prompt.name === currentPromptName ? ' active' : ''}" data-name="${escapeHtml(prompt.name)}">
+        <span>${escapeHtml(prompt.label)}</span>
+        ${badge}
+      </button>`;
+  }).join('');
+}
+
+async function openPrompt(name) {
+  try {
+    const prompt = await api(`/api/prompts/${encodeURIComponent(name)}`);
+    currentPromptName = name;
+    document.querySelectorAll('.prompts-list-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.name === name);
+    });
+    renderPromptEditor(prompt);
+  } catch (err) {
+    showToast(`Failed to load the prompt: ${err.message}`, 'error');
+  }
+}
+
+function renderPromptEditor(prompt) {
+  document.getElementById('prompt-editor').hidden = false;
+  document.getElementById('prompt-editor-heading').textContent = prompt.label;
+  document.getElementById('prompt-editor-version').textContent = prompt.overridden
+    ? `Edited ${formatBackupDate(prompt.updatedAt)} · shipped version ${prompt.version}`
+    : `Shipped version ${prompt.version}`;
+  document.getElementById('prompt-outdated').hidden = !prompt.outdated;
+  document.getElementById('prompt-text').value = prompt.text;
+  document.getElementById('prompt-reset-btn').disabled = !prompt.overridden;
+
+  const variables = Object.entries(prompt.variables);
+  document.getElementById('prompt-variables').innerHTML = variables.length
+    ? `<p class="form-hint">Variables you can use:</p>
+       <ul>${variables.map(([name, description]) => `<li><code>{{${escapeHtml(name)}}}</code> ${escapeHtml(description)}</li>`).join('')}</ul>`
+    : '<p class="form-hint">This prompt has no variables.</p>';
+
+  const diff = document.getElementById('prompt-diff');
+  diff.hidden = true;
+  diff.innerHTML = renderPromptDiff(prompt.diff);
+  document.getElementById('prompt-diff-btn').textContent = 'Show Changes';
+}
+
+function renderPromptDiff(lines) {
+  if (!lines.some(line => line.type !== 'same')) {
+    return '<p class="form-hint">No saved changes. This prompt matches the shipped version.</p>';
+  }
+  const markers = { same: ' ', added: '+', removed: '-' };
+  return `
+    <p class="form-hint">Saved prompt compared with the shipped version:</p>
+    <pre>${lines.map(line => `<span class="prompt-diff-line prompt-diff-line--${line.type}">${markers[line.type]} ${escapeHtml(line.text)}</span>`).join('\n')}</pre>`;
+}
+
+function setupPrompts() {
+  const list = document.getElementById('prompts-list');
+  if (!list) return;
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.prompts-list-item');
+    if (item) openPrompt(item.dataset.name);
+  });
+
+  document.getElementById('prompt-save-btn').addEventListener('click', async () => {
+    try {
+      const { prompt } = await api(`/api/prompts/${encodeURIComponent(currentPromptName)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ text: document.getElementById('prompt-text').value }),
+      });
+      showToast(prompt.overridden ? 'Prompt saved.' : 'Prompt matches the shipped version, so the edit was removed.', 'success');
+      loadPrompts();
+    } catch (err) {
+      showToast(`Failed to save the prompt: ${err.message}`, 'error');
+    }
+  });
+
+  document.getElementById('prompt-diff-btn').addEventListener('click', (e) => {
+    const diff = document.getElementById('prompt-diff');
+    diff.hidden = !diff.hidden;
+    e.currentTarget.textContent = diff.hidden ? 'Show Changes' : 'Hide Changes';
+  });
+
+  document.getElementById('prompt-reset-btn').addEventListener('click', () => {
+    showModal('Reset Prompt', '<p>Discard your edit and go back to the shipped prompt?</p>', async () => {
+      try {
+        await api(`/api/prompts/${encodeURIComponent(currentPromptName)}`, { method: 'DELETE' });
+        showToast('Prompt reset to the shipped version.', 'success');
+        closeModal();
+        loadPrompts();
+      } catch (err) {
+        showToast(`Failed to reset the prompt: ${err.message}`, 'error');
+        closeModal();
+      }
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRASH MODULE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TRASH_TYPE_LABELS = {
+  job: 'Job',
+  contact: 'Contact',
+  note: 'Note',
+  'writing-sample': 'Writing sample',
+  template: 'Template',
+  resume: 'Resume',
+  'cover-letter': 'Cover letter',
+  'mock-interview': 'Mock interview',
+  task: 'Task',
+  'interview-round': 'Interview round',
+};
+
+async function loadTrash() {
+  const container = document.getElementById('trash-list');
+  if (!container) return;
+  try {
+    const { items, retentionDays } = await api('/api/trash');
+    const description = document.getElementById('trash-description');
+    if (description) {
+      description.textContent = retentionDays > 0
+        ? `Deleted items wait here for ${retentionDays} days, then they are purged for good.`
+        : 'Deleted items wait here until you restore or purge them.';
+    }
+    renderTrash(items);
+  } catch (err) {
+    container.innerHTML = `<p class="form-hint">Failed to load the Trash: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function renderTrash(items) {
+  const container = document.getElementById('trash-list');
+  const emptyBtn = document.getElementById('empty-trash-btn');
+  if (emptyBtn) emptyBtn.hidden = items.length === 0;
+
+  if (items.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <span class="empty-icon" aria-hidden="true">&#9003;</span>
+        <p>The Trash is empty.</p>
+      </div>`;
+    return;
+  }
+
+  container.innerHTML = items.map(item => {
+    const details = [`Deleted ${formatBackupDate(item.deletedAt)}`];
+    if (item.expiresAt) details.push(`purged ${formatBackupDate(item.expiresAt)}`);
+    if (item.parent) details.push(`from ${item.parent.label}`);
+    const children = (item.children || []).map(child => child.label);
+    return `
+      <div class="document-row">
+        <span class="badge badge--muted">${escapeHtml(TRASH_TYPE_LABELS[item.type] || item.type)}</span>
+        <div class="document-info">
+          <div class="trash-item-label">${escapeHtml(item.label)}</div>
+          <div class="trash-item-meta">${escapeHtml(details.join(' · '))}</div>
+          ${children.length ? `<div class="trash-item-meta">With ${escapeHtml(children.join(', '))}</div>` : ''}
+        </div>
+        <div class="document-actions">
+          <button type="button" class="btn btn--outline btn--small trash-restore-btn" data-type="${escapeHtml(item.type)}" data-id="${escapeHtml(item.id)}">Restore</button>
+          <button type="button" class="btn btn--danger btn--small trash-purge-btn" data-type="${escapeHtml(item.type)}" data-id="${escapeHtml(item.id)}">Delete Forever</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+function setupTrash() {
+  const container = document.getElementById('trash-list');
+  if (container) {
+    container.addEventListener('click', async (e) => {
+      const restoreBtn = e.target.closest('.trash-restore-btn');
+      if (restoreBtn) {
+        try {
+          const { type, id } = restoreBtn.dataset;
+          const result = await api(`/api/trash/${type}/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+          showToast(result.replaced ? `Restored. ${result.replaced.label} moved to the Trash.` : 'Restored.', 'success');
+          loadTrash();
+        } catch (err) {
+          showToast(`Restore failed: ${err.message}`, 'error');
+        }
+        return;
+      }
+
+      const purgeBtn = e.target.closest('.trash-purge-btn');
+      if (!purgeBtn) return;
+      const { type, id } = purgeBtn.dataset;
+      showModal('Delete Forever', '<p>Permanently delete this item? A backup is saved first, so it can still be recovered from Settings → Backups.</p>', async () => {
+        try {
+          await api(`/api/trash/${type}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+          showToast('Deleted forever.', 'success');
+          closeModal();
+          loadTrash();
+        } catch (err) {
+          showToast(`Failed to delete: ${err.message}`, 'error');
+          closeModal();
+        }
+      });
+    });
+  }
+
+  const emptyBtn = document.getElementById('empty-trash-btn');
+  if (emptyBtn) {
+    emptyBtn.addEventListener('click', () => {
+      showModal('Empty Trash', '<p>Permanently delete everything in the Trash? A backup is saved first, so it can still be recovered from Settings → Backups.</p>', async () => {
+        try {
+          const { purged } = await api('/api/trash', { method: 'DELETE' });
+          showToast(`Deleted ${purged} item${purged !== 1 ? 's' : ''} forever.`, 'success');
+          closeModal();
+          loadTrash();
+        } catch (err) {
+          showToast(`Failed to empty the Trash: ${err.message}`, 'error');
+          closeModal();
+        }
+      });
+    });
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // HELPER UTILITIES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -3037,9 +5332,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Set up jobs module
   setupJobsModule();
+  setupJobsBoard();
+  loadPipeline();
 
   // Set up job detail module
   setupJobDetail();
+  setupJobTimeline();
 
   // Set up headhunter module
   setupHeadhunter();
@@ -3050,6 +5348,24 @@ document.addEventListener('DOMContentLoaded', () => {
   // Set up contacts module
   setupContacts();
 
+  // Set up tasks module
+  setupTasks();
+
+  // Set up interview rounds module
+  setupInterviewRounds();
+
   // Set up mock interview module
   setupMockInterview();
+
+  // Set up AI usage module
+  setupAiUsage();
+
+  // Set up prompts module
+  setupPrompts();
+
+  // Set up AI tasks tray
+  setupAiTasksTray();
+
+  // Set up trash module
+  setupTrash();
 });
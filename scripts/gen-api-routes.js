@@ -69,7 +69,7 @@ for (let i = 0; i < lines.length; i++) {
 }
 
 function inferArea(routePath) {
-  if (routePath.includes('/api/profile') || routePath.includes('/api/settings')) return 'Profile & Settings';
+  if (routePath.includes('/api/profile') || routePath.includes('/api/settings') || routePath.includes('/api/backups') || routePath.includes('/api/trash') || routePath.includes('/api/integrity')) return 'Profile & Settings';
   if (routePath.includes('/api/jobs') || routePath.includes('/api/headhunter')) return 'Jobs';
   if (routePath.includes('/api/resume')) return 'Resumes';
   if (routePath.includes('/api/cover-letter')) return 'Cover Letters';
@@ -135,7 +135,7 @@ let md = `# Data Model Inventory
 
 ## Overview
 
-This project uses **JSON file-based storage** (no database). All data files live in the \`data/\` directory and are auto-created by \`ensureDataFiles()\` in server.js.
+All data goes through the storage layer in \`lib/storage/\`. By default each collection is a JSON file in the \`data/\` directory, auto-created by \`ensureDataFiles()\` in server.js; with \`STORAGE_BACKEND=sqlite\` the same collections live in \`data/job-pal.db\`.
 
 | Data File | Default Type | Live Record Count |
 |-----------|-------------|-------------------|
@@ -0,0 +1,103 @@
+/**
+ * Storage Migration
+ * Copies everything in data/ from one storage backend to the other.
+ * Run: npm run migrate:to-sqlite   (JSON files → data/job-pal.db)
+ *      npm run migrate:to-json     (data/job-pal.db → JSON files)
+ *
+ * The source is left untouched. The target is refused if it already holds
+ * records, unless --force is passed. After migrating, set STORAGE_BACKEND
+ * in .env to the new backend and restart the server.
+ *
+ * With encryption at rest on, run it with the same DATA_ENCRYPTION,
+ * DATA_PASSPHRASE / DATA_KEY_FILE and ENCRYPTED_COLLECTIONS environment
+ * variables as the server; records are decrypted on read and encrypted
+ * again for the target backend. The collections that are always encrypted
+ * (the AI answer cache and AI tasks) are handled the same way the server handles them.
+ */
+
+const os = require('os');
+const path = require('path');
+const {
+  createJsonAdapter,
+  createSqliteAdapter,
+  createAtRestCodec,
+  unlockAtRest,
+  encryptedCollections,
+  BACKENDS
+} = require('../lib/storage');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DATA_DIR = path.join(PROJECT_ROOT, 'data');
+
+const args = process.argv.slice(2);
+const toIndex = args.indexOf('--to');
+const to = toIndex !== -1 ? args[toIndex + 1] : null;
+const force = args.includes('--force');
+
+if (!BACKENDS.includes(to)) {
+  console.error(`Usage: node scripts/migrate-storage.js --to <${BACKENDS.join('|')}> [--force]`);
+  process.exit(1);
+}
+
+const from = to === 'sqlite' ? 'json' : 'sqlite';
+
+const codec = createAtRestCodec({ encrypted: encryptedCollections(process.env.ENCRYPTED_COLLECTIONS) });
+
+function open(backend) {
+  return backend === 'sqlite'
+    ? createSqliteAdapter({ dbPath: path.join(DATA_DIR, 'job-pal.db'), collections: {}, documents: {}, codec })
+    : createJsonAdapter({ dataDir: DATA_DIR, collections: {}, documents: {}, codec });
+}
+
+async function main() {
+  let source;
+  let target;
+  try {
+    await unlockAtRest({
+      codec,
+      mode: process.env.DATA_ENCRYPTION || 'off',
+      dataDir: DATA_DIR,
+      passphrase: process.env.DATA_PASSPHRASE,
+      keyFile: process.env.DATA_KEY_FILE || path.join(os.homedir(), '.new-job-pal', 'data.key')
+    });
+    source = open(from);
+    target = open(to);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const { collections, documents } = source.names();
+  if (collections.length === 0 && documents.length === 0) {
+    console.error(`❌ Nothing to migrate: the ${from} store in data/ is empty.`);
+    process.exit(1);
+  }
+
+  const occupied = target.names().collections.filter((name) => target.list(name).length > 0);
+  if (occupied.length > 0 && !force) {
+    console.error(`❌ The ${to} store already has records in: ${occupied.join(', ')}`);
+    console.error('   Re-run with --force to overwrite them.');
+    process.exit(1);
+  }
+
+  for (const name of documents) {
+    target.saveDocument(name, source.getDocument(name));
+    console.log(`   ${name} (document)`);
+  }
+  for (const name of collections) {
+    const records = source.list(name);
+    target.replaceAll(name, records);
+    console.log(`   ${name}: ${records.length} record${records.length !== 1 ? 's' : ''}`);
+  }
+
+  source.close();
+  target.close();
+
+  console.log(`✅ Migrated ${documents.length + collections.length} collections from ${from} to ${to}.`);
+  console.log(`   Set STORAGE_BACKEND=${to} in .env and restart the server.`);
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
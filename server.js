@@ -3,10 +3,67 @@ const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const Anthropic = require('@anthropic-ai/sdk');
 const pdfParse = require('pdf-parse');
 const PizZip = require('pizzip');
 const Docxtemplater = require('docxtemplater');
+const os = require('os');
+const { createStorage, createAtRestCodec, unlockAtRest, encryptedCollections } = require('./lib/storage');
+const { migrate, SCHEMA_VERSION } = require('./lib/migrations');
+const { createBackupManager } = require('./lib/backups');
+const {
+  buildExportArchive,
+  readExportArchive,
+  installArchiveFiles,
+  isZip,
+  ExportArchiveError
+} = require('./lib/export-archive');
+const { mergeSnapshots, RESOLUTIONS } = require('./lib/import-merge');
+const { createTrash, isDeleted, TrashError } = require('./lib/trash');
+const { JobHistoryError, normalizeStatusChange, withStatus, withStatusEntry, initialHistory, stagesOf, buildTimeline } = require('./lib/job-history');
+const { DEFAULT_STAGES, STAGE_COLORS, PipelineError, pipelineStages, normalizeStages, stagesInUse, withMissingStages } = require('./lib/pipeline');
+const {
+  TaskInputError,
+  toDateString,
+  isDateString,
+  normalizeTask,
+  newTask,
+  nextOccurrence,
+  suggestFollowUp,
+  dueState,
+  compareTasks
+} = require('./lib/tasks');
+const {
+  InterviewRoundError,
+  normalizeRound,
+  newRound,
+  isUpcoming,
+  compareRounds
+} = require('./lib/interview-rounds');
+const { buildCalendar, taskEvent, roundEvent } = require('./lib/calendar');
+const { createIntegrityChecker } = require('./lib/integrity');
+const {
+  createAiProvider,
+  PROVIDERS: AI_PROVIDERS,
+  JSON_FEATURES: AI_JSON_FEATURES,
+  FEATURE_DEFAULTS: AI_FEATURE_DEFAULTS,
+  AiJsonError,
+  AiConfigError,
+  AiRequestError,
+  normalizeFeatureOverrides
+} = require('./lib/ai');
+const { DEFAULT_BASE_URL: OPENAI_DEFAULT_BASE_URL } = require('./lib/ai/openai-compatible-provider');
+const { openAiStream, startEventStream, writeEvent } = require('./lib/ai-stream');
+const { createTaskQueue, TaskError, isFinished } = require('./lib/task-queue');
+const { createUsageLedger, normalizeBudgets, AiBudgetError } = require('./lib/ai/usage');
+const { createResponseCache } = require('./lib/ai/cache');
+const { createPromptRegistry, PromptError, normalizeOverrides } = require('./lib/ai/prompt-registry');
+const {
+  encryptBundle,
+  decryptBundle,
+  isEncryptedBundle,
+  DecryptionError,
+  MIN_PASSPHRASE_LENGTH
+} = require('./lib/encryption');
 
 // ---------------------------------------------------------------------------
 // Environment / API Key
@@ -29,15 +86,82 @@ if (fs.existsSync(envPath)) {
   });
 }
 
+// AI provider (see lib/ai): anthropic, openai for an OpenAI-compatible or
+// local model server, or mock for canned offline responses
+const AI_PROVIDER = process.env.AI_PROVIDER || 'anthropic';
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-if (!ANTHROPIC_API_KEY) {
+if (AI_PROVIDER === 'anthropic' && !ANTHROPIC_API_KEY) {
   console.warn(
     'WARNING: ANTHROPIC_API_KEY is not set. AI features will not work.\n' +
-    'Set it via environment variable or add it to a .env file in the project root.'
+    'Set it via environment variable or add it to a .env file in the project root,\n' +
+    'or start with AI_PROVIDER=mock to try the app with canned AI responses.'
   );
 }
 
-const client = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
+function parseFallbackFeatures(value) {
+  return (value || '').split(',').map((f) => f.trim()).filter(Boolean);
+}
+
+/**
+ * Build the AI provider from environment variables. Called again with the
+ * new values when the AI settings change.
+ */
+function buildAiProvider(env = process.env) {
+  return createAiProvider({
+    provider: env.AI_PROVIDER || 'anthropic',
+    apiKey: env.ANTHROPIC_API_KEY,
+    fixturesDir: process.env.AI_FIXTURES_DIR,
+    openai: {
+      baseUrl: env.OPENAI_BASE_URL || OPENAI_DEFAULT_BASE_URL,
+      model: env.OPENAI_MODEL,
+      apiKey: env.OPENAI_API_KEY
+    },
+    // Comma-separated AI features to retry on Anthropic when the
+    // OpenAI-compatible server's JSON is still invalid after repairs
+    fallbackFeatures: parseFallbackFeatures(env.AI_FALLBACK_FEATURES),
+    // Per-feature model, max tokens and temperature, edited in Settings
+    featureOverrides: () => storage.getDocument('ai-settings').features || {},
+    // How many times to ask the model to fix JSON that is malformed or breaks the feature's schema
+    repairAttempts: Number(process.env.AI_REPAIR_ATTEMPTS ?? 1),
+    // How many times to retry rate-limited, overloaded or unreachable backends
+    maxRetries: Number(process.env.AI_MAX_RETRIES ?? 2),
+    // Log every request in the usage ledger
+    onUsage: (entry) => usage.record(entry),
+    responseCache
+  });
+}
+
+/**
+ * Set keys in the project's .env file, replacing existing lines for them
+ * and appending the rest, and in process.env. An empty value removes the key.
+ */
+function updateEnvFile(values) {
+  const lines = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf-8').split('\n') : [];
+  const pending = new Map(Object.entries(values));
+  const updatedLines = [];
+  for (const line of lines) {
+    const key = line.trim().split('=')[0].trim();
+    if (line.includes('=') && !line.trim().startsWith('#') && pending.has(key)) {
+      const value = pending.get(key);
+      pending.delete(key);
+      if (value) updatedLines.push(`${key}=${value}`);
+    } else {
+      updatedLines.push(line);
+    }
+  }
+  for (const [key, value] of pending) {
+    if (value) updatedLines.push(`${key}=${value}`);
+  }
+  fs.writeFileSync(envPath, updatedLines.join('\n'), 'utf-8');
+  for (const [key, value] of Object.entries(values)) {
+    if (value) {
+      process.env[key] = value;
+    } else {
+      delete process.env[key];
+    }
+  }
+}
 
 // ---------------------------------------------------------------------------
 // Express app setup
@@ -66,12 +190,17 @@ const DATA_DEFAULTS = {
     email: '',
     phone: '',
     location: '',
+    title: '',
     summary: '',
     skills: [],
     experience: [],
     education: [],
     certifications: [],
-    links: []
+    links: {
+      linkedin: '',
+      portfolio: '',
+      github: ''
+    }
   },
   'jobs.json': [],
   'resumes.json': [],
@@ -80,9 +209,106 @@ const DATA_DEFAULTS = {
   'document-templates.json': [],
   'contacts.json': [],
   'mock-interviews.json': [],
-  'custom-boards.json': []
+  'tasks.json': [],
+  'interview-rounds.json': [],
+  'custom-boards.json': [],
+  'ai-usage.json': [],
+  'ai-cache.json': [],
+  'ai-tasks.json': [],
+  'ai-settings.json': {
+    features: {},
+    budgets: {
+      dailyUsd: null,
+      monthlyUsd: null
+    }
+  },
+  'prompts.json': {
+    overrides: {}
+  },
+  'pipeline.json': {
+    stages: null
+  },
+  'meta.json': {
+    schemaVersion: 0
+  }
 };
 
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+
+// Encryption at rest (see lib/storage/at-rest.js): off, passphrase or keyfile
+const DATA_ENCRYPTION = process.env.DATA_ENCRYPTION || 'off';
+const DATA_KEY_FILE = process.env.DATA_KEY_FILE || path.join(os.homedir(), '.new-job-pal', 'data.key');
+// ENCRYPTED_COLLECTIONS picks the collections to seal; the AI answer cache
+// and AI tasks are always among them (see encryptedCollections)
+const atRestCodec = createAtRestCodec({ encrypted: encryptedCollections(process.env.ENCRYPTED_COLLECTIONS) });
+
+const storage = createStorage({
+  backend: STORAGE_BACKEND,
+  dataDir: DATA_DIR,
+  defaults: DATA_DEFAULTS,
+  codec: atRestCodec
+});
+
+// Rolling snapshots of data/ (see lib/backups.js). An interval of 0 turns
+// off scheduled snapshots; the ones taken before destructive actions remain.
+const BACKUP_INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS ?? 24);
+const BACKUP_KEEP_LAST = Number(process.env.BACKUP_KEEP_LAST || 10);
+const BACKUP_KEEP_DAYS = Number(process.env.BACKUP_KEEP_DAYS || 7);
+
+const backups = createBackupManager({
+  dataDir: DATA_DIR,
+  storage,
+  codec: atRestCodec,
+  keepLast: BACKUP_KEEP_LAST,
+  keepDays: BACKUP_KEEP_DAYS
+});
+
+// Deleted items sit in the Trash (see lib/trash.js) for this many days
+// before they are purged; 0 keeps them until purged by hand.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+
+const trash = createTrash({
+  storage,
+  dataDir: DATA_DIR,
+  retentionDays: TRASH_RETENTION_DAYS
+});
+
+const integrity = createIntegrityChecker({ storage, dataDir: DATA_DIR });
+
+// Tokens, estimated cost and outcome of every AI request, checked against
+// the daily and monthly budgets set in the AI Usage page (see lib/ai/usage.js)
+const usage = createUsageLedger({
+  storage,
+  budgets: () => storage.getDocument('ai-settings').budgets || {}
+});
+
+// Answers to match analysis, job import and resume parsing are reused for
+// this many hours while their inputs are unchanged (see lib/ai/cache.js);
+// 0 turns the cache off.
+const AI_CACHE_TTL_HOURS = Number(process.env.AI_CACHE_TTL_HOURS ?? 168);
+
+const responseCache = createResponseCache({ storage, ttlHours: AI_CACHE_TTL_HOURS });
+
+// System prompts for every AI feature, with the user's edits from the Prompts page
+const prompts = createPromptRegistry({ storage });
+
+// Built here, once the usage ledger and cache it reports to exist
+let ai = buildAiProvider();
+
+// Records in the Trash stay in storage, so routes read through these
+function listLive(collection) {
+  return storage.list(collection).filter((record) => !isDeleted(record));
+}
+
+function getLive(collection, id) {
+  const record = storage.get(collection, id);
+  return isDeleted(record) ? null : record;
+}
+
+function withLiveNotes(contact) {
+  return { ...contact, notes: (contact.notes || []).filter((note) => !isDeleted(note)) };
+}
+
 function ensureDataFiles() {
   if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -93,61 +319,146 @@ function ensureDataFiles() {
   if (!fs.existsSync(templatesDir)) fs.mkdirSync(templatesDir, { recursive: true });
   if (!fs.existsSync(generatedDir)) fs.mkdirSync(generatedDir, { recursive: true });
 
-  for (const [filename, defaultData] of Object.entries(DATA_DEFAULTS)) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2), 'utf-8');
-    }
-  }
-}
-
-function loadData(filename) {
-  const filePath = path.join(DATA_DIR, filename);
-  try {
-    const raw = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(raw);
-  } catch {
-    const defaultData = DATA_DEFAULTS[filename];
-    if (defaultData !== undefined) {
-      return JSON.parse(JSON.stringify(defaultData));
-    }
-    return null;
-  }
+  // Let the storage backend create any missing collections
+  storage.init();
+  // Encrypt sensitive collections written before encryption was turned on
+  storage.encryptStored();
+  backups.encryptStored();
 }
 
-function saveData(filename, data) {
-  const filePath = path.join(DATA_DIR, filename);
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+/**
+ * Bring stored data up to the current schema version. The version lives in
+ * the `meta` document; data from before versioning counts as version 0.
+ */
+function runMigrations() {
+  const meta = storage.getDocument('meta');
+  const fromVersion = meta.schemaVersion || 0;
+  if (fromVersion === SCHEMA_VERSION) return;
+
+  backups.snapshot('before-migration');
+  const { data, version, applied } = migrate(storage.dump(), fromVersion);
+  storage.restore(data);
+  storage.saveDocument('meta', {
+    ...meta,
+    schemaVersion: version,
+    migratedAt: new Date().toISOString()
+  });
+  console.log(`[Migrations] Upgraded data from schema v${fromVersion} to v${version}: ${applied.join(', ')}`);
 }
 
 // ---------------------------------------------------------------------------
-// Claude AI helper
+// AI helper
 // ---------------------------------------------------------------------------
 
-async function callClaude(systemPrompt, userMessage) {
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 4096,
+/**
+ * Single-turn AI request for `feature` (one of AI_FEATURES in lib/ai).
+ * Returns the response text. `options` takes { onText, signal } to stream
+ * the answer (see lib/ai-stream.js) and `jobId` to link the request to a
+ * job in the usage ledger.
+ */
+async function callAI(feature, systemPrompt, userMessage, { onText, signal, jobId } = {}) {
+  const { text } = await ai.complete({
+    feature,
+    jobId,
     system: systemPrompt,
     messages: [
       { role: 'user', content: userMessage }
     ]
-  });
-  // Extract text from the response content blocks
-  const text = response.content
-    .filter((block) => block.type === 'text')
-    .map((block) => block.text)
-    .join('');
+  }, { onText, signal });
   return text;
 }
 
+/**
+ * callAI for features that answer in JSON. Returns the parsed value, checked
+ * against the feature's schema in lib/ai/schemas.js. Throws AiJsonError
+ * (carrying the raw text and the problems found) when the response is still
+ * invalid after the repair attempts. With `cache: true` an earlier answer
+ * to the same prompt is reused (see lib/ai/cache.js); `refresh: true`
+ * asks for a new one anyway.
+ */
+async function callAIJson(feature, systemPrompt, userMessage, { onText, signal, jobId, cache, refresh } = {}) {
+  const { data } = await ai.completeJson({
+    feature,
+    jobId,
+    system: systemPrompt,
+    messages: [
+      { role: 'user', content: userMessage }
+    ]
+  }, { onText, signal, cache, refresh });
+  return data;
+}
+
+/**
+ * Status and body for an AI route's error. An AiRequestError answers with
+ * its category's status and code (see lib/ai/errors.js) so the app can tell
+ * the user what to do about it. Given `parseError`, an answer that failed
+ * validation is a 500 with that message, the raw answer and its issues.
+ * Anything else is a 500 with `error` as the message.
+ */
+function aiErrorResponse(err, error, parseError) {
+  if (parseError && err instanceof AiJsonError) {
+    return { status: 500, body: { error: parseError, raw: err.raw, issues: err.issues } };
+  }
+  if (err instanceof AiRequestError) {
+    return {
+      status: err.httpStatus,
+      body: {
+        error: err.message,
+        code: err.code,
+        category: err.category,
+        details: err.details,
+        ...(err.retryAfterMs !== null ? { retryAfterSeconds: Math.ceil(err.retryAfterMs / 1000) } : {})
+      }
+    };
+  }
+  return { status: 500, body: { error, details: err.message } };
+}
+
+// Bookkeeping fields that say nothing about the job itself. Left out of the
+// match prompt so that starring a job, saving its score or moving it to
+// another stage keeps the cached analysis valid.
+const JOB_BOOKKEEPING_FIELDS = [
+  'id', 'matchScore', 'starred', 'status', 'statusHistory', 'notesUpdatedAt',
+  'createdAt', 'updatedAt', 'deletedAt', 'deletedWith'
+];
+
+function jobForPrompt(job) {
+  return Object.fromEntries(Object.entries(job).filter(([field]) => !JOB_BOOKKEEPING_FIELDS.includes(field)));
+}
+
+/**
+ * Middleware for AI routes: once a daily or monthly budget is used up,
+ * answer 429 instead of calling the AI backend.
+ */
+function requireAiBudget(req, res, next) {
+  const body = aiBudgetError();
+  if (!body) return next();
+  const retryAfter = Math.max(1, Math.ceil((new Date(body.resetsAt).getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json(body);
+}
+
+/**
+ * The 429 body for a used-up budget, or null while there is budget left.
+ */
+function aiBudgetError() {
+  const exceeded = usage.exceededBudget();
+  if (!exceeded) return null;
+  const period = exceeded.period === 'day' ? 'daily' : 'monthly';
+  return {
+    error: `The ${period} AI budget of $${exceeded.limitUsd.toFixed(2)} is used up ($${exceeded.spentUsd.toFixed(2)} spent). Raise it on the AI Usage page or wait until it resets.`,
+    code: 'AI_BUDGET_EXCEEDED',
+    ...exceeded
+  };
+}
+
 // ---------------------------------------------------------------------------
 // ROUTES: Profile
 // ---------------------------------------------------------------------------
 
 app.get('/api/profile', (req, res) => {
   try {
-    const profile = loadData('profile.json');
+    const profile = storage.getDocument('profile');
     res.json(profile);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load profile', details: err.message });
@@ -157,7 +468,7 @@ app.get('/api/profile', (req, res) => {
 app.post('/api/profile', (req, res) => {
   try {
     const profile = req.body;
-    saveData('profile.json', profile);
+    storage.saveDocument('profile', profile);
     res.json({ success: true, profile });
   } catch (err) {
     res.status(500).json({ error: 'Failed to save profile', details: err.message });
@@ -175,108 +486,282 @@ app.post('/api/settings/api-key', (req, res) => {
       return res.status(400).json({ error: 'No API key provided' });
     }
 
-    // Update the .env file
-    const envFilePath = path.join(__dirname, '.env');
-    let envContent = '';
-    if (fs.existsSync(envFilePath)) {
-      envContent = fs.readFileSync(envFilePath, 'utf-8');
-    }
+    updateEnvFile({ ANTHROPIC_API_KEY: key.trim() });
+    ai.setApiKey(key.trim());
 
-    // Replace or add ANTHROPIC_API_KEY
-    const lines = envContent.split('\n');
-    let found = false;
-    const updatedLines = lines.map((line) => {
-      if (line.trim().startsWith('ANTHROPIC_API_KEY=')) {
-        found = true;
-        return `ANTHROPIC_API_KEY=${key.trim()}`;
-      }
-      return line;
-    });
-    if (!found) {
-      updatedLines.push(`ANTHROPIC_API_KEY=${key.trim()}`);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update API key', details: err.message });
+  }
+});
+
+function aiSettings() {
+  return {
+    provider: ai.name,
+    configured: ai.configured,
+    providers: AI_PROVIDERS,
+    baseUrl: process.env.OPENAI_BASE_URL || OPENAI_DEFAULT_BASE_URL,
+    model: process.env.OPENAI_MODEL || '',
+    hasApiKey: Boolean(process.env.OPENAI_API_KEY),
+    fallbackFeatures: parseFallbackFeatures(process.env.AI_FALLBACK_FEATURES),
+    jsonFeatures: AI_JSON_FEATURES
+  };
+}
+
+// Current AI backend and OpenAI-compatible server settings
+app.get('/api/settings/ai', (req, res) => {
+  try {
+    res.json(aiSettings());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load AI settings', details: err.message });
+  }
+});
+
+// Switch AI backend; saved to .env. Leave apiKey out to keep the current key, or send '' to clear it
+app.post('/api/settings/ai', (req, res) => {
+  try {
+    const { provider, baseUrl, model, apiKey, fallbackFeatures = [] } = req.body;
+    if (!AI_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ error: `Unknown AI provider. Expected one of: ${AI_PROVIDERS.join(', ')}` });
+    }
+    if (baseUrl && !/^https?:\/\//.test(baseUrl.trim())) {
+      return res.status(400).json({ error: 'The server URL must start with http:// or https://' });
+    }
+    if (provider === 'openai' && !(model && model.trim())) {
+      return res.status(400).json({ error: 'Choose a model for the OpenAI-compatible server' });
     }
-    fs.writeFileSync(envFilePath, updatedLines.join('\n'), 'utf-8');
+    if (!Array.isArray(fallbackFeatures) || fallbackFeatures.some((f) => !AI_JSON_FEATURES.includes(f))) {
+      return res.status(400).json({ error: `Fallback features must be among: ${AI_JSON_FEATURES.join(', ')}` });
+    }
+
+    const values = {
+      AI_PROVIDER: provider,
+      OPENAI_BASE_URL: (baseUrl || '').trim(),
+      OPENAI_MODEL: (model || '').trim(),
+      AI_FALLBACK_FEATURES: fallbackFeatures.join(',')
+    };
+    if (typeof apiKey === 'string') values.OPENAI_API_KEY = apiKey.trim();
 
-    // Update the in-memory client
-    process.env.ANTHROPIC_API_KEY = key.trim();
-    client.apiKey = key.trim();
+    // Build first so a bad setting leaves the current provider and .env alone
+    const next = buildAiProvider({ ...process.env, ...values });
+    updateEnvFile(values);
+    ai = next;
 
-    res.json({ success: true });
+    res.json({ success: true, settings: aiSettings() });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update API key', details: err.message });
+    res.status(500).json({ error: 'Failed to update AI settings', details: err.message });
+  }
+});
+
+// Model, max tokens and temperature per AI feature: the defaults and the saved overrides
+app.get('/api/settings/ai/features', (req, res) => {
+  try {
+    const { features = {} } = storage.getDocument('ai-settings');
+    res.json({ defaults: AI_FEATURE_DEFAULTS, features });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load AI feature settings', details: err.message });
+  }
+});
+
+// Replace the per-feature overrides; blank fields fall back to the defaults
+app.post('/api/settings/ai/features', (req, res) => {
+  try {
+    const features = normalizeFeatureOverrides(req.body.features);
+    storage.saveDocument('ai-settings', { ...storage.getDocument('ai-settings'), features });
+    res.json({ success: true, defaults: AI_FEATURE_DEFAULTS, features });
+  } catch (err) {
+    if (err instanceof AiConfigError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to save AI feature settings', details: err.message });
   }
 });
 
-// Mapping of camelCase export keys to data filenames
+// Mapping of camelCase export keys to storage collection names
 const DATA_KEY_MAP = {
-  profile: 'profile.json',
-  jobs: 'jobs.json',
-  resumes: 'resumes.json',
-  coverLetters: 'cover-letters.json',
-  writingSamples: 'writing-samples.json',
-  contacts: 'contacts.json',
-  mockInterviews: 'mock-interviews.json',
-  customBoards: 'custom-boards.json',
-  documentTemplates: 'document-templates.json'
+  profile: 'profile',
+  jobs: 'jobs',
+  resumes: 'resumes',
+  coverLetters: 'cover-letters',
+  writingSamples: 'writing-samples',
+  contacts: 'contacts',
+  mockInterviews: 'mock-interviews',
+  customBoards: 'custom-boards',
+  documentTemplates: 'document-templates',
+  pipeline: 'pipeline',
+  prompts: 'prompts',
+  tasks: 'tasks',
+  interviewRounds: 'interview-rounds'
 };
 
-app.get('/api/settings/export', (req, res) => {
-  try {
-    // Build data object from all data files
-    const data = {};
-    for (const [key, filename] of Object.entries(DATA_KEY_MAP)) {
-      data[key] = loadData(filename);
-    }
-
-    // Read API key from .env
-    let apiKey = '';
-    const envFilePath = path.join(__dirname, '.env');
-    if (fs.existsSync(envFilePath)) {
-      const envContent = fs.readFileSync(envFilePath, 'utf-8');
-      for (const line of envContent.split('\n')) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('ANTHROPIC_API_KEY=')) {
-          apiKey = trimmed.slice('ANTHROPIC_API_KEY='.length).trim().replace(/^["']|["']$/g, '');
-          break;
-        }
+/**
+ * Build an export download. Options:
+ *   format          'zip' (default) or 'json' (single file, no templates or generated documents)
+ *   includeSecrets  include ANTHROPIC_API_KEY from .env (off unless explicitly true)
+ *   passphrase      encrypt the download into an encrypted bundle
+ * Returns { filename, contentType, content }.
+ */
+function buildExport({ format = 'zip', includeSecrets = false, passphrase = '' }) {
+  // Build data object from every stored collection
+  const snapshot = storage.dump();
+  const data = {};
+  for (const [key, name] of Object.entries(DATA_KEY_MAP)) {
+    data[key] = snapshot[name];
+  }
+
+  // Read API key from .env, only when asked to
+  let apiKey = '';
+  const envFilePath = path.join(__dirname, '.env');
+  if (includeSecrets && fs.existsSync(envFilePath)) {
+    const envContent = fs.readFileSync(envFilePath, 'utf-8');
+    for (const line of envContent.split('\n')) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('ANTHROPIC_API_KEY=')) {
+        apiKey = trimmed.slice('ANTHROPIC_API_KEY='.length).trim().replace(/^["']|["']$/g, '');
+        break;
       }
     }
+  }
 
-    const exportPayload = {
-      exportVersion: 1,
-      exportedAt: new Date().toISOString(),
-      appName: 'New Job Pal',
-      apiKey,
-      data
+  const exportPayload = {
+    exportVersion: 2,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    appName: 'New Job Pal',
+    apiKey,
+    data
+  };
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const exported = format === 'json'
+    ? {
+      filename: `new-job-pal-export-${timestamp}.json`,
+      contentType: 'application/json',
+      content: Buffer.from(JSON.stringify(exportPayload, null, 2), 'utf-8')
+    }
+    : {
+      filename: `new-job-pal-export-${timestamp}.zip`,
+      contentType: 'application/zip',
+      content: buildExportArchive({ payload: exportPayload, snapshot, dataDir: DATA_DIR })
     };
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    res.setHeader('Content-Disposition', `attachment; filename="new-job-pal-export-${timestamp}.json"`);
-    res.setHeader('Content-Type', 'application/json');
-    res.send(JSON.stringify(exportPayload, null, 2));
+  if (!passphrase) return exported;
+  const bundle = encryptBundle(exported.content, passphrase, exported.contentType);
+  return {
+    filename: `new-job-pal-export-${timestamp}.encrypted.json`,
+    contentType: 'application/json',
+    content: Buffer.from(JSON.stringify(bundle, null, 2), 'utf-8')
+  };
+}
+
+function sendExport(res, exported) {
+  res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+  res.setHeader('Content-Type', exported.contentType);
+  res.send(exported.content);
+}
+
+// Plain download link (query options: format, includeSecrets)
+app.get('/api/settings/export', (req, res) => {
+  try {
+    sendExport(res, buildExport({
+      format: req.query.format,
+      includeSecrets: req.query.includeSecrets === 'true'
+    }));
   } catch (err) {
     res.status(500).json({ error: 'Failed to export data', details: err.message });
   }
 });
 
-app.post('/api/settings/import', (req, res) => {
+// Encrypted export, POSTed so the passphrase stays out of URLs and logs
+app.post('/api/settings/export', (req, res) => {
   try {
-    const body = req.body;
+    const { format, includeSecrets, passphrase } = req.body || {};
+    if (!passphrase || String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+      return res.status(400).json({ error: `An encrypted export needs a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters` });
+    }
+    sendExport(res, buildExport({ format, includeSecrets: includeSecrets === true, passphrase }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to export data', details: err.message });
+  }
+});
+
+/**
+ * Turn an uploaded export file into { body, files }. An encrypted bundle is
+ * decrypted first; what remains is either a ZIP archive or a JSON export.
+ */
+function unpackImportFile(buffer, passphrase) {
+  let json = null;
+  if (!isZip(buffer)) {
+    try {
+      json = JSON.parse(buffer.toString('utf-8'));
+    } catch {
+      throw new ExportArchiveError('Not a ZIP archive or JSON export');
+    }
+  }
+  if (isEncryptedBundle(json)) {
+    return unpackImportFile(decryptBundle(json, passphrase).plaintext, null);
+  }
+  if (json) return { body: json, files: new Map() };
+  const { payload, files } = readExportArchive(buffer);
+  return { body: payload, files };
+}
+
+/**
+ * Import an export file. Query options:
+ *   mode=replace (default)  each imported collection replaces the current one
+ *   mode=merge              records are matched and merged (see lib/import-merge.js)
+ *   dryRun=true             merge only: report what would change, write nothing
+ *   strategy=mine|theirs|newest   merge only: default conflict resolution
+ * Per-conflict choices go in `resolutions` ({ "<conflict key>": "mine" | "theirs" | "newest" }),
+ * sent as a JSON form field next to an uploaded file or as a property of a JSON body.
+ * Encrypted exports need their `passphrase`, passed the same way.
+ */
+app.post('/api/settings/import', upload.single('file'), async (req, res) => {
+  try {
+    const mode = req.query.mode || 'replace';
+    const strategy = req.query.strategy || 'mine';
+    const dryRun = req.query.dryRun === 'true';
+    if (!['replace', 'merge'].includes(mode)) {
+      return res.status(400).json({ error: `Unknown import mode "${mode}". Expected replace or merge.` });
+    }
+    if (!RESOLUTIONS.includes(strategy)) {
+      return res.status(400).json({ error: `Unknown merge strategy "${strategy}". Expected one of: ${RESOLUTIONS.join(', ')}` });
+    }
+
+    // A JSON export can arrive as the request body; either format can be an uploaded file
+    let body = req.body;
+    let files = new Map();
+    let resolutions = req.body?.resolutions || {};
+    if (req.file) {
+      try {
+        resolutions = req.body.resolutions ? JSON.parse(req.body.resolutions) : {};
+      } catch {
+        return res.status(400).json({ error: 'Invalid resolutions: must be a JSON object' });
+      }
+      ({ body, files } = unpackImportFile(req.file.buffer, req.body.passphrase));
+    } else if (isEncryptedBundle(body)) {
+      ({ body, files } = unpackImportFile(decryptBundle(body, body.passphrase).plaintext, null));
+    }
     if (!body || typeof body !== 'object') {
       return res.status(400).json({ error: 'Invalid import file: no body' });
     }
+    if (!resolutions || typeof resolutions !== 'object' || Array.isArray(resolutions)) {
+      return res.status(400).json({ error: 'Invalid resolutions: must be a JSON object' });
+    }
     if (!body.data || typeof body.data !== 'object') {
       return res.status(400).json({ error: 'Invalid import file: missing "data" property' });
     }
-    if (body.exportVersion && body.exportVersion > 1) {
-      return res.status(400).json({ error: `Unsupported export version: ${body.exportVersion}. Please update New Job Pal.` });
+    // Version-1 exports predate schema versioning and are migrated from scratch
+    const fromVersion = Number.isInteger(body.schemaVersion) ? body.schemaVersion : 0;
+    if (fromVersion > SCHEMA_VERSION) {
+      return res.status(400).json({ error: `This export was made by a newer version of New Job Pal (schema v${fromVersion}). Please update New Job Pal.` });
     }
 
     // Validate types before writing anything
     for (const [key, value] of Object.entries(body.data)) {
       if (!(key in DATA_KEY_MAP)) continue; // ignore unknown keys
-      if (key === 'profile') {
-        if (typeof value !== 'object' || Array.isArray(value)) {
+      if (storage.documentNames.includes(DATA_KEY_MAP[key])) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
           return res.status(400).json({ error: `Invalid data: "${key}" must be an object` });
         }
       } else {
@@ -286,49 +771,331 @@ app.post('/api/settings/import', (req, res) => {
       }
     }
 
-    // Write each present key
-    for (const [key, filename] of Object.entries(DATA_KEY_MAP)) {
+    // Upgrade the imported collections to the current schema, then write each present key
+    const snapshot = {};
+    for (const [key, name] of Object.entries(DATA_KEY_MAP)) {
       if (key in body.data) {
-        saveData(filename, body.data[key]);
+        snapshot[name] = body.data[key];
       }
     }
+    const { data: migrated } = migrate(snapshot, fromVersion);
+    if (migrated.pipeline?.stages != null) {
+      migrated.pipeline = { ...migrated.pipeline, stages: normalizeStages(migrated.pipeline.stages) };
+    }
+    if (migrated.prompts) {
+      migrated.prompts = { ...migrated.prompts, overrides: normalizeOverrides(migrated.prompts.overrides) };
+    }
 
-    // Update API key if provided
-    if (body.apiKey && typeof body.apiKey === 'string' && body.apiKey.trim()) {
-      const trimmedKey = body.apiKey.trim();
-      const envFilePath = path.join(__dirname, '.env');
-      let envContent = '';
-      if (fs.existsSync(envFilePath)) {
-        envContent = fs.readFileSync(envFilePath, 'utf-8');
-      }
-      const lines = envContent.split('\n');
-      let found = false;
-      const updatedLines = lines.map((line) => {
-        if (line.trim().startsWith('ANTHROPIC_API_KEY=')) {
-          found = true;
-          return `ANTHROPIC_API_KEY=${trimmedKey}`;
-        }
-        return line;
-      });
-      if (!found) {
-        updatedLines.push(`ANTHROPIC_API_KEY=${trimmedKey}`);
+    if (mode === 'merge' && dryRun) {
+      const { report } = mergeSnapshots(storage.dump(), migrated, { strategy, resolutions });
+      return res.json({ dryRun: true, report });
+    }
+
+    const { fileReport, report, stagesAdded, stagesNotAdded } = await storage.withStoreLock(() => {
+      backups.snapshot('before-import');
+      const previousStages = pipelineStages(storage.getDocument('pipeline'));
+      const installed = installArchiveFiles({ snapshot: migrated, files, dataDir: DATA_DIR });
+      let mergeReport = null;
+      if (mode === 'merge') {
+        const merged = mergeSnapshots(storage.dump(), migrated, { strategy, resolutions });
+        storage.restore(merged.data);
+        mergeReport = merged.report;
+      } else {
+        storage.restore(migrated);
       }
-      fs.writeFileSync(envFilePath, updatedLines.join('\n'), 'utf-8');
-      process.env.ANTHROPIC_API_KEY = trimmedKey;
-      client.apiKey = trimmedKey;
+      const stages = addStagesForJobs([...(migrated.pipeline ? pipelineStages(migrated.pipeline) : []), ...previousStages]);
+      const importedStatuses = new Set((migrated.jobs || []).map((job) => job.status));
+      return {
+        fileReport: installed,
+        report: mergeReport,
+        stagesAdded: stages.added,
+        stagesNotAdded: stages.notAdded.filter((id) => importedStatuses.has(id))
+      };
+    });
+
+    // Update API key if provided (a merge keeps an existing key)
+    const keepCurrentKey = mode === 'merge' && process.env.ANTHROPIC_API_KEY;
+    if (!keepCurrentKey && body.apiKey && typeof body.apiKey === 'string' && body.apiKey.trim()) {
+      const trimmedKey = body.apiKey.trim();
+      updateEnvFile({ ANTHROPIC_API_KEY: trimmedKey });
+      ai.setApiKey(trimmedKey);
     }
 
-    res.json({ success: true });
+    res.json({ success: true, files: fileReport, report, stagesAdded, stagesNotAdded });
   } catch (err) {
+    if (err instanceof PipelineError) {
+      return res.status(400).json({ error: `Invalid pipeline in the export: ${err.message}`, code: err.code });
+    }
+    if (err instanceof PromptError) {
+      return res.status(400).json({ error: `Invalid prompt in the export: ${err.message}`, code: err.code });
+    }
+    if (err instanceof ExportArchiveError) {
+      return res.status(400).json({ error: 'Invalid import file', details: err.message });
+    }
+    if (err instanceof DecryptionError) {
+      return res.status(400).json({ error: 'Could not decrypt the export', details: err.message, code: err.code });
+    }
     res.status(500).json({ error: 'Failed to import data', details: err.message });
   }
 });
 
+// ---------------------------------------------------------------------------
+// ROUTES: Backups
+// ---------------------------------------------------------------------------
+
+app.get('/api/backups', (req, res) => {
+  try {
+    res.json({
+      backups: backups.list(),
+      intervalHours: BACKUP_INTERVAL_HOURS,
+      keepLast: BACKUP_KEEP_LAST,
+      keepDays: BACKUP_KEEP_DAYS
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list backups', details: err.message });
+  }
+});
+
+app.post('/api/backups', (req, res) => {
+  try {
+    const manifest = backups.snapshot('manual');
+    res.status(201).json(manifest);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create backup', details: err.message });
+  }
+});
+
+app.get('/api/backups/:id', (req, res) => {
+  try {
+    const preview = backups.preview(req.params.id);
+    if (!preview) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.json(preview);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to read backup', details: err.message });
+  }
+});
+
+app.post('/api/backups/:id/restore', async (req, res) => {
+  try {
+    const backup = backups.read(req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    const fromVersion = backup.manifest.schemaVersion || 0;
+    if (fromVersion > SCHEMA_VERSION) {
+      return res.status(400).json({ error: `This backup was made by a newer version of New Job Pal (schema v${fromVersion}). Please update New Job Pal.` });
+    }
+
+    // Keep the current state restorable too, then bring the snapshot up to date
+    const { data } = migrate(backup.data, fromVersion);
+    const safety = await storage.withStoreLock(() => {
+      const taken = backups.snapshot('before-restore');
+      storage.restore({
+        ...data,
+        meta: { ...storage.getDocument('meta'), schemaVersion: SCHEMA_VERSION }
+      });
+      backups.restoreFiles(backup.dir);
+      return taken;
+    });
+
+    res.json({ success: true, restored: backup.manifest.id, safetyBackup: safety.id });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to restore backup', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: Data Integrity
+// ---------------------------------------------------------------------------
+
+// Reports orphaned records, broken file references and unused files
+app.get('/api/integrity', (req, res) => {
+  try {
+    res.json(integrity.check());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check data integrity', details: err.message });
+  }
+});
+
+app.post('/api/integrity/repair', async (req, res) => {
+  try {
+    const report = await storage.withLock('jobs', () => {
+      const found = integrity.check();
+      if (found.ok) return found;
+      backups.snapshot('before-repair');
+      return integrity.repair();
+    });
+    res.json({ success: true, repaired: report.issues.length, report });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to repair data', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: Trash
+// ---------------------------------------------------------------------------
+
+app.get('/api/trash', (req, res) => {
+  try {
+    res.json({ items: trash.list(), retentionDays: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load trash', details: err.message });
+  }
+});
+
+// Restores an item, along with anything deleted with it
+app.post('/api/trash/:type/:id/restore', async (req, res) => {
+  try {
+    const result = await storage.withLock('jobs', () => trash.restore(req.params.type, req.params.id));
+    if (!result) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof TrashError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to restore item', details: err.message });
+  }
+});
+
+// Permanently deletes an item in the Trash and its files
+app.delete('/api/trash/:type/:id', async (req, res) => {
+  try {
+    const purged = await storage.withStoreLock(() => {
+      if (!trash.purgeable(req.params.type, req.params.id)) return 0;
+      backups.snapshot('before-purge');
+      return trash.purge(req.params.type, req.params.id);
+    });
+    if (!purged) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    res.json({ success: true, purged });
+  } catch (err) {
+    if (err instanceof TrashError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to purge item', details: err.message });
+  }
+});
+
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const purged = await storage.withStoreLock(() => {
+      if (trash.list().length > 0) backups.snapshot('before-purge');
+      return trash.empty();
+    });
+    res.json({ success: true, purged });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to empty trash', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: AI Usage
+// ---------------------------------------------------------------------------
+
+// Token and cost totals by day and by feature, the latest AI calls and the budgets
+app.get('/api/ai-usage', (req, res) => {
+  try {
+    res.json(usage.summary());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load AI usage', details: err.message });
+  }
+});
+
+// Set the daily and monthly spending limits in US dollars; blank means no limit
+app.post('/api/ai-usage/budgets', (req, res) => {
+  try {
+    const budgets = normalizeBudgets(req.body);
+    storage.saveDocument('ai-settings', { ...storage.getDocument('ai-settings'), budgets });
+    res.json({ success: true, budgets, exceeded: usage.exceededBudget() });
+  } catch (err) {
+    if (err instanceof AiBudgetError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to save AI budgets', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: AI Cache
+// ---------------------------------------------------------------------------
+
+// Number of cached AI answers, in total and per feature, and how long they are kept
+app.get('/api/ai-cache', (req, res) => {
+  try {
+    res.json(responseCache.stats());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load the AI cache', details: err.message });
+  }
+});
+
+// Forget cached AI answers; ?feature=match-analysis clears only that feature
+app.delete('/api/ai-cache', (req, res) => {
+  try {
+    res.json({ success: true, removed: responseCache.clear(req.query.feature) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to clear the AI cache', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: Prompts
+// ---------------------------------------------------------------------------
+
+// Every AI system prompt with its variables and whether the user has edited it
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json(prompts.list());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load prompts', details: err.message });
+  }
+});
+
+// One prompt: the shipped text, the text in use and a line diff between them
+app.get('/api/prompts/:name', (req, res) => {
+  try {
+    const prompt = prompts.get(req.params.name);
+    if (!prompt) return res.status(404).json({ error: 'Prompt not found' });
+    res.json(prompt);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load prompt', details: err.message });
+  }
+});
+
+// Replace a prompt with the user's own text; the shipped text clears the edit
+app.put('/api/prompts/:name', (req, res) => {
+  try {
+    const prompt = prompts.save(req.params.name, req.body.text);
+    if (!prompt) return res.status(404).json({ error: 'Prompt not found' });
+    res.json({ success: true, prompt });
+  } catch (err) {
+    if (err instanceof PromptError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to save prompt', details: err.message });
+  }
+});
+
+// Go back to the shipped prompt
+app.delete('/api/prompts/:name', (req, res) => {
+  try {
+    const prompt = prompts.reset(req.params.name);
+    if (!prompt) return res.status(404).json({ error: 'Prompt not found' });
+    res.json({ success: true, prompt });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reset prompt', details: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // ROUTES: Resume Upload & Parse
 // ---------------------------------------------------------------------------
 
-app.post('/api/resume/parse', upload.single('resume'), async (req, res) => {
+app.post('/api/resume/parse', requireAiBudget, upload.single('resume'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -382,78 +1149,29 @@ app.post('/api/resume/parse', upload.single('resume'), async (req, res) => {
       return res.status(400).json({ error: 'File appears to be empty or unreadable. Please use a .txt file or paste your resume content.' });
     }
 
-    const systemPrompt = `You are a strict resume parser. Extract structured data ONLY from the exact text provided below.
-
-CRITICAL RULES:
-- ONLY include information that is EXPLICITLY written in the resume text.
-- NEVER invent, guess, or infer information that is not directly stated.
-- NEVER use your knowledge of real people, companies, or the internet to fill in details.
-- If a field is not present in the text, use an empty string "" or empty array [].
-- Do NOT generate or write a summary if one is not in the resume — use "".
-- Only include skills that are explicitly listed or clearly stated as skills in the text.
-- For dates, only use what is written. If no date is given, use "".
-- For experience descriptions, only use text directly from the resume. Do not rewrite or embellish.
-
-Return ONLY valid JSON with no markdown fencing, no explanation — just the JSON object.
-
-JSON schema:
-{
-  "name": "string - full name, or empty string if not found",
-  "email": "string - email address, or empty string if not found",
-  "phone": "string - phone number, or empty string if not found",
-  "location": "string - location as written, or empty string if not found",
-  "title": "string - most recent job title as written, or empty string",
-  "summary": "string - professional summary ONLY if one is explicitly written in the resume, otherwise empty string",
-  "skills": ["array of skills ONLY if explicitly listed in the resume"],
-  "experience": [
-    {
-      "company": "string - company name as written",
-      "title": "string - job title as written",
-      "startDate": "string - start date as written or in YYYY-MM format, or empty string",
-      "endDate": "string - end date as written or in YYYY-MM format, or empty string if current/present",
-      "current": false,
-      "description": "string - description text directly from the resume",
-      "fields": ["array of industry/field tags based on the role, e.g. tech, marketing, design"]
-    }
-  ],
-  "education": [
-    {
-      "institution": "string - school name as written",
-      "degree": "string - degree as written",
-      "field": "string - field of study as written",
-      "year": "string - graduation year as written"
-    }
-  ],
-  "certifications": ["array of certifications ONLY if explicitly mentioned"],
-  "links": {
-    "linkedin": "string - LinkedIn URL ONLY if written in resume",
-    "portfolio": "string - portfolio URL ONLY if written in resume",
-    "github": "string - GitHub URL ONLY if written in resume"
-  }
-}
-
-For experience entries, set "current" to true ONLY if the resume says "Present", "Current", or similar.`;
+    const systemPrompt = prompts.render('parse-resume');
 
     // Log extracted text for debugging (first 500 chars)
     console.log(`[Resume Parse] File: ${req.file.originalname}, Size: ${req.file.size} bytes, Extracted text length: ${text.length} chars`);
     console.log(`[Resume Parse] First 500 chars: ${text.substring(0, 500)}`);
 
-    const result = await callClaude(systemPrompt, text);
-
     let parsed;
     try {
-      const jsonMatch = result.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, result];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
+      // Multipart form fields arrive as strings
+      parsed = await callAIJson('parse-resume', systemPrompt, text, { cache: true, refresh: req.body.refresh === 'true' });
+    } catch (err) {
+      if (!(err instanceof AiJsonError)) throw err;
       return res.status(500).json({
-        error: 'Failed to parse Claude response as JSON',
-        raw: result
+        error: 'Failed to parse the AI response as JSON',
+        raw: err.raw,
+        issues: err.issues
       });
     }
 
     res.json(parsed);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to parse resume', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Failed to parse resume');
+    res.status(status).json(body);
   }
 });
 
@@ -461,82 +1179,251 @@ For experience entries, set "current" to true ONLY if the resume says "Present",
 // ROUTES: Jobs (CRUD)
 // ---------------------------------------------------------------------------
 
+/**
+ * Throw PipelineError unless `status` is one of the pipeline's stages.
+ */
+function assertPipelineStage(status) {
+  const stages = pipelineStages(storage.getDocument('pipeline'));
+  if (!stages.some((stage) => stage.id === status)) {
+    throw new PipelineError(
+      `Unknown status "${status}". Expected one of: ${stages.map((stage) => stage.id).join(', ')}`,
+      'INVALID_STATUS'
+    );
+  }
+}
+
 app.get('/api/jobs', (req, res) => {
   try {
-    const jobs = loadData('jobs.json');
+    const jobs = listLive('jobs');
     res.json(jobs);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load jobs', details: err.message });
   }
 });
 
-app.post('/api/jobs', (req, res) => {
+// Add a job. One saved straight into a status with a follow-up, such as
+// applied, also answers with the `suggestedTask` it added.
+app.post('/api/jobs', async (req, res) => {
   try {
-    const jobs = loadData('jobs.json');
+    const { statusHistory, suggestedTask, ...fields } = req.body;
+    const now = new Date().toISOString();
+    const status = fields.status || pipelineStages(storage.getDocument('pipeline'))[0].id;
+    assertPipelineStage(status);
     const newJob = {
       id: uuidv4(),
-      ...req.body,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      ...fields,
+      status,
+      statusHistory: initialHistory(status, now),
+      notesUpdatedAt: fields.notes ? now : null,
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now
     };
-    jobs.push(newJob);
-    saveData('jobs.json', jobs);
-    res.status(201).json(newJob);
+    storage.insert('jobs', newJob);
+    const task = await suggestFollowUpTask(newJob);
+    res.status(201).json(task ? { ...newJob, suggestedTask: task } : newJob);
   } catch (err) {
+    if (err instanceof PipelineError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
     res.status(500).json({ error: 'Failed to add job', details: err.message });
   }
 });
 
-app.put('/api/jobs/:id', (req, res) => {
+// Update a job. A new `status` is recorded in its history, with an optional
+// `statusNote` and `statusAt` for a change that happened earlier; a status
+// with a follow-up also answers with the `suggestedTask` it added.
+app.put('/api/jobs/:id', async (req, res) => {
   try {
-    const jobs = loadData('jobs.json');
-    const index = jobs.findIndex((j) => j.id === req.params.id);
-    if (index === -1) {
+    const { deletedAt, statusHistory, notesUpdatedAt, statusNote, statusAt, suggestedTask, ...changes } = req.body;
+    const statusChange = normalizeStatusChange({ note: statusNote, at: statusAt });
+    if (changes.status !== undefined) assertPipelineStage(changes.status);
+    let previousStatus;
+    const job = await storage.withLock('jobs', () => getLive('jobs', req.params.id) && storage.update('jobs', req.params.id, (current) => {
+      previousStatus = current.status;
+      const now = new Date().toISOString();
+      const updated = { ...current, ...changes, status: current.status, updatedAt: now };
+      if (changes.notes !== undefined && changes.notes !== current.notes) updated.notesUpdatedAt = now;
+      return changes.status === undefined ? updated : withStatus(updated, changes.status, statusChange);
+    })); // storage keeps the original id
+    if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
-    jobs[index] = {
-      ...jobs[index],
-      ...req.body,
-      id: jobs[index].id, // prevent id overwrite
-      updatedAt: new Date().toISOString()
-    };
-    saveData('jobs.json', jobs);
-    res.json(jobs[index]);
+    const task = job.status !== previousStatus ? await suggestFollowUpTask(job) : null;
+    res.json(task ? { ...job, suggestedTask: task } : job);
   } catch (err) {
+    if (err instanceof JobHistoryError || err instanceof PipelineError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
     res.status(500).json({ error: 'Failed to update job', details: err.message });
   }
 });
 
-app.delete('/api/jobs/:id', (req, res) => {
+// Moves the job to the Trash; ?cascade=true takes its resumes, cover letters, mock interviews and interview rounds too
+app.delete('/api/jobs/:id', async (req, res) => {
   try {
-    let jobs = loadData('jobs.json');
-    const initialLength = jobs.length;
-    jobs = jobs.filter((j) => j.id !== req.params.id);
-    if (jobs.length === initialLength) {
+    const cascade = req.query.cascade === 'true';
+    const deleted = await storage.withLock('jobs', () => trash.softDelete('job', req.params.id, { cascade }));
+    if (!deleted) {
       return res.status(404).json({ error: 'Job not found' });
     }
-    saveData('jobs.json', jobs);
-    res.json({ success: true });
+    res.json({ success: true, cascaded: deleted.cascaded });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete job', details: err.message });
   }
 });
 
+// ---------------------------------------------------------------------------
+// ROUTES: Jobs — Status History & Timeline
+// ---------------------------------------------------------------------------
+
+// Change the note or date of one status change in a job's history
+app.put('/api/jobs/:id/status-history/:entryId', async (req, res) => {
+  try {
+    const change = normalizeStatusChange(req.body);
+    let found = true;
+    const job = await storage.withLock('jobs', () => getLive('jobs', req.params.id) && storage.update('jobs', req.params.id, (current) => {
+      const updated = withStatusEntry(current, req.params.entryId, change);
+      found = Boolean(updated);
+      return updated || current;
+    }));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!found) {
+      return res.status(404).json({ error: 'Status change not found' });
+    }
+    res.json(job);
+  } catch (err) {
+    if (err instanceof JobHistoryError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to update status change', details: err.message });
+  }
+});
+
+// Everything that happened to a job, oldest first, and how long each status lasted
+app.get('/api/jobs/:id/timeline', (req, res) => {
+  try {
+    const job = getLive('jobs', req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const forJob = (collection) => listLive(collection).filter((record) => record.jobId === job.id);
+    const items = buildTimeline({
+      job,
+      stages: pipelineStages(storage.getDocument('pipeline')),
+      resumes: forJob('resumes'),
+      coverLetters: forJob('cover-letters'),
+      interviews: forJob('mock-interviews'),
+      rounds: forJob('interview-rounds'),
+      contacts: listLive('contacts')
+        .filter((contact) => (contact.jobIds || []).includes(job.id))
+        .map(withLiveNotes)
+    });
+    res.json({ jobId: job.id, stages: stagesOf(job), items });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load job timeline', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: Jobs — Pipeline Stages
+// ---------------------------------------------------------------------------
+
+function pipelineResponse() {
+  const stages = pipelineStages(storage.getDocument('pipeline'));
+  const counts = Object.fromEntries(stages.map((stage) => [stage.id, 0]));
+  for (const job of listLive('jobs')) {
+    if (job.status in counts) counts[job.status] += 1;
+  }
+  return { stages, counts, defaults: DEFAULT_STAGES, colors: STAGE_COLORS };
+}
+
+/**
+ * Save `stages` as the pipeline (null for the defaults), unless jobs are
+ * still in a stage it leaves out. Jobs in the Trash don't count; restoring
+ * one puts it back in whatever stage it had.
+ */
+function savePipeline(stages) {
+  const inUse = stagesInUse(listLive('jobs'), stages || DEFAULT_STAGES);
+  const names = Object.entries(inUse).map(([id, count]) => `${id} (${count} job${count === 1 ? '' : 's'})`);
+  if (names.length > 0) {
+    throw new PipelineError(`Move these jobs to another stage first: ${names.join(', ')}`, 'STAGE_IN_USE');
+  }
+  storage.saveDocument('pipeline', { ...storage.getDocument('pipeline'), stages });
+}
+
+/**
+ * Add a stage for every status live jobs are in that the pipeline lacks,
+ * such as jobs imported from an export with other stages. Stages found in
+ * `known` keep their name and colour. Returns the ids of the stages `added`
+ * and the statuses `notAdded` because the pipeline is full or the status is
+ * not a valid stage id; jobs in those show up as not in the pipeline.
+ */
+function addStagesForJobs(known = []) {
+  const doc = storage.getDocument('pipeline');
+  const stages = pipelineStages(doc);
+  const jobs = listLive('jobs');
+  const next = withMissingStages(stages, stagesInUse(jobs, stages), known);
+  if (next !== stages) storage.saveDocument('pipeline', { ...doc, stages: next });
+  return {
+    added: next.slice(stages.length).map((stage) => stage.id),
+    notAdded: Object.keys(stagesInUse(jobs, next))
+  };
+}
+
+// The pipeline stages in board order, how many jobs are in each, and the defaults
+app.get('/api/pipeline', (req, res) => {
+  try {
+    res.json(pipelineResponse());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load pipeline stages', details: err.message });
+  }
+});
+
+// Replace the pipeline stages; a stage jobs are still in cannot be left out
+app.put('/api/pipeline', async (req, res) => {
+  try {
+    const stages = normalizeStages(req.body.stages);
+    await storage.withLock('jobs', () => savePipeline(stages));
+    res.json(pipelineResponse());
+  } catch (err) {
+    if (err instanceof PipelineError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to save pipeline stages', details: err.message });
+  }
+});
+
+// Go back to the default stages
+app.delete('/api/pipeline', async (req, res) => {
+  try {
+    await storage.withLock('jobs', () => savePipeline(null));
+    res.json(pipelineResponse());
+  } catch (err) {
+    if (err instanceof PipelineError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to reset pipeline stages', details: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // ROUTES: Jobs — Star/Favorite Toggle
 // ---------------------------------------------------------------------------
 
-app.put('/api/jobs/:id/star', (req, res) => {
+app.put('/api/jobs/:id/star', async (req, res) => {
   try {
-    const jobs = loadData('jobs.json');
-    const index = jobs.findIndex((j) => j.id === req.params.id);
-    if (index === -1) {
+    const job = await storage.withLock('jobs', () => getLive('jobs', req.params.id) && storage.update('jobs', req.params.id, (current) => ({
+      ...current,
+      starred: !current.starred,
+      updatedAt: new Date().toISOString()
+    })));
+    if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
-    jobs[index].starred = !jobs[index].starred;
-    jobs[index].updatedAt = new Date().toISOString();
-    saveData('jobs.json', jobs);
-    res.json(jobs[index]);
+    res.json(job);
   } catch (err) {
     res.status(500).json({ error: 'Failed to toggle star', details: err.message });
   }
@@ -546,9 +1433,9 @@ app.put('/api/jobs/:id/star', (req, res) => {
 // ROUTES: AI — Extract Job from URL
 // ---------------------------------------------------------------------------
 
-app.post('/api/jobs/extract-url', async (req, res) => {
+app.post('/api/jobs/extract-url', requireAiBudget, async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, refresh } = req.body;
     if (!url || !url.trim()) {
       return res.status(400).json({ error: 'No URL provided' });
     }
@@ -602,43 +1489,20 @@ app.post('/api/jobs/extract-url', async (req, res) => {
       return res.status(400).json({ error: 'Could not extract meaningful content from the URL. The page may require login or use JavaScript rendering. Try using Manual Add instead.' });
     }
 
-    const systemPrompt = `You are a job listing parser. Extract structured data from the raw text of a job posting webpage.
-
-Return ONLY valid JSON with no markdown fencing, no explanation — just the JSON object.
-
-The JSON schema:
-{
-  "title": "string - job title",
-  "company": "string - company name",
-  "location": "string - location or Remote",
-  "type": "string - Full-time, Part-time, Contract, etc.",
-  "salaryMin": null or number - minimum pay (hourly rate or annual salary, just the number),
-  "salaryMax": null or number - maximum pay (hourly rate or annual salary, just the number),
-  "salaryType": "string - 'hourly' or 'annual' or empty string if unknown",
-  "description": "string - the full job description text (preserve detail, include responsibilities)",
-  "requirements": ["array of key requirements/qualifications"],
-  "niceToHave": ["array of preferred/nice-to-have qualifications"],
-  "field": "string - industry or field (e.g. Technology, Healthcare, Finance)",
-  "applicationUrl": "string - application URL if found, otherwise empty string"
-}
-
-IMPORTANT:
-- For salary fields, extract numeric values only (no $ signs or formatting). If the posting says "$50-75/hr", set salaryMin: 50, salaryMax: 75, salaryType: "hourly".
-- If the posting says "$80,000 - $120,000", set salaryMin: 80000, salaryMax: 120000, salaryType: "annual".
-- If no salary is mentioned, set salaryMin: null, salaryMax: null, salaryType: "".
-- For the description, include the full job description — responsibilities, about the role, etc. Not just a summary.
-- If a field cannot be determined from the text, use a reasonable empty default.`;
-
-    const result = await callClaude(systemPrompt, `Source URL: ${url}\n\nPage content:\n${pageText}`);
+    const systemPrompt = prompts.render('extract-job');
 
     let parsed;
     try {
-      const jsonMatch = result.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, result];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
+      parsed = await callAIJson('extract-job', systemPrompt, `Source URL: ${url}\n\nPage content:\n${pageText}`, {
+        cache: true,
+        refresh: refresh === true
+      });
+    } catch (err) {
+      if (!(err instanceof AiJsonError)) throw err;
       return res.status(500).json({
         error: 'Failed to parse the job listing. Try using Manual Add instead.',
-        raw: result
+        raw: err.raw,
+        issues: err.issues
       });
     }
 
@@ -647,7 +1511,8 @@ IMPORTANT:
 
     res.json(parsed);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to extract job from URL', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Failed to extract job from URL');
+    res.status(status).json(body);
   }
 });
 
@@ -655,66 +1520,55 @@ IMPORTANT:
 // ROUTES: AI — Match Analysis
 // ---------------------------------------------------------------------------
 
-app.post('/api/jobs/:id/match', async (req, res) => {
+// Match analysis; a repeat on an unchanged job and profile comes from the cache unless the body has refresh: true
+app.post('/api/jobs/:id/match', requireAiBudget, async (req, res) => {
   try {
-    const jobs = loadData('jobs.json');
-    const job = jobs.find((j) => j.id === req.params.id);
+    const job = getLive('jobs', req.params.id);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    const profile = loadData('profile.json');
+    const profile = storage.getDocument('profile');
 
-    const systemPrompt = `You are a career matching analyst. Compare a candidate's profile against a job listing and produce a detailed match analysis.
-Return ONLY valid JSON with no markdown fencing.
-
-JSON schema:
-{
-  "matchScore": number (0-100),
-  "matchingSkills": ["skills the candidate has that match the job"],
-  "missingSkills": ["skills the job requires that the candidate lacks"],
-  "transferableSkills": ["skills the candidate has that could transfer to fill gaps"],
-  "relevantExperience": [
-    {
-      "role": "string",
-      "company": "string",
-      "relevance": "string - brief explanation of why this experience is relevant"
-    }
-  ],
-  "recommendations": ["actionable suggestions for improving candidacy"],
-  "summary": "string - 2-3 sentence overall assessment"
-}`;
+    const systemPrompt = prompts.render('match-analysis');
 
     const userMessage = `## Candidate Profile
 ${JSON.stringify(profile, null, 2)}
 
 ## Job Listing
-${JSON.stringify(job, null, 2)}`;
-
-    const result = await callClaude(systemPrompt, userMessage);
+${JSON.stringify(jobForPrompt(job), null, 2)}`;
 
     let parsed;
+    let cachedAt;
     try {
-      const jsonMatch = result.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, result];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
+      const response = await ai.completeJson({
+        feature: 'match-analysis',
+        jobId: job.id,
+        system: systemPrompt,
+        messages: [{ role: 'user', content: userMessage }]
+      }, { cache: true, refresh: req.body.refresh === true });
+      parsed = response.data;
+      cachedAt = response.cachedAt;
+    } catch (err) {
+      if (!(err instanceof AiJsonError)) throw err;
       return res.status(500).json({
         error: 'Failed to parse match analysis',
-        raw: result
+        raw: err.raw,
+        issues: err.issues
       });
     }
 
-    // Persist matchScore to the job record
-    const score = parsed.matchScore ?? parsed.score ?? null;
-    if (score != null) {
-      job.matchScore = score;
-      job.updatedAt = new Date().toISOString();
-      saveData('jobs.json', jobs);
-    }
+    // Persist matchScore to the job record — re-read under the lock so edits
+    // made while the analysis was running are kept
+    await storage.withLock('jobs', () => storage.update('jobs', job.id, {
+      matchScore: parsed.matchScore,
+      updatedAt: new Date().toISOString()
+    }));
 
-    res.json(parsed);
+    res.json({ ...parsed, cachedAt });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to generate match analysis', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Failed to generate match analysis');
+    res.status(status).json(body);
   }
 });
 
@@ -722,63 +1576,17 @@ ${JSON.stringify(job, null, 2)}`;
 // ROUTES: AI — Tailor Resume
 // ---------------------------------------------------------------------------
 
-app.post('/api/resume/tailor', async (req, res) => {
-  try {
-    const { jobId } = req.body;
-    if (!jobId) {
-      return res.status(400).json({ error: 'jobId is required' });
-    }
+/**
+ * Tailor the profile to a job, fill in the resume template and save the
+ * result as the job's resume. Returns the saved resume.
+ */
+async function tailorResume(job, { onText, signal, progress = () => {} } = {}) {
+  const profile = storage.getDocument('profile');
+  const writingSamples = listLive('writing-samples');
 
-    const jobs = loadData('jobs.json');
-    const job = jobs.find((j) => j.id === jobId);
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+  const systemPrompt = prompts.render('tailor-resume');
 
-    const profile = loadData('profile.json');
-    const writingSamples = loadData('writing-samples.json');
-
-    const systemPrompt = `You are an expert resume writer and ATS optimization specialist.
-Given a candidate's profile, a target job listing, and writing samples for voice reference, create a tailored resume.
-
-Your goals:
-1. Select ONLY the most relevant work experience for this specific job and field (2-4 roles max).
-2. Reword descriptions to naturally incorporate keywords from the job listing.
-3. Optimize formatting and language for ATS (Applicant Tracking System) scanning.
-4. Maintain authenticity to the candidate's real voice — use the writing samples as a style guide.
-5. Keep it concise: aim for a strong 1-2 page resume.
-6. For skills, select ONLY skills the candidate actually has that directly match the job description.
-
-Return ONLY valid JSON with no markdown fencing:
-{
-  "resume": "string - the full formatted resume text (use newlines for formatting)",
-  "summary": "string - 2-3 sentence tailored professional summary matching the job description",
-  "skills": {
-    "management": ["array of up to 6 management/leadership skills matching the JD"],
-    "design": ["array of up to 6 design/creative skills matching the JD"],
-    "tools": ["array of up to 6 tools/software skills matching the JD"]
-  },
-  "experiences": [
-    {
-      "title": "Job Title exactly as it should appear",
-      "company": "Company Name",
-      "location": "City, State",
-      "dates": "Start Year – End Year or Present",
-      "bullets": ["array of 2-4 achievement bullets tailored to the JD, starting with action verbs"]
-    }
-  ],
-  "changes": ["array of strings describing each tailoring change you made"],
-  "highlights": ["key strengths emphasized for this particular role"],
-  "atsKeywords": ["keywords from the job listing that were incorporated"]
-}
-
-IMPORTANT for the structured fields:
-- Include 2-4 experiences maximum, ordered by relevance to the job.
-- Each experience should have 2-4 bullet points.
-- For skills, categorize into management, design/creative, and tools. Use up to 6 per category.
-- The "resume" field should still contain the full formatted text version.`;
-
-    const userMessage = `## Candidate Profile
+  const userMessage = `## Candidate Profile
 ${JSON.stringify(profile, null, 2)}
 
 ## Target Job
@@ -787,130 +1595,116 @@ ${JSON.stringify(job, null, 2)}
 ## Writing Samples (for voice/tone reference)
 ${writingSamples.length > 0 ? writingSamples.map((s) => `### ${s.title} (${s.type})\n${s.content}`).join('\n\n') : 'No writing samples provided.'}`;
 
-    const result = await callClaude(systemPrompt, userMessage);
-
-    let parsed;
-    try {
-      const jsonMatch = result.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, result];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
-      return res.status(500).json({
-        error: 'Failed to parse tailored resume',
-        raw: result
-      });
-    }
-
-    // Save the tailored resume
-    const resumes = loadData('resumes.json');
-    const existing = resumes.findIndex((r) => r.jobId === jobId);
-    const resumeEntry = {
-      id: existing >= 0 ? resumes[existing].id : uuidv4(),
-      jobId,
-      jobTitle: job.title || '',
-      company: job.company || '',
-      ...parsed,
-      createdAt: existing >= 0 ? resumes[existing].createdAt : new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    // Try to generate .docx from template — pass structured data for rich templates
-    const templateData = {
-      // Header fields
-      name: profile.name || '',
-      email: profile.email || '',
-      phone: profile.phone || '',
-      location: profile.location || '',
-      title: profile.title || '',
-      website: profile.links?.portfolio || profile.links?.linkedin || '',
-      company: job.company || '',
-      job_title: job.title || '',
-      date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
-      resume_content: parsed.resume || '',
-      // Structured summary
-      summary: parsed.summary || '',
-    };
+  progress('Writing the resume');
+  const parsed = await callAIJson('tailor-resume', systemPrompt, userMessage, { onText, signal, jobId: job.id });
+  progress('Saving the resume');
+
+  // Save the tailored resume
+  const existing = storage.list('resumes').find((r) => r.jobId === job.id);
+  const resumeEntry = {
+    id: existing ? existing.id : uuidv4(),
+    jobId: job.id,
+    jobTitle: job.title || '',
+    company: job.company || '',
+    ...parsed,
+    deletedAt: null,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
 
-    // Map skills arrays to numbered fields (mgmt_1 through mgmt_6, etc.)
-    const skillCategories = { management: 'mgmt', design: 'design', tools: 'tools' };
-    for (const [category, prefix] of Object.entries(skillCategories)) {
-      const skills = parsed.skills?.[category] || [];
-      for (let i = 1; i <= 6; i++) {
-        templateData[`${prefix}_${i}`] = skills[i - 1] || '';
-      }
-    }
+  // Try to generate .docx from template — pass structured data for rich templates
+  const templateData = {
+    // Header fields
+    name: profile.name || '',
+    email: profile.email || '',
+    phone: profile.phone || '',
+    location: profile.location || '',
+    title: profile.title || '',
+    website: profile.links?.portfolio || profile.links?.linkedin || '',
+    company: job.company || '',
+    job_title: job.title || '',
+    date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+    resume_content: parsed.resume || '',
+    // Structured summary
+    summary: parsed.summary || '',
+  };
 
-    // Map experiences to numbered fields (exp1_title, exp1_bullet1, etc.)
-    const experiences = parsed.experiences || [];
-    const bulletCounts = [4, 3, 3, 2]; // max bullets per experience slot
-    for (let e = 1; e <= 4; e++) {
-      const exp = experiences[e - 1] || {};
-      templateData[`exp${e}_title`] = exp.title || '';
-      templateData[`exp${e}_company`] = exp.company || '';
-      templateData[`exp${e}_location`] = exp.location || '';
-      templateData[`exp${e}_dates`] = exp.dates || '';
-      const bullets = exp.bullets || [];
-      for (let b = 1; b <= bulletCounts[e - 1]; b++) {
-        templateData[`exp${e}_bullet${b}`] = bullets[b - 1] || '';
-      }
+  // Map skills arrays to numbered fields (mgmt_1 through mgmt_6, etc.)
+  const skillCategories = { management: 'mgmt', design: 'design', tools: 'tools' };
+  for (const [category, prefix] of Object.entries(skillCategories)) {
+    const skills = parsed.skills?.[category] || [];
+    for (let i = 1; i <= 6; i++) {
+      templateData[`${prefix}_${i}`] = skills[i - 1] || '';
     }
+  }
 
-    const docxFilename = generateDocx('resume', templateData);
-    if (docxFilename) {
-      resumeEntry.docxPath = docxFilename;
+  // Map experiences to numbered fields (exp1_title, exp1_bullet1, etc.)
+  const experiences = parsed.experiences || [];
+  const bulletCounts = [4, 3, 3, 2]; // max bullets per experience slot
+  for (let e = 1; e <= 4; e++) {
+    const exp = experiences[e - 1] || {};
+    templateData[`exp${e}_title`] = exp.title || '';
+    templateData[`exp${e}_company`] = exp.company || '';
+    templateData[`exp${e}_location`] = exp.location || '';
+    templateData[`exp${e}_dates`] = exp.dates || '';
+    const bullets = exp.bullets || [];
+    for (let b = 1; b <= bulletCounts[e - 1]; b++) {
+      templateData[`exp${e}_bullet${b}`] = bullets[b - 1] || '';
     }
+  }
 
-    if (existing >= 0) {
-      resumes[existing] = resumeEntry;
-    } else {
-      resumes.push(resumeEntry);
-    }
-    saveData('resumes.json', resumes);
+  const docxFilename = generateDocx('resume', templateData);
+  if (docxFilename) {
+    resumeEntry.docxPath = docxFilename;
+  }
 
-    res.json(resumeEntry);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to tailor resume', details: err.message });
+  if (existing) {
+    storage.update('resumes', existing.id, () => resumeEntry);
+    // The regenerated document supersedes the previous one
+    if (existing.docxPath !== resumeEntry.docxPath) removeGeneratedFile(existing.docxPath);
+  } else {
+    storage.insert('resumes', resumeEntry);
   }
-});
 
-// ---------------------------------------------------------------------------
-// ROUTES: AI — Generate Cover Letter
-// ---------------------------------------------------------------------------
+  return resumeEntry;
+}
 
-app.post('/api/cover-letter/generate', async (req, res) => {
+// Tailor the resume to a job; send Accept: text/event-stream to stream it (see lib/ai-stream.js)
+app.post('/api/resume/tailor', requireAiBudget, async (req, res) => {
+  const stream = openAiStream(req, res);
   try {
     const { jobId } = req.body;
     if (!jobId) {
       return res.status(400).json({ error: 'jobId is required' });
     }
 
-    const jobs = loadData('jobs.json');
-    const job = jobs.find((j) => j.id === jobId);
+    const job = getLive('jobs', jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    const profile = loadData('profile.json');
-    const writingSamples = loadData('writing-samples.json');
+    stream.send(await tailorResume(job, stream));
+  } catch (err) {
+    const { status, body } = aiErrorResponse(err, 'Failed to tailor resume', 'Failed to parse tailored resume');
+    stream.send(body, status);
+  }
+});
 
-    const systemPrompt = `You are an expert cover letter writer.
-Given a candidate's profile, a target job, and their writing samples, write a compelling cover letter.
+// ---------------------------------------------------------------------------
+// ROUTES: AI — Generate Cover Letter
+// ---------------------------------------------------------------------------
 
-Guidelines:
-1. Analyze the writing samples to capture the candidate's authentic voice and tone.
-2. Highlight the most relevant experience and skills for THIS specific job.
-3. Be professional but genuine — avoid generic corporate-speak.
-4. Show specific knowledge of the company and role.
-5. Keep it concise — 3-4 strong paragraphs.
-6. Include a compelling opening that isn't "I am writing to apply for..."
+/**
+ * Write a cover letter for a job, fill in the cover letter template and
+ * save it as the job's cover letter. Returns the saved cover letter.
+ */
+async function writeCoverLetter(job, { onText, signal, progress = () => {} } = {}) {
+  const profile = storage.getDocument('profile');
+  const writingSamples = listLive('writing-samples');
 
-Return ONLY valid JSON with no markdown fencing:
-{
-  "coverLetter": "string - the full cover letter text",
-  "toneNotes": "string - brief description of the voice/tone used and how it matches the candidate's style",
-  "keyPoints": ["main selling points highlighted in the letter"]
-}`;
+  const systemPrompt = prompts.render('cover-letter');
 
-    const userMessage = `## Candidate Profile
+  const userMessage = `## Candidate Profile
 ${JSON.stringify(profile, null, 2)}
 
 ## Target Job
@@ -919,58 +1713,68 @@ ${JSON.stringify(job, null, 2)}
 ## Writing Samples (for voice/tone reference)
 ${writingSamples.length > 0 ? writingSamples.map((s) => `### ${s.title} (${s.type})\n${s.content}`).join('\n\n') : 'No writing samples provided — use a warm, professional, and authentic tone.'}`;
 
-    const result = await callClaude(systemPrompt, userMessage);
+  progress('Writing the cover letter');
+  const parsed = await callAIJson('cover-letter', systemPrompt, userMessage, { onText, signal, jobId: job.id });
+  progress('Saving the cover letter');
+
+  // Save the cover letter
+  const existing = storage.list('cover-letters').find((cl) => cl.jobId === job.id);
+  const clEntry = {
+    id: existing ? existing.id : uuidv4(),
+    jobId: job.id,
+    jobTitle: job.title || '',
+    company: job.company || '',
+    ...parsed,
+    deletedAt: null,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
 
-    let parsed;
-    try {
-      const jsonMatch = result.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, result];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
-      return res.status(500).json({
-        error: 'Failed to parse cover letter',
-        raw: result
-      });
-    }
+  // Try to generate .docx from template
+  const docxFilename = generateDocx('cover-letter', {
+    name: profile.name || '',
+    email: profile.email || '',
+    phone: profile.phone || '',
+    location: profile.location || '',
+    title: profile.title || '',
+    company: job.company || '',
+    job_title: job.title || '',
+    date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+    cover_letter_content: parsed.coverLetter || '',
+  });
+  if (docxFilename) {
+    clEntry.docxPath = docxFilename;
+  }
 
-    // Save the cover letter
-    const coverLetters = loadData('cover-letters.json');
-    const existing = coverLetters.findIndex((cl) => cl.jobId === jobId);
-    const clEntry = {
-      id: existing >= 0 ? coverLetters[existing].id : uuidv4(),
-      jobId,
-      jobTitle: job.title || '',
-      company: job.company || '',
-      ...parsed,
-      createdAt: existing >= 0 ? coverLetters[existing].createdAt : new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+  if (existing) {
+    storage.update('cover-letters', existing.id, () => clEntry);
+    // The regenerated document supersedes the previous one
+    if (existing.docxPath !== clEntry.docxPath) removeGeneratedFile(existing.docxPath);
+  } else {
+    storage.insert('cover-letters', clEntry);
+  }
 
-    // Try to generate .docx from template
-    const docxFilename = generateDocx('cover-letter', {
-      name: profile.name || '',
-      email: profile.email || '',
-      phone: profile.phone || '',
-      location: profile.location || '',
-      title: profile.title || '',
-      company: job.company || '',
-      job_title: job.title || '',
-      date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
-      cover_letter_content: parsed.coverLetter || '',
-    });
-    if (docxFilename) {
-      clEntry.docxPath = docxFilename;
+  return clEntry;
+}
+
+// Write a cover letter for a job; send Accept: text/event-stream to stream it
+app.post('/api/cover-letter/generate', requireAiBudget, async (req, res) => {
+  const stream = openAiStream(req, res);
+  try {
+    const { jobId } = req.body;
+    if (!jobId) {
+      return res.status(400).json({ error: 'jobId is required' });
     }
 
-    if (existing >= 0) {
-      coverLetters[existing] = clEntry;
-    } else {
-      coverLetters.push(clEntry);
+    const job = getLive('jobs', jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
-    saveData('cover-letters.json', coverLetters);
 
-    res.json(clEntry);
+    stream.send(await writeCoverLetter(job, stream));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to generate cover letter', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Failed to generate cover letter', 'Failed to parse cover letter');
+    stream.send(body, status);
   }
 });
 
@@ -978,41 +1782,30 @@ ${writingSamples.length > 0 ? writingSamples.map((s) => `### ${s.title} (${s.typ
 // ROUTES: AI — Chat (Career Coach)
 // ---------------------------------------------------------------------------
 
-app.post('/api/chat', async (req, res) => {
+// Career coach reply; send Accept: text/event-stream to stream it
+app.post('/api/chat', requireAiBudget, async (req, res) => {
+  const stream = openAiStream(req, res);
   try {
     const { message, context } = req.body;
     if (!message || !message.trim()) {
       return res.status(400).json({ error: 'No message provided' });
     }
 
-    const profile = loadData('profile.json');
-    const jobs = loadData('jobs.json');
-
-    const systemPrompt = `You are New Job Pal, a warm, supportive, and practical AI career coach. Think of yourself as that one friend who happens to be amazing at career advice — encouraging but honest, knowledgeable but approachable.
-
-Your personality:
-- Warm and supportive — celebrate wins, empathize with frustrations
-- Practical and actionable — give specific, concrete advice
-- Honest but kind — if something needs improvement, say so gently with a clear path forward
-- Knowledgeable — you understand hiring, ATS systems, networking, interviewing, salary negotiation
-- Encouraging — job searching is hard, remind the user they're doing great
-
-You have access to the user's profile and saved jobs for context.
-
-## User Profile
-${JSON.stringify(profile, null, 2)}
-
-## Saved Jobs (${jobs.length} total)
-${jobs.length > 0 ? jobs.slice(0, 10).map((j) => `- ${j.title || 'Untitled'} at ${j.company || 'Unknown'}`).join('\n') : 'No jobs saved yet.'}
+    const profile = storage.getDocument('profile');
+    const jobs = listLive('jobs');
 
-${context ? `## Current Context\n${JSON.stringify(context, null, 2)}` : ''}
-
-Keep responses conversational and helpful. Use formatting (markdown) when listing things out, but keep the tone friendly. If you don't know something, say so honestly and suggest where they might find the answer.`;
+    const systemPrompt = prompts.render('chat', {
+      profile: JSON.stringify(profile, null, 2),
+      jobCount: jobs.length,
+      savedJobs: jobs.length > 0 ? jobs.slice(0, 10).map((j) => `- ${j.title || 'Untitled'} at ${j.company || 'Unknown'}`).join('\n') : 'No jobs saved yet.',
+      context: context ? `## Current Context\n${JSON.stringify(context, null, 2)}` : ''
+    });
 
-    const result = await callClaude(systemPrompt, message);
-    res.json({ reply: result });
+    const result = await callAI('chat', systemPrompt, message, stream);
+    stream.send({ reply: result });
   } catch (err) {
-    res.status(500).json({ error: 'Chat failed', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Chat failed');
+    stream.send(body, status);
   }
 });
 
@@ -1021,7 +1814,7 @@ Keep responses conversational and helpful. Use formatting (markdown) when listin
 // ---------------------------------------------------------------------------
 
 app.get('/api/custom-boards', (req, res) => {
-  const boards = loadData('custom-boards.json');
+  const boards = storage.list('custom-boards');
   res.json(boards);
 });
 
@@ -1030,7 +1823,6 @@ app.post('/api/custom-boards', (req, res) => {
   if (!name || !url) {
     return res.status(400).json({ error: 'Name and URL are required' });
   }
-  const boards = loadData('custom-boards.json');
   const board = {
     id: uuidv4(),
     name: name.trim(),
@@ -1038,19 +1830,14 @@ app.post('/api/custom-boards', (req, res) => {
     description: (description || '').trim(),
     createdAt: new Date().toISOString()
   };
-  boards.push(board);
-  saveData('custom-boards.json', boards);
+  storage.insert('custom-boards', board);
   res.status(201).json(board);
 });
 
 app.delete('/api/custom-boards/:id', (req, res) => {
-  let boards = loadData('custom-boards.json');
-  const initialLength = boards.length;
-  boards = boards.filter((b) => b.id !== req.params.id);
-  if (boards.length === initialLength) {
+  if (!storage.remove('custom-boards', req.params.id)) {
     return res.status(404).json({ error: 'Board not found' });
   }
-  saveData('custom-boards.json', boards);
   res.json({ success: true });
 });
 
@@ -1058,70 +1845,183 @@ app.delete('/api/custom-boards/:id', (req, res) => {
 // ROUTES: AI — Headhunter Search
 // ---------------------------------------------------------------------------
 
-app.post('/api/headhunter/search', async (req, res) => {
-  try {
-    const { query } = req.body;
-    const profile = loadData('profile.json');
-    const jobs = loadData('jobs.json');
-
-    const systemPrompt = `You are a professional headhunter and job search strategist.
-Given a candidate's profile (and optionally their saved jobs and a search query), generate a comprehensive job search strategy.
-
-Return ONLY valid JSON with no markdown fencing:
-{
-  "searchQueries": [
-    {
-      "platform": "string - e.g. LinkedIn, Indeed, Glassdoor, Google",
-      "query": "string - the exact search query to use",
-      "url": "string - direct search URL with the query pre-filled"
-    }
-  ],
-  "suggestedCompanies": [
-    {
-      "name": "string",
-      "reason": "string - why this company is a good fit",
-      "careerPageUrl": "string - URL to their careers page if known, otherwise empty"
-    }
-  ],
-  "recommendedTitles": ["array of job titles to search for based on the candidate's background"],
-  "industryBoards": [
-    {
-      "name": "string - name of the niche/industry job board",
-      "url": "string - URL",
-      "description": "string - what makes this board relevant"
-    }
-  ],
-  "searchTips": ["array of actionable tips for this specific search"],
-  "summary": "string - brief strategic overview of the recommended approach"
+/**
+ * Suggest job titles, search queries and target companies for `query`, or
+ * for the profile in general when it is empty.
+ */
+async function searchJobLeads(query, { onText, signal, progress = () => {} } = {}) {
+  const profile = storage.getDocument('profile');
+  const jobs = listLive('jobs');
+
+  const systemPrompt = prompts.render('headhunter');
+
+  const userMessage = `## Candidate Profile
+${JSON.stringify(profile, null, 2)}
+
+## Previously Saved Jobs (for reference on interests)
+${jobs.length > 0 ? jobs.slice(0, 10).map((j) => `- ${j.title || 'Untitled'} at ${j.company || 'Unknown'} (${j.field || 'Unknown field'})`).join('\n') : 'No saved jobs yet.'}
+
+## Search Request
+${query ? `The user is specifically looking for: "${query}"` : 'Generate a general search strategy based on the candidate\'s profile and interests.'}`;
+
+  progress('Building the search strategy');
+  return callAIJson('headhunter', systemPrompt, userMessage, { onText, signal });
+}
+
+// Job search strategy; send Accept: text/event-stream to stream it
+app.post('/api/headhunter/search', requireAiBudget, async (req, res) => {
+  const stream = openAiStream(req, res);
+  try {
+    stream.send(await searchJobLeads(req.body.query, stream));
+  } catch (err) {
+    const { status, body } = aiErrorResponse(err, 'Headhunter search failed', 'Failed to parse headhunter results');
+    stream.send(body, status);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: AI Tasks
+// ---------------------------------------------------------------------------
+
+// How many background AI tasks run at once (see lib/task-queue.js)
+const AI_TASK_CONCURRENCY = Math.max(1, Number(process.env.AI_TASK_CONCURRENCY ?? 2));
+
+function jobLabel(job) {
+  return [job.title, job.company].filter(Boolean).join(' at ') || 'Untitled job';
+}
+
+// The job a task works on; it may have been deleted while the task waited
+function taskJob(jobId) {
+  if (!jobId) throw new TaskError('jobId is required', 'MISSING_JOB_ID');
+  const job = getLive('jobs', jobId);
+  if (!job) throw new TaskError('Job not found', 'JOB_NOT_FOUND', 404);
+  return job;
+}
+
+// A task may wait in the queue until after the budget is used up
+function assertAiBudget() {
+  const body = aiBudgetError();
+  if (body) throw new TaskError(body.error, body.code, 429);
 }
 
-Make all URLs real and functional when possible. For search URLs, properly encode the query parameters.`;
+// The AI operations that can run in the background, with the messages
+// their routes use for failures
+const AI_TASK_TYPES = {
+  'tailor-resume': {
+    error: 'Failed to tailor resume',
+    parseError: 'Failed to parse tailored resume',
+    prepare: ({ jobId }) => ({ label: `Resume for ${jobLabel(taskJob(jobId))}`, jobId }),
+    run: ({ jobId }, hooks) => {
+      assertAiBudget();
+      return tailorResume(taskJob(jobId), hooks);
+    }
+  },
+  'cover-letter': {
+    error: 'Failed to generate cover letter',
+    parseError: 'Failed to parse cover letter',
+    prepare: ({ jobId }) => ({ label: `Cover letter for ${jobLabel(taskJob(jobId))}`, jobId }),
+    run: ({ jobId }, hooks) => {
+      assertAiBudget();
+      return writeCoverLetter(taskJob(jobId), hooks);
+    }
+  },
+  headhunter: {
+    error: 'Headhunter search failed',
+    parseError: 'Failed to parse headhunter results',
+    prepare: ({ query }) => ({ label: query ? `Job Scout: ${String(query).slice(0, 60)}` : 'Job Scout search' }),
+    run: ({ query }, hooks) => {
+      assertAiBudget();
+      return searchJobLeads(query, hooks);
+    }
+  }
+};
+
+const aiTasks = createTaskQueue({
+  storage,
+  concurrency: AI_TASK_CONCURRENCY,
+  handlers: AI_TASK_TYPES,
+  describeError(err, task) {
+    if (err instanceof TaskError) {
+      return { status: err.status, body: { error: err.message, code: err.code } };
+    }
+    const { error, parseError } = AI_TASK_TYPES[task.type];
+    return aiErrorResponse(err, error, parseError);
+  }
+});
 
-    const userMessage = `## Candidate Profile
-${JSON.stringify(profile, null, 2)}
+// Background AI tasks, newest first, without their results
+app.get('/api/ai-tasks', (req, res) => {
+  try {
+    res.json(aiTasks.list());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load AI tasks', details: err.message });
+  }
+});
 
-## Previously Saved Jobs (for reference on interests)
-${jobs.length > 0 ? jobs.slice(0, 10).map((j) => `- ${j.title || 'Untitled'} at ${j.company || 'Unknown'} (${j.field || 'Unknown field'})`).join('\n') : 'No saved jobs yet.'}
+// Queue an AI operation: { type: 'tailor-resume' | 'cover-letter' | 'headhunter', input }
+app.post('/api/ai-tasks', requireAiBudget, (req, res) => {
+  try {
+    const { type, input } = req.body;
+    res.status(202).json(aiTasks.submit(type, input || {}));
+  } catch (err) {
+    if (err instanceof TaskError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to queue AI task', details: err.message });
+  }
+});
 
-## Search Request
-${query ? `The user is specifically looking for: "${query}"` : 'Generate a general search strategy based on the candidate\'s profile and interests.'}`;
+// One task with its result once it has succeeded, or its error once it has failed
+app.get('/api/ai-tasks/:id', (req, res) => {
+  try {
+    const task = aiTasks.get(req.params.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    res.json(task);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load AI task', details: err.message });
+  }
+});
 
-    const result = await callClaude(systemPrompt, userMessage);
+// Follow a task as Server-Sent Events: `task` on every change, `output` with the model
+// output so far when joining a running task, then `text` with each new chunk
+app.get('/api/ai-tasks/:id/events', (req, res) => {
+  const task = aiTasks.get(req.params.id);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+
+  startEventStream(res);
+  writeEvent(res, 'task', task);
+  if (isFinished(task)) return res.end();
+  const output = aiTasks.outputSoFar(task.id);
+  if (output) writeEvent(res, 'output', output);
+
+  const unsubscribe = aiTasks.subscribe(task.id, (event, data) => {
+    if (event === 'end') {
+      unsubscribe();
+      res.end();
+      return;
+    }
+    writeEvent(res, event, data);
+  });
+  res.on('close', unsubscribe);
+});
 
-    let parsed;
-    try {
-      const jsonMatch = result.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, result];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
-      return res.status(500).json({
-        error: 'Failed to parse headhunter results',
-        raw: result
-      });
-    }
+// Cancel a queued or running task
+app.post('/api/ai-tasks/:id/cancel', (req, res) => {
+  try {
+    const task = aiTasks.cancel(req.params.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    res.json({ success: true, task });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to cancel AI task', details: err.message });
+  }
+});
 
-    res.json(parsed);
+// Forget every finished task
+app.delete('/api/ai-tasks', (req, res) => {
+  try {
+    res.json({ success: true, removed: aiTasks.clearFinished() });
   } catch (err) {
-    res.status(500).json({ error: 'Headhunter search failed', details: err.message });
+    res.status(500).json({ error: 'Failed to clear AI tasks', details: err.message });
   }
 });
 
@@ -1131,7 +2031,7 @@ ${query ? `The user is specifically looking for: "${query}"` : 'Generate a gener
 
 app.get('/api/writing-samples', (req, res) => {
   try {
-    const samples = loadData('writing-samples.json');
+    const samples = listLive('writing-samples');
     res.json(samples);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load writing samples', details: err.message });
@@ -1140,7 +2040,6 @@ app.get('/api/writing-samples', (req, res) => {
 
 app.post('/api/writing-samples', (req, res) => {
   try {
-    const samples = loadData('writing-samples.json');
     const { title, content, type } = req.body;
     if (!title || !content) {
       return res.status(400).json({ error: 'Title and content are required' });
@@ -1150,10 +2049,10 @@ app.post('/api/writing-samples', (req, res) => {
       title,
       content,
       type: type || 'general',
+      deletedAt: null,
       createdAt: new Date().toISOString()
     };
-    samples.push(newSample);
-    saveData('writing-samples.json', samples);
+    storage.insert('writing-samples', newSample);
     res.status(201).json(newSample);
   } catch (err) {
     res.status(500).json({ error: 'Failed to save writing sample', details: err.message });
@@ -1162,13 +2061,9 @@ app.post('/api/writing-samples', (req, res) => {
 
 app.delete('/api/writing-samples/:id', (req, res) => {
   try {
-    let samples = loadData('writing-samples.json');
-    const initialLength = samples.length;
-    samples = samples.filter((s) => s.id !== req.params.id);
-    if (samples.length === initialLength) {
+    if (!trash.softDelete('writing-sample', req.params.id)) {
       return res.status(404).json({ error: 'Writing sample not found' });
     }
-    saveData('writing-samples.json', samples);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete writing sample', details: err.message });
@@ -1181,7 +2076,7 @@ app.delete('/api/writing-samples/:id', (req, res) => {
 
 app.get('/api/resumes', (req, res) => {
   try {
-    const resumes = loadData('resumes.json');
+    const resumes = listLive('resumes');
     res.json(resumes);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load resumes', details: err.message });
@@ -1190,8 +2085,7 @@ app.get('/api/resumes', (req, res) => {
 
 app.get('/api/resumes/:jobId', (req, res) => {
   try {
-    const resumes = loadData('resumes.json');
-    const resume = resumes.find((r) => r.jobId === req.params.jobId);
+    const resume = listLive('resumes').find((r) => r.jobId === req.params.jobId);
     if (!resume) {
       return res.status(404).json({ error: 'No tailored resume found for this job' });
     }
@@ -1207,7 +2101,7 @@ app.get('/api/resumes/:jobId', (req, res) => {
 
 app.get('/api/cover-letters', (req, res) => {
   try {
-    const coverLetters = loadData('cover-letters.json');
+    const coverLetters = listLive('cover-letters');
     res.json(coverLetters);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load cover letters', details: err.message });
@@ -1216,8 +2110,7 @@ app.get('/api/cover-letters', (req, res) => {
 
 app.get('/api/cover-letters/:jobId', (req, res) => {
   try {
-    const coverLetters = loadData('cover-letters.json');
-    const cl = coverLetters.find((c) => c.jobId === req.params.jobId);
+    const cl = listLive('cover-letters').find((c) => c.jobId === req.params.jobId);
     if (!cl) {
       return res.status(404).json({ error: 'No cover letter found for this job' });
     }
@@ -1233,7 +2126,7 @@ app.get('/api/cover-letters/:jobId', (req, res) => {
 
 app.get('/api/templates', (req, res) => {
   try {
-    const templates = loadData('document-templates.json');
+    const templates = listLive('document-templates');
     res.json(templates);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load templates', details: err.message });
@@ -1272,11 +2165,10 @@ app.post('/api/templates/upload', upload.single('template'), (req, res) => {
       // Placeholder scanning failed — non-fatal
     }
 
-    // Update metadata
-    const templates = loadData('document-templates.json');
-
-    // Remove any existing template of the same type
-    const filtered = templates.filter(t => t.type !== templateType);
+    // Move any existing template of the same type to the Trash
+    for (const t of listLive('document-templates')) {
+      if (t.type === templateType) trash.softDelete('template', t.id);
+    }
 
     const entry = {
       id,
@@ -1284,10 +2176,10 @@ app.post('/api/templates/upload', upload.single('template'), (req, res) => {
       originalName: req.file.originalname,
       filename,
       placeholders,
+      deletedAt: null,
       uploadedAt: new Date().toISOString()
     };
-    filtered.push(entry);
-    saveData('document-templates.json', filtered);
+    storage.insert('document-templates', entry);
 
     res.status(201).json(entry);
   } catch (err) {
@@ -1297,22 +2189,10 @@ app.post('/api/templates/upload', upload.single('template'), (req, res) => {
 
 app.delete('/api/templates/:id', (req, res) => {
   try {
-    const templates = loadData('document-templates.json');
-    const template = templates.find(t => t.id === req.params.id);
-    if (!template) {
+    // The file stays in data/templates until the template is purged from the Trash
+    if (!trash.softDelete('template', req.params.id)) {
       return res.status(404).json({ error: 'Template not found' });
     }
-
-    // Delete file
-    const filePath = path.join(DATA_DIR, 'templates', template.filename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-
-    // Remove from metadata
-    const filtered = templates.filter(t => t.id !== req.params.id);
-    saveData('document-templates.json', filtered);
-
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete template', details: err.message });
@@ -1322,13 +2202,10 @@ app.delete('/api/templates/:id', (req, res) => {
 app.get('/api/generated/:id/download', (req, res) => {
   try {
     // Look in resumes and cover letters for the matching docxPath
-    const resumes = loadData('resumes.json');
-    const coverLetters = loadData('cover-letters.json');
-
-    let entry = resumes.find(r => r.id === req.params.id);
+    let entry = getLive('resumes', req.params.id);
     let docType = 'resume';
     if (!entry) {
-      entry = coverLetters.find(cl => cl.id === req.params.id);
+      entry = getLive('cover-letters', req.params.id);
       docType = 'cover-letter';
     }
 
@@ -1356,7 +2233,7 @@ app.get('/api/generated/:id/download', (req, res) => {
 
 app.get('/api/contacts', (req, res) => {
   try {
-    const contacts = loadData('contacts.json');
+    const contacts = listLive('contacts').map(withLiveNotes);
     res.json(contacts);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load contacts', details: err.message });
@@ -1365,7 +2242,6 @@ app.get('/api/contacts', (req, res) => {
 
 app.post('/api/contacts', (req, res) => {
   try {
-    const contacts = loadData('contacts.json');
     const newContact = {
       id: uuidv4(),
       name: req.body.name || '',
@@ -1376,11 +2252,11 @@ app.post('/api/contacts', (req, res) => {
       linkedIn: req.body.linkedIn || '',
       jobIds: req.body.jobIds || [],
       notes: [],
+      deletedAt: null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
-    contacts.push(newContact);
-    saveData('contacts.json', contacts);
+    storage.insert('contacts', newContact);
     res.status(201).json(newContact);
   } catch (err) {
     res.status(500).json({ error: 'Failed to create contact', details: err.message });
@@ -1389,21 +2265,17 @@ app.post('/api/contacts', (req, res) => {
 
 app.put('/api/contacts/:id', (req, res) => {
   try {
-    const contacts = loadData('contacts.json');
-    const index = contacts.findIndex((c) => c.id === req.params.id);
-    if (index === -1) {
-      return res.status(404).json({ error: 'Contact not found' });
-    }
-    const { notes, ...updateFields } = req.body;
-    contacts[index] = {
-      ...contacts[index],
+    const { notes, deletedAt, ...updateFields } = req.body;
+    const contact = getLive('contacts', req.params.id) && storage.update('contacts', req.params.id, (current) => ({
+      ...current,
       ...updateFields,
-      id: contacts[index].id,
-      notes: contacts[index].notes,
+      notes: current.notes,
       updatedAt: new Date().toISOString()
-    };
-    saveData('contacts.json', contacts);
-    res.json(contacts[index]);
+    }));
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.json(withLiveNotes(contact));
   } catch (err) {
     res.status(500).json({ error: 'Failed to update contact', details: err.message });
   }
@@ -1411,13 +2283,9 @@ app.put('/api/contacts/:id', (req, res) => {
 
 app.delete('/api/contacts/:id', (req, res) => {
   try {
-    let contacts = loadData('contacts.json');
-    const initialLength = contacts.length;
-    contacts = contacts.filter((c) => c.id !== req.params.id);
-    if (contacts.length === initialLength) {
+    if (!trash.softDelete('contact', req.params.id)) {
       return res.status(404).json({ error: 'Contact not found' });
     }
-    saveData('contacts.json', contacts);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete contact', details: err.message });
@@ -1426,19 +2294,20 @@ app.delete('/api/contacts/:id', (req, res) => {
 
 app.post('/api/contacts/:id/notes', (req, res) => {
   try {
-    const contacts = loadData('contacts.json');
-    const contact = contacts.find((c) => c.id === req.params.id);
-    if (!contact) {
-      return res.status(404).json({ error: 'Contact not found' });
-    }
     const note = {
       id: uuidv4(),
       text: req.body.text || '',
+      deletedAt: null,
       createdAt: new Date().toISOString()
     };
-    contact.notes.push(note);
-    contact.updatedAt = new Date().toISOString();
-    saveData('contacts.json', contacts);
+    const contact = getLive('contacts', req.params.id) && storage.update('contacts', req.params.id, (current) => ({
+      ...current,
+      notes: [...(current.notes || []), note],
+      updatedAt: new Date().toISOString()
+    }));
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
     res.status(201).json(note);
   } catch (err) {
     res.status(500).json({ error: 'Failed to add note', details: err.message });
@@ -1447,65 +2316,469 @@ app.post('/api/contacts/:id/notes', (req, res) => {
 
 app.delete('/api/contacts/:id/notes/:noteId', (req, res) => {
   try {
-    const contacts = loadData('contacts.json');
-    const contact = contacts.find((c) => c.id === req.params.id);
+    const contact = getLive('contacts', req.params.id);
     if (!contact) {
       return res.status(404).json({ error: 'Contact not found' });
     }
-    const initialLength = contact.notes.length;
-    contact.notes = contact.notes.filter((n) => n.id !== req.params.noteId);
-    if (contact.notes.length === initialLength) {
+    const note = (contact.notes || []).find((n) => n.id === req.params.noteId);
+    if (!note || !trash.softDelete('note', note.id)) {
       return res.status(404).json({ error: 'Note not found' });
     }
-    contact.updatedAt = new Date().toISOString();
-    saveData('contacts.json', contacts);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete note', details: err.message });
   }
 });
 
+// ---------------------------------------------------------------------------
+// ROUTES: Tasks
+// ---------------------------------------------------------------------------
+
+// Today as the browser sees it (?today=YYYY-MM-DD), or the server's date
+function todayFrom(req) {
+  return isDateString(req.query.today) ? req.query.today : toDateString(new Date());
+}
+
+/**
+ * Throw TaskInputError when a task would link to a job or contact that is
+ * gone or in the Trash.
+ */
+function assertTaskLinks({ jobId, contactId }) {
+  if (jobId && !getLive('jobs', jobId)) {
+    throw new TaskInputError('The job this task is for does not exist', 'UNKNOWN_JOB');
+  }
+  if (contactId && !getLive('contacts', contactId)) {
+    throw new TaskInputError('The contact this task is for does not exist', 'UNKNOWN_CONTACT');
+  }
+}
+
+// A task with its due state and the names of the job and contact it links to
+function describeTask(task, today) {
+  const job = task.jobId ? getLive('jobs', task.jobId) : null;
+  const contact = task.contactId ? getLive('contacts', task.contactId) : null;
+  return {
+    ...task,
+    dueState: dueState(task, today),
+    jobLabel: job ? jobLabel(job) : null,
+    contactName: contact ? contact.name || contact.email || 'Unnamed contact' : null
+  };
+}
+
+/**
+ * Whether the job and contact a task links to, if any, still exist outside
+ * the Trash. Tasks of trashed records are left out of reminders and the
+ * calendar feed.
+ */
+function hasLiveLinks(task) {
+  return (!task.jobId || Boolean(getLive('jobs', task.jobId)))
+    && (!task.contactId || Boolean(getLive('contacts', task.contactId)));
+}
+
+/**
+ * Add the follow-up task for the status a job has just moved to, unless
+ * there is none or one is still open. Returns the task or null.
+ */
+async function suggestFollowUpTask(job) {
+  return storage.withLock('tasks', () => {
+    const task = suggestFollowUp(job, job.status, listLive('tasks'), toDateString(new Date()));
+    if (task) storage.insert('tasks', task);
+    return task;
+  });
+}
+
+// Tasks, open ones first by due date; filter with ?jobId=, ?contactId= and ?status=open|done
+app.get('/api/tasks', (req, res) => {
+  try {
+    const today = todayFrom(req);
+    const { jobId, contactId, status } = req.query;
+    const tasks = listLive('tasks')
+      .filter((task) => !jobId || task.jobId === jobId)
+      .filter((task) => !contactId || task.contactId === contactId)
+      .filter((task) => (status === 'open' ? !task.completed : status === 'done' ? task.completed : true))
+      .sort(compareTasks)
+      .map((task) => describeTask(task, today));
+    res.json(tasks);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load tasks', details: err.message });
+  }
+});
+
+// Open tasks that are overdue, due today, or due within the next 7 days
+app.get('/api/tasks/due', (req, res) => {
+  try {
+    const today = todayFrom(req);
+    const open = listLive('tasks')
+      .filter((task) => !task.completed && hasLiveLinks(task))
+      .sort(compareTasks)
+      .map((task) => describeTask(task, today));
+    res.json({
+      today,
+      overdue: open.filter((task) => task.dueState === 'overdue'),
+      dueToday: open.filter((task) => task.dueState === 'today'),
+      upcoming: open.filter((task) => task.dueState === 'upcoming')
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load due tasks', details: err.message });
+  }
+});
+
+app.post('/api/tasks', (req, res) => {
+  try {
+    const fields = normalizeTask(req.body);
+    assertTaskLinks(fields);
+    const task = storage.insert('tasks', newTask(fields));
+    res.status(201).json(describeTask(task, todayFrom(req)));
+  } catch (err) {
+    if (err instanceof TaskInputError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to add task', details: err.message });
+  }
+});
+
+// Edit a task; `suggested: false` keeps a suggested follow-up
+app.put('/api/tasks/:id', async (req, res) => {
+  try {
+    const changes = normalizeTask(req.body, { partial: true });
+    if (req.body.suggested === false) changes.suggested = false;
+    assertTaskLinks(changes);
+    const task = await storage.withLock('tasks', () => getLive('tasks', req.params.id) && storage.update('tasks', req.params.id, (current) => ({
+      ...current,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    })));
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(describeTask(task, todayFrom(req)));
+  } catch (err) {
+    if (err instanceof TaskInputError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to update task', details: err.message });
+  }
+});
+
+// Mark a task done; a recurring task also answers with the `next` one it added
+app.post('/api/tasks/:id/complete', async (req, res) => {
+  try {
+    const today = todayFrom(req);
+    const result = await storage.withLock('tasks', () => {
+      const current = getLive('tasks', req.params.id);
+      if (!current) return null;
+      if (current.completed) return { task: current, next: null };
+      const now = new Date().toISOString();
+      const task = storage.update('tasks', current.id, { completed: true, completedAt: now, suggested: false, updatedAt: now });
+      const next = nextOccurrence(task, today, now);
+      if (next) storage.insert('tasks', next);
+      return { task, next };
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json({
+      task: describeTask(result.task, today),
+      next: result.next && describeTask(result.next, today)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to complete task', details: err.message });
+  }
+});
+
+// Mark a finished task as open again
+app.post('/api/tasks/:id/reopen', async (req, res) => {
+  try {
+    const task = await storage.withLock('tasks', () => getLive('tasks', req.params.id) && storage.update('tasks', req.params.id, {
+      completed: false,
+      completedAt: null,
+      updatedAt: new Date().toISOString()
+    }));
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(describeTask(task, todayFrom(req)));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reopen task', details: err.message });
+  }
+});
+
+// Moves the task to the Trash; a suggested follow-up nobody kept is simply dismissed
+app.delete('/api/tasks/:id', async (req, res) => {
+  try {
+    const result = await storage.withLock('tasks', () => {
+      const task = getLive('tasks', req.params.id);
+      if (!task) return null;
+      if (task.suggested) {
+        storage.remove('tasks', task.id);
+        return { dismissed: true };
+      }
+      trash.softDelete('task', task.id);
+      return { dismissed: false };
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete task', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: Interview Rounds
+// ---------------------------------------------------------------------------
+
+// Throw InterviewRoundError when an interviewer is not a live contact
+function assertInterviewers(interviewerIds = []) {
+  if (interviewerIds.some((id) => !getLive('contacts', id))) {
+    throw new InterviewRoundError('An interviewer is not in your contacts', 'UNKNOWN_CONTACT');
+  }
+}
+
+// A round with its job's label and its interviewers' names
+function describeRound(round) {
+  const job = getLive('jobs', round.jobId);
+  const interviewers = (round.interviewerIds || [])
+    .map((id) => getLive('contacts', id))
+    .filter(Boolean)
+    .map((contact) => ({ id: contact.id, name: contact.name || contact.email || 'Unnamed contact' }));
+  return {
+    ...round,
+    jobLabel: job ? jobLabel(job) : null,
+    interviewers,
+    interviewerNames: interviewers.map((interviewer) => interviewer.name)
+  };
+}
+
+// A job's rounds, scheduled ones first by date
+app.get('/api/jobs/:jobId/interview-rounds', (req, res) => {
+  try {
+    if (!getLive('jobs', req.params.jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const rounds = listLive('interview-rounds')
+      .filter((round) => round.jobId === req.params.jobId)
+      .sort(compareRounds)
+      .map(describeRound);
+    res.json(rounds);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load interview rounds', details: err.message });
+  }
+});
+
+app.post('/api/jobs/:jobId/interview-rounds', (req, res) => {
+  try {
+    if (!getLive('jobs', req.params.jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const fields = normalizeRound(req.body);
+    assertInterviewers(fields.interviewerIds);
+    const round = storage.insert('interview-rounds', newRound(req.params.jobId, fields));
+    res.status(201).json(describeRound(round));
+  } catch (err) {
+    if (err instanceof InterviewRoundError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to add interview round', details: err.message });
+  }
+});
+
+// Rounds across all jobs that are still ahead and have no outcome yet, soonest first
+app.get('/api/interview-rounds/upcoming', (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const rounds = listLive('interview-rounds')
+      .filter((round) => isUpcoming(round, now) && getLive('jobs', round.jobId))
+      .sort(compareRounds)
+      .map(describeRound);
+    res.json(rounds);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load upcoming interviews', details: err.message });
+  }
+});
+
+app.put('/api/interview-rounds/:id', async (req, res) => {
+  try {
+    const changes = normalizeRound(req.body, { partial: true });
+    assertInterviewers(changes.interviewerIds);
+    const round = await storage.withLock('interview-rounds', () => getLive('interview-rounds', req.params.id) && storage.update('interview-rounds', req.params.id, (current) => ({
+      ...current,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    })));
+    if (!round) {
+      return res.status(404).json({ error: 'Interview round not found' });
+    }
+    res.json(describeRound(round));
+  } catch (err) {
+    if (err instanceof InterviewRoundError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: 'Failed to update interview round', details: err.message });
+  }
+});
+
+// Moves the round to the Trash
+app.delete('/api/interview-rounds/:id', (req, res) => {
+  try {
+    if (!trash.softDelete('interview-round', req.params.id)) {
+      return res.status(404).json({ error: 'Interview round not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete interview round', details: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// ROUTES: Calendar (iCalendar feed)
+// ---------------------------------------------------------------------------
+
+/**
+ * Events for scheduled interview rounds and open tasks with a due date,
+ * optionally only those for one job or involving one contact.
+ */
+function calendarEvents({ jobId, contactId } = {}) {
+  const today = toDateString(new Date());
+  const rounds = listLive('interview-rounds')
+    .filter((round) => round.scheduledAt && getLive('jobs', round.jobId))
+    .filter((round) => !jobId || round.jobId === jobId)
+    .filter((round) => !contactId || (round.interviewerIds || []).includes(contactId))
+    .sort(compareRounds)
+    .map((round) => roundEvent(describeRound(round)));
+  const tasks = listLive('tasks')
+    .filter((task) => !task.completed && task.dueDate && hasLiveLinks(task))
+    .filter((task) => !jobId || task.jobId === jobId)
+    .filter((task) => !contactId || task.contactId === contactId)
+    .sort(compareTasks)
+    .map((task) => taskEvent(describeTask(task, today)));
+  return [...rounds, ...tasks];
+}
+
+function sendCalendar(res, { name, events, filename }) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buildCalendar({ name, events }));
+}
+
+function calendarFilename(label) {
+  const name = (label || '').replace(/[^a-zA-Z0-9]+/g, '-').slice(0, 60).replace(/^-+|-+$/g, '');
+  return `${name || 'calendar'}.ics`;
+}
+
+// The feed calendar apps subscribe to; ?download=1 saves it as a file instead
+app.get('/api/calendar.ics', (req, res) => {
+  try {
+    sendCalendar(res, {
+      name: 'New Job Pal',
+      events: calendarEvents(),
+      filename: req.query.download ? 'new-job-pal.ics' : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build calendar', details: err.message });
+  }
+});
+
+app.get('/api/jobs/:id/calendar.ics', (req, res) => {
+  try {
+    const job = getLive('jobs', req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    sendCalendar(res, {
+      name: `New Job Pal: ${jobLabel(job)}`,
+      events: calendarEvents({ jobId: job.id }),
+      filename: calendarFilename(job.company || job.title)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build calendar', details: err.message });
+  }
+});
+
+app.get('/api/contacts/:id/calendar.ics', (req, res) => {
+  try {
+    const contact = getLive('contacts', req.params.id);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    const name = contact.name || contact.email || 'Unnamed contact';
+    sendCalendar(res, {
+      name: `New Job Pal: ${name}`,
+      events: calendarEvents({ contactId: contact.id }),
+      filename: calendarFilename(name)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build calendar', details: err.message });
+  }
+});
+
+// A single interview round as an event, for adding it to a calendar by hand
+app.get('/api/interview-rounds/:id/calendar.ics', (req, res) => {
+  try {
+    const round = getLive('interview-rounds', req.params.id);
+    if (!round) {
+      return res.status(404).json({ error: 'Interview round not found' });
+    }
+    if (!round.scheduledAt) {
+      return res.status(400).json({ error: 'This round has no date and time to put in a calendar', code: 'NOT_SCHEDULED' });
+    }
+    const job = getLive('jobs', round.jobId);
+    sendCalendar(res, {
+      name: 'New Job Pal',
+      events: [roundEvent(describeRound(round))],
+      filename: calendarFilename(`${round.stage} ${job?.company || ''}`)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build calendar', details: err.message });
+  }
+});
+
+// A single task as an event, for adding it to a calendar by hand
+app.get('/api/tasks/:id/calendar.ics', (req, res) => {
+  try {
+    const task = getLive('tasks', req.params.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!task.dueDate) {
+      return res.status(400).json({ error: 'This task has no due date to put in a calendar', code: 'NO_DUE_DATE' });
+    }
+    sendCalendar(res, {
+      name: 'New Job Pal',
+      events: [taskEvent(describeTask(task, todayFrom(req)))],
+      filename: calendarFilename(task.title)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build calendar', details: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // ROUTES: Mock Interviews
 // ---------------------------------------------------------------------------
 
 app.get('/api/jobs/:jobId/mock-interviews', (req, res) => {
   try {
-    const interviews = loadData('mock-interviews.json');
-    const jobInterviews = interviews.filter((i) => i.jobId === req.params.jobId);
+    const jobInterviews = listLive('mock-interviews').filter((i) => i.jobId === req.params.jobId);
     res.json(jobInterviews);
   } catch (err) {
     res.status(500).json({ error: 'Failed to load mock interviews', details: err.message });
   }
 });
 
-app.post('/api/jobs/:jobId/mock-interview/start', async (req, res) => {
+app.post('/api/jobs/:jobId/mock-interview/start', requireAiBudget, async (req, res) => {
   try {
-    const jobs = loadData('jobs.json');
-    const job = jobs.find((j) => j.id === req.params.jobId);
+    const job = getLive('jobs', req.params.jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    const profile = loadData('profile.json');
-
-    const systemPrompt = `You are a professional interviewer conducting a mock interview for a specific job position. Your role is to help the candidate practice and improve.
+    const profile = storage.getDocument('profile');
 
-INSTRUCTIONS:
-- You are interviewing a candidate for the role of "${job.title || 'this position'}" at ${job.company || 'the company'}.
-- Ask ONE question at a time.
-- Start with a warm introduction and your first question.
-- Mix behavioral, technical, and situational questions based on the job description.
-- Base questions on the job requirements and current industry trends.
-- Keep a professional but encouraging tone.
-- This is your opening question — make it a good icebreaker.
-
-Return ONLY valid JSON with no markdown fencing:
-{
-  "question": "string - your interview question",
-  "questionType": "string - behavioral, technical, or situational",
-  "tip": "string - a brief tip for answering this type of question"
-}`;
+    const systemPrompt = prompts.render('interview-start', {
+      jobTitle: job.title || 'this position',
+      company: job.company || 'the company'
+    });
 
     const userMessage = `## Job Description
 ${JSON.stringify(job, null, 2)}
@@ -1513,14 +2786,12 @@ ${JSON.stringify(job, null, 2)}
 ## Candidate Profile
 ${JSON.stringify(profile, null, 2)}`;
 
-    const result = await callClaude(systemPrompt, userMessage);
-
     let parsed;
     try {
-      const jsonMatch = result.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, result];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
-      return res.status(500).json({ error: 'Failed to parse interviewer response', raw: result });
+      parsed = await callAIJson('interview-start', systemPrompt, userMessage, { jobId: job.id });
+    } catch (err) {
+      if (!(err instanceof AiJsonError)) throw err;
+      return res.status(500).json({ error: 'Failed to parse interviewer response', raw: err.raw, issues: err.issues });
     }
 
     const session = {
@@ -1531,38 +2802,36 @@ ${JSON.stringify(profile, null, 2)}`;
       ],
       questionCount: 1,
       feedback: null,
+      deletedAt: null,
       createdAt: new Date().toISOString(),
       completedAt: null
     };
 
-    const interviews = loadData('mock-interviews.json');
-    interviews.push(session);
-    saveData('mock-interviews.json', interviews);
+    storage.insert('mock-interviews', session);
 
     res.status(201).json(session);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to start mock interview', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Failed to start mock interview');
+    res.status(status).json(body);
   }
 });
 
-app.post('/api/jobs/:jobId/mock-interview/:id/respond', async (req, res) => {
+app.post('/api/jobs/:jobId/mock-interview/:id/respond', requireAiBudget, async (req, res) => {
   try {
     const { answer } = req.body;
     if (!answer || !answer.trim()) {
       return res.status(400).json({ error: 'Answer is required' });
     }
 
-    const interviews = loadData('mock-interviews.json');
-    const session = interviews.find((i) => i.id === req.params.id && i.jobId === req.params.jobId);
-    if (!session) {
+    const session = getLive('mock-interviews', req.params.id);
+    if (!session || session.jobId !== req.params.jobId) {
       return res.status(404).json({ error: 'Interview session not found' });
     }
     if (session.completedAt) {
       return res.status(400).json({ error: 'This interview session is already complete' });
     }
 
-    const jobs = loadData('jobs.json');
-    const job = jobs.find((j) => j.id === req.params.jobId);
+    const job = getLive('jobs', req.params.jobId);
 
     // Build conversation history
     const conversationHistory = session.messages.map((m) => ({
@@ -1573,71 +2842,62 @@ app.post('/api/jobs/:jobId/mock-interview/:id/respond', async (req, res) => {
     }));
     conversationHistory.push({ role: 'user', content: answer });
 
-    const systemPrompt = `You are a professional interviewer conducting a mock interview for "${job?.title || 'a position'}" at ${job?.company || 'a company'}.
-
-INSTRUCTIONS:
-- The candidate just answered your question. Provide brief, constructive feedback on their answer.
-- Then ask your next interview question.
-- Mix behavioral, technical, and situational questions.
-- You've asked ${session.questionCount} question(s) so far. Plan for 5-7 total questions.
-- Be encouraging but honest.
-
-Return ONLY valid JSON with no markdown fencing:
-{
-  "feedback": "string - brief feedback on the candidate's answer (2-3 sentences)",
-  "question": "string - your next interview question",
-  "questionType": "string - behavioral, technical, or situational",
-  "tip": "string - a brief tip for answering this type of question"
-}`;
-
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2048,
-      system: systemPrompt,
-      messages: conversationHistory
+    const systemPrompt = prompts.render('interview-respond', {
+      jobTitle: job?.title || 'a position',
+      company: job?.company || 'a company',
+      questionCount: session.questionCount
     });
 
-    const resultText = response.content
-      .filter((block) => block.type === 'text')
-      .map((block) => block.text)
-      .join('');
-
     let parsed;
     try {
-      const jsonMatch = resultText.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, resultText];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
-      return res.status(500).json({ error: 'Failed to parse interviewer response', raw: resultText });
+      const response = await ai.completeJson({
+        feature: 'interview-respond',
+        jobId: session.jobId,
+        system: systemPrompt,
+        messages: conversationHistory
+      });
+      parsed = response.data;
+    } catch (err) {
+      if (!(err instanceof AiJsonError)) throw err;
+      return res.status(500).json({ error: 'Failed to parse interviewer response', raw: err.raw, issues: err.issues });
+    }
+
+    // Add user answer and assistant response to the latest copy of the session
+    const updated = await storage.withLock('mock-interviews', () =>
+      storage.update('mock-interviews', session.id, (current) => ({
+        ...current,
+        messages: [
+          ...current.messages,
+          { role: 'user', content: answer },
+          {
+            role: 'assistant',
+            content: parsed.question,
+            feedback: parsed.feedback,
+            questionType: parsed.questionType,
+            tip: parsed.tip
+          }
+        ],
+        questionCount: current.questionCount + 1
+      }))
+    );
+    if (!updated) {
+      return res.status(404).json({ error: 'Interview session not found' });
     }
-
-    // Add user answer and assistant response to session
-    session.messages.push({ role: 'user', content: answer });
-    session.messages.push({
-      role: 'assistant',
-      content: parsed.question,
-      feedback: parsed.feedback,
-      questionType: parsed.questionType,
-      tip: parsed.tip
-    });
-    session.questionCount += 1;
-
-    saveData('mock-interviews.json', interviews);
-    res.json(session);
+    res.json(updated);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to process interview response', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Failed to process interview response');
+    res.status(status).json(body);
   }
 });
 
-app.post('/api/jobs/:jobId/mock-interview/:id/end', async (req, res) => {
+app.post('/api/jobs/:jobId/mock-interview/:id/end', requireAiBudget, async (req, res) => {
   try {
-    const interviews = loadData('mock-interviews.json');
-    const session = interviews.find((i) => i.id === req.params.id && i.jobId === req.params.jobId);
-    if (!session) {
+    const session = getLive('mock-interviews', req.params.id);
+    if (!session || session.jobId !== req.params.jobId) {
       return res.status(404).json({ error: 'Interview session not found' });
     }
 
-    const jobs = loadData('jobs.json');
-    const job = jobs.find((j) => j.id === req.params.jobId);
+    const job = getLive('jobs', req.params.jobId);
 
     // Build full conversation for assessment
     const conversationHistory = session.messages.map((m) => ({
@@ -1647,46 +2907,39 @@ app.post('/api/jobs/:jobId/mock-interview/:id/end', async (req, res) => {
         : m.content
     }));
 
-    const systemPrompt = `You are a professional interviewer who just finished a mock interview for "${job?.title || 'a position'}" at ${job?.company || 'a company'}.
-
-Provide a comprehensive assessment of the candidate's performance across all questions.
-
-Return ONLY valid JSON with no markdown fencing:
-{
-  "overallScore": number (1-10),
-  "summary": "string - 2-3 sentence overall assessment",
-  "strengths": ["array of 2-4 specific strengths demonstrated"],
-  "improvements": ["array of 2-4 specific areas for improvement"],
-  "tips": ["array of 2-3 actionable tips for the actual interview"]
-}`;
-
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2048,
-      system: systemPrompt,
-      messages: conversationHistory
+    const systemPrompt = prompts.render('interview-end', {
+      jobTitle: job?.title || 'a position',
+      company: job?.company || 'a company'
     });
 
-    const resultText = response.content
-      .filter((block) => block.type === 'text')
-      .map((block) => block.text)
-      .join('');
-
     let parsed;
     try {
-      const jsonMatch = resultText.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, resultText];
-      parsed = JSON.parse(jsonMatch[1].trim());
-    } catch {
-      return res.status(500).json({ error: 'Failed to parse assessment', raw: resultText });
+      const response = await ai.completeJson({
+        feature: 'interview-end',
+        jobId: session.jobId,
+        system: systemPrompt,
+        messages: conversationHistory
+      });
+      parsed = response.data;
+    } catch (err) {
+      if (!(err instanceof AiJsonError)) throw err;
+      return res.status(500).json({ error: 'Failed to parse assessment', raw: err.raw, issues: err.issues });
+    }
+
+    const updated = await storage.withLock('mock-interviews', () =>
+      storage.update('mock-interviews', session.id, {
+        feedback: parsed,
+        completedAt: new Date().toISOString()
+      })
+    );
+    if (!updated) {
+      return res.status(404).json({ error: 'Interview session not found' });
     }
 
-    session.feedback = parsed;
-    session.completedAt = new Date().toISOString();
-    saveData('mock-interviews.json', interviews);
-
-    res.json(session);
+    res.json(updated);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to end mock interview', details: err.message });
+    const { status, body } = aiErrorResponse(err, 'Failed to end mock interview');
+    res.status(status).json(body);
   }
 });
 
@@ -1695,8 +2948,7 @@ Return ONLY valid JSON with no markdown fencing:
 // ---------------------------------------------------------------------------
 
 function generateDocx(templateType, data) {
-  const templates = loadData('document-templates.json');
-  const template = templates.find(t => t.type === templateType);
+  const template = listLive('document-templates').find(t => t.type === templateType);
   if (!template) return null;
 
   const templatePath = path.join(DATA_DIR, 'templates', template.filename);
@@ -1741,12 +2993,83 @@ function generateDocx(templateType, data) {
   }
 }
 
+/**
+ * Delete a generated document once no record points at it.
+ */
+function removeGeneratedFile(filename) {
+  if (!filename || path.basename(filename) !== filename) return;
+  fs.rmSync(path.join(DATA_DIR, 'generated', filename), { force: true });
+}
+
 // ---------------------------------------------------------------------------
 // Startup
 // ---------------------------------------------------------------------------
 
-ensureDataFiles();
+function startServer() {
+  ensureDataFiles();
+  try {
+    runMigrations();
+  } catch (err) {
+    console.error(`[Migrations] ${err.message}`);
+    process.exit(1);
+  }
+
+  if (BACKUP_INTERVAL_HOURS > 0) {
+    const takeScheduledBackup = () => {
+      try {
+        const manifest = backups.snapshot('scheduled', { skipIfUnchanged: true });
+        if (manifest) console.log(`[Backups] Saved snapshot ${manifest.id}`);
+      } catch (err) {
+        console.error(`[Backups] Scheduled snapshot failed: ${err.message}`);
+      }
+    };
+    // Catch up at startup if the newest snapshot is older than one interval
+    const latest = backups.list()[0];
+    const intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+    if (!latest || Date.now() - new Date(latest.createdAt).getTime() >= intervalMs) {
+      takeScheduledBackup();
+    }
+    setInterval(takeScheduledBackup, intervalMs).unref();
+  }
+
+  if (TRASH_RETENTION_DAYS > 0) {
+    const purgeExpiredTrash = () => storage.withStoreLock(() => {
+      if (trash.expired().length === 0) return;
+      backups.snapshot('before-purge');
+      const purged = trash.purgeExpired();
+      console.log(`[Trash] Purged ${purged.length} item(s) deleted more than ${TRASH_RETENTION_DAYS} days ago`);
+    }).catch((err) => {
+      console.error(`[Trash] Automatic purge failed: ${err.message}`);
+    });
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, 24 * 60 * 60 * 1000).unref();
+  }
+
+  aiTasks.start();
+
+  try {
+    const report = integrity.check();
+    if (!report.ok) {
+      const summary = Object.entries(report.counts).map(([kind, count]) => `${count} ${kind}`).join(', ');
+      console.warn(`[Integrity] Found ${summary}. Review and repair them under Settings → Data Health.`);
+    }
+  } catch (err) {
+    console.error(`[Integrity] Check failed: ${err.message}`);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`\n\u2728 New Job Pal is ready to help you shine! Visit http://localhost:${PORT}\n`);
+  });
+}
 
-app.listen(PORT, () => {
-  console.log(`\n\u2728 New Job Pal is ready to help you shine! Visit http://localhost:${PORT}\n`);
+// The data key has to be known before anything in data/ is read
+unlockAtRest({
+  codec: atRestCodec,
+  mode: DATA_ENCRYPTION,
+  dataDir: DATA_DIR,
+  passphrase: process.env.DATA_PASSPHRASE,
+  keyFile: DATA_KEY_FILE
+}).then(startServer, (err) => {
+  console.error(`[Encryption] ${err.message}`);
+  process.exit(1);
 });